@@ -6,7 +6,8 @@
  * campaign scheduling, a timer, and a flexible character creator and
  * sheet.  All data is persisted to localStorage, which means your
  * campaigns and characters will be remembered when you refresh the
- * page.  No backend is required.  The character sheet borrows its
+ * page.  No backend is required, though browsers can optionally sync
+ * through a server (see sync-server.js).  The character sheet borrows its
  * layout from the official D&D 5e sheet and auto‑calculates ability
  * scores, proficiencies and experience levels based on API data and
  * user input.
@@ -16,56 +17,555 @@
   // ----- Utilities -----
   const $ = (selector) => document.querySelector(selector);
 
+  // ----- Persistence and schema migrations -----
+  //
+  // The saved blob carries a `schemaVersion`.  Saves from before
+  // versioning count as version 0.  On load, every migration whose
+  // `version` is above the saved version runs in order, each one
+  // upgrading the state by a single step.  New features that change
+  // the shape of saved data should append a migration here rather than
+  // patching the state ad hoc elsewhere.
+  const STORAGE_KEY = 'torchtimeData';
+  // Copy of the raw blob taken before migrating, in case an upgrade
+  // goes wrong and the old data needs to be recovered by hand.
+  const BACKUP_KEY = 'torchtimeData.preMigration';
+  // Saves that cannot be read are moved here rather than overwritten.
+  const CORRUPT_KEY = 'torchtimeData.corrupt';
+
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Ensure core collections exist',
+      up(state) {
+        ['users', 'campaigns', 'sessions', 'proposals', 'characters', 'rolls'].forEach((key) => {
+          if (!Array.isArray(state[key])) state[key] = [];
+        });
+        if (state.currentUserId === undefined) state.currentUserId = null;
+      },
+    },
+    {
+      version: 2,
+      description: 'Add combat tracker encounters',
+      up(state) {
+        if (!Array.isArray(state.encounters)) state.encounters = [];
+      },
+    },
+    {
+      version: 3,
+      description: 'Give every character an inventory',
+      up(state) {
+        state.characters.forEach((ch) => {
+          if (!Array.isArray(ch.inventory)) ch.inventory = [];
+        });
+      },
+    },
+    {
+      version: 4,
+      description: 'Normalise sessions into session records',
+      up(state) {
+        state.sessions.forEach((s) => {
+          if (s.proposalId === undefined) s.proposalId = null;
+          if (s.end === undefined) s.end = null;
+          if (typeof s.location !== 'string') s.location = '';
+          if (typeof s.notes !== 'string') s.notes = '';
+          if (typeof s.recap !== 'string') s.recap = '';
+          if (!Array.isArray(s.attendance)) s.attendance = [];
+          if (!Array.isArray(s.xpAwards)) s.xpAwards = [];
+        });
+      },
+    },
+    {
+      version: 5,
+      description: 'Flag plaintext passwords for upgrade',
+      up(state) {
+        // renderLogin hashes these on the user's next login
+        state.users.forEach((u) => {
+          if (typeof u.password === 'string' && !u.passwordHash) u.legacyPlaintext = true;
+        });
+      },
+    },
+    {
+      version: 6,
+      description: 'Add skill proficiencies to characters',
+      up(state) {
+        // Saving throws need the class data and are filled in lazily by
+        // renderCharacterSheet
+        state.characters.forEach((ch) => {
+          if (!ch.skills || typeof ch.skills !== 'object') ch.skills = {};
+        });
+      },
+    },
+    {
+      version: 7,
+      description: 'Add background, alignment, proficiencies and languages to characters',
+      up(state) {
+        state.characters.forEach((ch) => {
+          if (typeof ch.background !== 'string') ch.background = '';
+          if (ch.backgroundIndex === undefined) ch.backgroundIndex = null;
+          if (typeof ch.alignment !== 'string') ch.alignment = '';
+          if (!Array.isArray(ch.proficiencies)) ch.proficiencies = [];
+          if (!Array.isArray(ch.languages)) ch.languages = [];
+        });
+      },
+    },
+    {
+      version: 8,
+      description: 'Add change history to characters',
+      up(state) {
+        state.characters.forEach((ch) => {
+          if (!Array.isArray(ch.history)) ch.history = [];
+        });
+      },
+    },
+    {
+      version: 9,
+      description: 'Split character hit points into current, max and temporary',
+      up(state) {
+        // ch.hp was the maximum; characters start the upgrade unhurt
+        state.characters.forEach((ch) => {
+          if (typeof ch.maxHp !== 'number') ch.maxHp = ch.hp || 1;
+          if (typeof ch.tempHp !== 'number') ch.tempHp = 0;
+          if (typeof ch.hitDiceUsed !== 'number') ch.hitDiceUsed = 0;
+          if (!ch.deathSaves) ch.deathSaves = { successes: 0, failures: 0 };
+        });
+      },
+    },
+    {
+      version: 10,
+      description: 'Add quantities, equipped state and a coin purse to inventories',
+      up(state) {
+        // Weight and armour / weapon data need the SRD and are filled in
+        // by renderCharacterSheet
+        state.characters.forEach((ch) => {
+          ch.inventory.forEach((item) => {
+            if (typeof item.quantity !== 'number') item.quantity = 1;
+            if (typeof item.equipped !== 'boolean') item.equipped = false;
+            if (typeof item.attuned !== 'boolean') item.attuned = false;
+            if (typeof item.custom !== 'boolean') item.custom = false;
+          });
+          if (!ch.currency) ch.currency = { cp: 0, sp: 0, ep: 0, gp: 0, pp: 0 };
+        });
+      },
+    },
+    {
+      version: 11,
+      description: 'Track levels and hit dice per class for multiclassing',
+      up(state) {
+        state.characters.forEach((ch) => {
+          if (!Array.isArray(ch.classes)) {
+            ch.classes = ch.classIndex ? [{
+              index: ch.classIndex,
+              name: ch.class,
+              level: ch.level,
+              subclass: ch.subclass || '',
+              subclassIndex: ch.subclassIndex || null,
+              hitDie: ch.hitDie || 8,
+              hitDiceUsed: ch.hitDiceUsed || 0,
+            }] : [];
+          }
+          delete ch.hitDie;
+          delete ch.hitDiceUsed;
+          if (ch.spellcasting && !ch.spellcasting.classIndex) ch.spellcasting.classIndex = ch.classIndex;
+        });
+      },
+    },
+    {
+      version: 12,
+      description: 'Add campaign members and invite codes',
+      up(state) {
+        // Everyone who already took part (has a character in the
+        // campaign or voted on its proposals) becomes a player
+        state.campaigns.forEach((c) => {
+          if (!Array.isArray(c.members)) {
+            const ids = new Set();
+            state.characters.filter((ch) => ch.campaignId === c.id).forEach((ch) => ids.add(ch.userId));
+            state.proposals.filter((p) => p.campaignId === c.id).forEach((p) => {
+              (p.votes || []).forEach((v) => {
+                ['yes', 'maybe', 'no'].forEach((vt) => (v[vt] || []).forEach((id) => ids.add(id)));
+              });
+            });
+            ids.delete(c.ownerId);
+            c.members = Array.from(ids).map((userId) => ({ userId, role: 'player', joinedAt: Date.now() }));
+          }
+          if (!c.inviteCode) c.inviteCode = generateInviteCode();
+        });
+      },
+    },
+    {
+      version: 13,
+      description: 'Add campaign join requests and retirement to characters',
+      up(state) {
+        state.characters.forEach((ch) => {
+          if (ch.pendingCampaignId === undefined) ch.pendingCampaignId = null;
+          if (typeof ch.retired !== 'boolean') ch.retired = false;
+        });
+      },
+    },
+    {
+      version: 14,
+      description: 'Add campaign settings and archiving',
+      up(state) {
+        state.campaigns.forEach((c) => {
+          if (typeof c.description !== 'string') c.description = '';
+          if (typeof c.setting !== 'string') c.setting = '';
+          if (typeof c.houseRules !== 'string') c.houseRules = '';
+          if (typeof c.startingLevel !== 'number') c.startingLevel = 1;
+          if (c.advancement !== 'milestone') c.advancement = 'xp';
+          if (c.coverImage === undefined) c.coverImage = null;
+          if (typeof c.archived !== 'boolean') c.archived = false;
+        });
+      },
+    },
+    {
+      version: 15,
+      description: 'Add private rolls',
+      up(state) {
+        state.rolls.forEach((r) => {
+          if (typeof r.private !== 'boolean') r.private = false;
+        });
+      },
+    },
+    {
+      version: 16,
+      description: 'Add weekly availability to users',
+      up(state) {
+        state.users.forEach((u) => {
+          if (!Array.isArray(u.availability)) u.availability = [];
+        });
+      },
+    },
+    {
+      version: 17,
+      description: 'Add voting deadlines, cancellation and revisions to proposals',
+      up(state) {
+        state.proposals.forEach((p) => {
+          if (typeof p.deadline !== 'number') p.deadline = null;
+          if (typeof p.autoFinalize !== 'boolean') p.autoFinalize = false;
+          if (typeof p.cancelled !== 'boolean') p.cancelled = false;
+          if (typeof p.sequence !== 'number') p.sequence = 0;
+        });
+      },
+    },
+  ];
+  const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  // Set by loadState when the saved data could not be used as-is; init
+  // reports it to the user once the UI is up.
+  let stateLoadProblem = null;
+
+  /**
+   * Fresh state for a new install.
+   * @returns {object}
+   */
+  function defaultState() {
+    return migrateState({ schemaVersion: 0 });
+  }
+
+  /**
+   * Run every pending migration on a parsed state object.  Throws if a
+   * migration fails so the caller can treat the save as corrupt.
+   * @param {object} state
+   * @returns {object} The same object, upgraded to SCHEMA_VERSION
+   */
+  function migrateState(state) {
+    const from = typeof state.schemaVersion === 'number' ? state.schemaVersion : 0;
+    MIGRATIONS.filter((m) => m.version > from).forEach((m) => {
+      try {
+        m.up(state);
+      } catch (err) {
+        throw new Error(`Migration ${m.version} (${m.description}) failed: ${err.message}`);
+      }
+      state.schemaVersion = m.version;
+    });
+    return state;
+  }
+
   /**
-   * Load application state from localStorage.  If nothing is stored yet
-   * return sensible defaults.
+   * Load application state through the storage adapter, upgrading older
+   * saves through the migration pipeline.  If nothing is stored yet return
+   * sensible defaults.  A save that cannot be parsed or migrated is
+   * moved aside to CORRUPT_KEY and reported via stateLoadProblem rather
+   * than silently replaced.
    */
   function loadState() {
+    const raw = storage.load();
+    if (!raw) return defaultState();
+    let parsed;
     try {
-      const raw = localStorage.getItem('torchtimeData');
-      if (!raw) {
-        // Initialise default state for a fresh install.  In addition to the
-        // core collections we also include a `rolls` array for dice log
-        // entries.  This ensures newer features such as the dice roller
-        // function correctly without requiring migration.
-        return {
-          users: [],
-          campaigns: [],
-          sessions: [],
-          proposals: [],
-          characters: [],
-          rolls: [],
-          currentUserId: null,
-        };
+      parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Saved data is not an object');
       }
-      const parsed = JSON.parse(raw);
-      // Ensure new keys exist when upgrading older saves
-      if (!Array.isArray(parsed.characters)) parsed.characters = [];
-      if (!Array.isArray(parsed.proposals)) parsed.proposals = [];
-      // Upgrade existing saves: add rolls array if missing
-      if (!Array.isArray(parsed.rolls)) parsed.rolls = [];
-      return parsed;
     } catch (err) {
       console.error('Failed to parse state', err);
-      return {
-        users: [],
-        campaigns: [],
-        sessions: [],
-        proposals: [],
-        characters: [],
-        currentUserId: null,
+      return recoverFromCorruptSave(raw, err);
+    }
+    const from = typeof parsed.schemaVersion === 'number' ? parsed.schemaVersion : 0;
+    if (from > SCHEMA_VERSION) {
+      // Written by a newer TorchTime; use it as-is but warn the user
+      stateLoadProblem = {
+        message: `This data was saved by a newer version of TorchTime (schema ${from}, this version understands ${SCHEMA_VERSION}). Some features may not work correctly.`,
       };
+      return parsed;
+    }
+    if (from === SCHEMA_VERSION) return parsed;
+    localStorage.setItem(BACKUP_KEY, JSON.stringify({ fromVersion: from, savedAt: new Date().toISOString(), raw }));
+    try {
+      migrateState(parsed);
+    } catch (err) {
+      console.error('Failed to migrate state', err);
+      return recoverFromCorruptSave(raw, err);
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(parsed));
+    return parsed;
+  }
+
+  /**
+   * Keep an unreadable save out of harm's way and start from a blank
+   * state.  The raw text stays under CORRUPT_KEY until the user
+   * downloads or discards it.
+   * @param {string} raw
+   * @param {Error} err
+   * @returns {object}
+   */
+  function recoverFromCorruptSave(raw, err) {
+    localStorage.setItem(CORRUPT_KEY, raw);
+    stateLoadProblem = {
+      message: `Your saved TorchTime data could not be loaded (${err.message}). TorchTime has started with empty data; the damaged save has been kept so it can be recovered.`,
+      raw,
+    };
+    return defaultState();
+  }
+
+  /**
+   * Tell the user about a problem found while loading state.  For
+   * corrupt saves, offer to download the raw data for recovery.
+   */
+  function reportStateLoadProblem() {
+    if (!stateLoadProblem) return;
+    const { message, raw } = stateLoadProblem;
+    stateLoadProblem = null;
+    if (raw === undefined) {
+      alert(message);
+      return;
+    }
+    if (confirm(`${message}\n\nDownload the damaged data now?`)) {
+      downloadFile('torchtime-damaged-save.json', raw, 'application/json');
+    }
+  }
+
+  /**
+   * Open a modal dialog on top of the current view.  The returned
+   * `body` element is where callers append their content; a Close
+   * button is added automatically and `close` removes the overlay.
+   * @param {string} titleText
+   * @param {Function} [onClose] Called after the modal has been closed
+   * @returns {{overlay: HTMLElement, body: HTMLElement, close: Function}}
+   */
+  function openModal(titleText, onClose) {
+    const overlay = document.createElement('div');
+    Object.assign(overlay.style, {
+      position: 'fixed',
+      top: '0',
+      left: '0',
+      width: '100%',
+      height: '100%',
+      backgroundColor: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: '1000',
+    });
+    const modal = document.createElement('div');
+    Object.assign(modal.style, {
+      background: 'rgba(255,255,255,0.95)',
+      borderRadius: '8px',
+      padding: '1rem',
+      maxWidth: '600px',
+      maxHeight: '80vh',
+      overflowY: 'auto',
+    });
+    const title = document.createElement('h3');
+    title.textContent = titleText;
+    modal.appendChild(title);
+    const body = document.createElement('div');
+    modal.appendChild(body);
+    const close = () => {
+      overlay.remove();
+      if (onClose) onClose();
+    };
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-secondary';
+    closeBtn.textContent = 'Close';
+    closeBtn.onclick = close;
+    modal.appendChild(closeBtn);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    return { overlay, body, close };
+  }
+
+  /**
+   * Build a readable view of an SRD entry (spell, monster, race,
+   * condition, rules section…).  Known fields are rendered as labelled
+   * rows, named blocks such as monster actions are listed with their
+   * descriptions, and the free text description comes last.  All text
+   * is assigned via textContent so API content is never parsed as HTML.
+   * @param {object} detail The API response
+   * @returns {HTMLElement}
+   */
+  function renderSrdDetail(detail) {
+    const wrap = document.createElement('div');
+    wrap.className = 'srd-detail';
+    const names = (list) => (Array.isArray(list) ? list.map((x) => x.name || x).join(', ') : '');
+    const signed = (n) => (n >= 0 ? `+${n}` : `${n}`);
+    const rows = [
+      ['Level', detail.level !== undefined && detail.school ? (detail.level === 0 ? 'Cantrip' : detail.level) : undefined],
+      ['School', detail.school && detail.school.name],
+      ['Casting Time', detail.casting_time],
+      ['Range', detail.range],
+      ['Components', detail.components && detail.components.join(', ') + (detail.material ? ` (${detail.material})` : '')],
+      ['Duration', detail.duration && (detail.concentration ? `Concentration, ${detail.duration}` : detail.duration)],
+      ['Ritual', detail.ritual ? 'Yes' : undefined],
+      ['Classes', detail.school ? names(detail.classes) : undefined],
+      ['Size', detail.size],
+      ['Type', detail.type && detail.subtype ? `${detail.type} (${detail.subtype})` : detail.type],
+      ['Alignment', detail.alignment],
+      ['Armor Class', Array.isArray(detail.armor_class)
+        ? detail.armor_class.map((ac) => `${ac.value}${ac.type ? ` (${ac.type})` : ''}`).join(', ')
+        : detail.armor_class],
+      ['Hit Points', detail.hit_points !== undefined ? `${detail.hit_points}${detail.hit_dice ? ` (${detail.hit_dice})` : ''}` : undefined],
+      ['Speed', detail.speed && typeof detail.speed === 'object'
+        ? Object.entries(detail.speed).map(([k, v]) => `${k} ${v}`).join(', ')
+        : detail.speed],
+      ['Challenge', detail.challenge_rating !== undefined ? `${detail.challenge_rating} (${detail.xp || 0} XP)` : undefined],
+      ['Senses', detail.senses && Object.entries(detail.senses).map(([k, v]) => `${k.replace(/_/g, ' ')} ${v}`).join(', ')],
+      ['Languages', typeof detail.languages === 'string' ? detail.languages : names(detail.languages)],
+      ['Hit Die', detail.hit_die ? `d${detail.hit_die}` : undefined],
+      ['Saving Throws', names(detail.saving_throws)],
+      ['Proficiencies', names(detail.proficiencies)],
+      ['Ability Bonuses', Array.isArray(detail.ability_bonuses)
+        ? detail.ability_bonuses.map((b) => `${b.ability_score.name} ${signed(b.bonus)}`).join(', ')
+        : undefined],
+      ['Traits', names(detail.traits)],
+      ['Subclasses', names(detail.subclasses)],
+      ['Class', detail.class && detail.class.name],
+      ['Prerequisites', Array.isArray(detail.prerequisites)
+        ? detail.prerequisites.map((p) => (p.ability_score ? `${p.ability_score.name} ${p.minimum_score}` : p.name || '')).join(', ')
+        : undefined],
+      ['Category', detail.equipment_category && detail.equipment_category.name],
+      ['Rarity', detail.rarity && detail.rarity.name],
+    ];
+    rows.forEach(([label, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      const p = document.createElement('p');
+      const strong = document.createElement('strong');
+      strong.textContent = `${label}: `;
+      p.appendChild(strong);
+      p.appendChild(document.createTextNode(String(value)));
+      wrap.appendChild(p);
+    });
+    // Monster ability scores
+    const abilityKeys = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+    if (abilityKeys.every((k) => typeof detail[k] === 'number')) {
+      const grid = document.createElement('div');
+      grid.className = 'stats-grid';
+      abilityKeys.forEach((k) => {
+        const stat = document.createElement('div');
+        stat.className = 'stat';
+        const val = document.createElement('span');
+        val.textContent = detail[k];
+        stat.appendChild(val);
+        stat.appendChild(document.createTextNode(`${k.substring(0, 3).toUpperCase()} ${signed(Math.floor((detail[k] - 10) / 2))}`));
+        grid.appendChild(stat);
+      });
+      wrap.appendChild(grid);
+    }
+    // Description text.  Rules sections use a markdown string, most other
+    // entries an array of paragraphs.
+    const paragraphs = Array.isArray(detail.desc)
+      ? detail.desc
+      : typeof detail.desc === 'string' ? detail.desc.split(/\n{2,}/) : [];
+    paragraphs.forEach((para) => {
+      const heading = para.match(/^#+\s*(.*)$/);
+      const el = document.createElement(heading ? 'h4' : 'p');
+      el.textContent = heading ? heading[1] : para;
+      el.style.whiteSpace = 'pre-wrap';
+      wrap.appendChild(el);
+    });
+    if (Array.isArray(detail.higher_level) && detail.higher_level.length > 0) {
+      const p = document.createElement('p');
+      const strong = document.createElement('strong');
+      strong.textContent = 'At Higher Levels. ';
+      p.appendChild(strong);
+      p.appendChild(document.createTextNode(detail.higher_level.join(' ')));
+      wrap.appendChild(p);
     }
+    // Named blocks (monster traits and actions)
+    [
+      ['special_abilities', 'Special Abilities'],
+      ['actions', 'Actions'],
+      ['reactions', 'Reactions'],
+      ['legendary_actions', 'Legendary Actions'],
+    ].forEach(([key, label]) => {
+      if (!Array.isArray(detail[key]) || detail[key].length === 0) return;
+      const h = document.createElement('h4');
+      h.textContent = label;
+      wrap.appendChild(h);
+      detail[key].forEach((block) => {
+        const p = document.createElement('p');
+        const strong = document.createElement('strong');
+        strong.textContent = `${block.name}. `;
+        p.appendChild(strong);
+        p.appendChild(document.createTextNode(block.desc || ''));
+        wrap.appendChild(p);
+      });
+    });
+    return wrap;
+  }
+
+  // Search text of SRD detail responses, worked out once per response
+  const srdSearchTexts = new WeakMap();
+
+  /**
+   * Descriptive text of an SRD detail response: every `desc` and
+   * `higher_level` string in it, including those of nested entries such
+   * as a monster's actions or a class feature's sub-sections.  `lower`
+   * is the same text lower-cased for matching.
+   * @param {object} detail
+   * @returns {{text: string, lower: string}}
+   */
+  function srdSearchText(detail) {
+    if (!detail || typeof detail !== 'object') return { text: '', lower: '' };
+    if (srdSearchTexts.has(detail)) return srdSearchTexts.get(detail);
+    const parts = [];
+    const collect = (value, isText) => {
+      if (typeof value === 'string') {
+        if (isText) parts.push(value);
+      } else if (Array.isArray(value)) {
+        value.forEach((v) => collect(v, isText));
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([k, v]) => collect(v, k === 'desc' || k === 'higher_level'));
+      }
+    };
+    collect(detail, false);
+    const text = parts.join('\n');
+    const result = { text, lower: text.toLowerCase() };
+    srdSearchTexts.set(detail, result);
+    return result;
   }
 
   /**
-   * Render a reference library for races, classes, subclasses and feats.
-   * This compendium fetches lists from the public D&D 5e API on demand
-   * and caches the results to minimise network traffic. Users can
-   * browse a category and click an entry to view its raw JSON details
-   * in a modal. If the API is unreachable, an error message is
-   * displayed. The UI uses existing list and button styles for
-   * consistency.
+   * Render a searchable reference library covering races, classes,
+   * subclasses, feats, spells, monsters, conditions, magic items and
+   * rules sections.  Lists are fetched through the SRD data layer
+   * (srdGet), which caches the results to minimise network traffic.
+   * The search box filters the active category by name and by the
+   * description text of every entry already in the cache (see
+   * srdSearchText), so rules text is searchable offline; the "All" tab
+   * searches every category at once.  Spells can be filtered by level
+   * and school and monsters by challenge rating using the API's query
+   * parameters.  Clicking an entry opens a rendered detail view in a
+   * modal.
    *
    * @param {HTMLElement} container
    * @param {object} state
@@ -75,44 +575,200 @@
     const heading = document.createElement('h2');
     heading.textContent = 'Compendium';
     container.appendChild(heading);
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.placeholder = 'Search the compendium…';
+    searchInput.style.padding = '0.5rem';
+    searchInput.style.width = '60%';
+    searchInput.style.marginBottom = '0.5rem';
+    container.appendChild(searchInput);
     const tabBar = document.createElement('div');
     tabBar.style.display = 'flex';
+    tabBar.style.flexWrap = 'wrap';
     tabBar.style.gap = '0.5rem';
-    tabBar.style.marginBottom = '1rem';
+    tabBar.style.marginBottom = '0.5rem';
     container.appendChild(tabBar);
+    const filterBar = document.createElement('div');
+    filterBar.style.display = 'flex';
+    filterBar.style.gap = '0.5rem';
+    filterBar.style.marginBottom = '1rem';
+    container.appendChild(filterBar);
     const content = document.createElement('div');
     container.appendChild(content);
     const categories = [
+      { key: 'all', label: 'All' },
       { key: 'races', label: 'Races', endpoint: 'races' },
       { key: 'classes', label: 'Classes', endpoint: 'classes' },
       { key: 'subclasses', label: 'Subclasses', endpoint: 'subclasses' },
       { key: 'feats', label: 'Feats', endpoint: 'feats' },
+      { key: 'spells', label: 'Spells', endpoint: 'spells' },
+      { key: 'monsters', label: 'Monsters', endpoint: 'monsters' },
+      { key: 'conditions', label: 'Conditions', endpoint: 'conditions' },
+      { key: 'magic-items', label: 'Magic Items', endpoint: 'magic-items' },
+      { key: 'rule-sections', label: 'Rules', endpoint: 'rule-sections' },
     ];
-    const cache = {};
+    const spellSchools = [
+      'abjuration', 'conjuration', 'divination', 'enchantment',
+      'evocation', 'illusion', 'necromancy', 'transmutation',
+    ];
+    const challengeRatings = [0, 0.125, 0.25, 0.5].concat(Array.from({ length: 30 }, (_, i) => i + 1));
+    let activeCat = categories[1];
+    // Current list for the active category after API-side filters, and
+    // the cached details of its entries for searching descriptions
+    let currentList = [];
+    let currentDetails = new Map();
+    // Guards against out-of-order responses when filters change quickly
+    let requestId = 0;
+
+    /**
+     * Build a <select> for the filter bar.
+     * @param {string} label Text shown for the "any" option
+     * @param {Array<{value:string,label:string}>} options
+     */
+    function makeFilter(label, options) {
+      const sel = document.createElement('select');
+      sel.innerHTML = `<option value="">${label}</option>` +
+        options.map((o) => `<option value="${o.value}">${o.label}</option>`).join('');
+      sel.onchange = () => loadCategory();
+      filterBar.appendChild(sel);
+      return sel;
+    }
+    let spellLevelSel = null;
+    let spellSchoolSel = null;
+    let monsterCrSel = null;
+    function renderFilters() {
+      filterBar.innerHTML = '';
+      spellLevelSel = null;
+      spellSchoolSel = null;
+      monsterCrSel = null;
+      if (activeCat.key === 'spells') {
+        spellLevelSel = makeFilter('Any level', Array.from({ length: 10 }, (_, i) => ({
+          value: String(i),
+          label: i === 0 ? 'Cantrip' : `Level ${i}`,
+        })));
+        spellSchoolSel = makeFilter('Any school', spellSchools.map((s) => ({
+          value: s,
+          label: s.charAt(0).toUpperCase() + s.slice(1),
+        })));
+      } else if (activeCat.key === 'monsters') {
+        monsterCrSel = makeFilter('Any CR', challengeRatings.map((cr) => ({
+          value: String(cr),
+          label: `CR ${cr === 0.125 ? '1/8' : cr === 0.25 ? '1/4' : cr === 0.5 ? '1/2' : cr}`,
+        })));
+      }
+    }
+
+    /**
+     * Fetch the list for the active category, applying API-side
+     * filters.  When both spell filters are set we request each
+     * separately and intersect them, which keeps the number of distinct
+     * (cached) query paths small.
+     */
+    async function fetchFiltered() {
+      const base = `/api/${activeCat.endpoint}`;
+      const queries = [];
+      if (spellLevelSel && spellLevelSel.value) queries.push(`${base}?level=${spellLevelSel.value}`);
+      if (spellSchoolSel && spellSchoolSel.value) queries.push(`${base}?school=${spellSchoolSel.value}`);
+      if (monsterCrSel && monsterCrSel.value) queries.push(`${base}?challenge_rating=${monsterCrSel.value}`);
+      if (queries.length === 0) queries.push(base);
+      const responses = await Promise.all(queries.map((q) => srdGet(q)));
+      responses.forEach((data) => {
+        if (!data || !data.results) throw new Error('Invalid response');
+      });
+      return responses.reduce((acc, data) => {
+        const keep = new Set(data.results.map((r) => r.index));
+        return acc.filter((r) => keep.has(r.index));
+      }, responses[0].results);
+    }
+
+    function loadCategory() {
+      const myRequest = ++requestId;
+      if (activeCat.key === 'all') {
+        runSearch();
+        return;
+      }
+      content.innerHTML = '<p>Loading…</p>';
+      Promise.all([fetchFiltered(), srdCacheEntries(`/api/${activeCat.endpoint}/`)])
+        .then(([list, details]) => {
+          if (myRequest !== requestId) return;
+          currentList = list;
+          currentDetails = details;
+          runSearch();
+        })
+        .catch((err) => {
+          if (myRequest !== requestId) return;
+          console.error('Failed to load compendium category', activeCat.key, err);
+          content.innerHTML = `<p>Failed to load ${activeCat.label}. Please try again later.</p>`;
+        });
+    }
+
     function showCategory(cat) {
+      activeCat = cat;
       // Highlight active tab
       Array.from(tabBar.children).forEach((btn) => {
         btn.classList.toggle('active', btn.dataset.key === cat.key);
       });
-      if (cache[cat.key]) {
-        renderList(cache[cat.key]);
+      renderFilters();
+      loadCategory();
+    }
+
+    /**
+     * Apply the search box to the active category, or to every category
+     * when the "All" tab is selected.
+     */
+    function runSearch() {
+      const q = searchInput.value.trim().toLowerCase();
+      const matches = (item, details) => !q || item.name.toLowerCase().includes(q) ||
+        srdSearchText(details.get(item.url)).lower.includes(q);
+      if (activeCat.key !== 'all') {
+        renderList(currentList.filter((item) => matches(item, currentDetails)), currentDetails, q);
         return;
       }
-      content.innerHTML = '<p>Loading…</p>';
-      fetch(`https://www.dnd5eapi.co/api/${cat.endpoint}`)
-        .then((res) => res.json())
-        .then((data) => {
-          if (!data || !data.results) throw new Error('Invalid response');
-          cache[cat.key] = data.results;
-          renderList(data.results);
-        })
-        .catch((err) => {
-          console.error('Failed to load compendium category', cat.key, err);
-          content.innerHTML = `<p>Failed to load ${cat.label}. Please try again later.</p>`;
+      if (!q) {
+        content.innerHTML = '<p>Type to search names and descriptions in every category.</p>';
+        return;
+      }
+      const myRequest = requestId;
+      content.innerHTML = '<p>Searching…</p>';
+      const searchable = categories.filter((c) => c.endpoint);
+      Promise.all(searchable.map((c) =>
+        Promise.all([srdGet(`/api/${c.endpoint}`), srdCacheEntries(`/api/${c.endpoint}/`)])
+          .then(([data, details]) => ({ cat: c, details, results: (data.results || []).filter((item) => matches(item, details)) }))
+          .catch(() => ({ cat: c, results: [], failed: true }))
+      )).then((groups) => {
+        if (myRequest !== requestId || searchInput.value.trim().toLowerCase() !== q) return;
+        content.innerHTML = '';
+        let total = 0;
+        groups.forEach(({ cat, results, details, failed }) => {
+          if (failed) {
+            const p = document.createElement('p');
+            p.textContent = `${cat.label} unavailable offline.`;
+            content.appendChild(p);
+            return;
+          }
+          if (results.length === 0) return;
+          total += results.length;
+          const h = document.createElement('h3');
+          h.textContent = `${cat.label} (${results.length})`;
+          content.appendChild(h);
+          content.appendChild(buildList(results, details, q));
         });
+        if (total === 0) {
+          const p = document.createElement('p');
+          p.textContent = 'No matches.';
+          content.appendChild(p);
+        }
+      });
     }
-    function renderList(list) {
-      content.innerHTML = '';
+
+    /**
+     * List entries by name.  Entries that matched the search in their
+     * description show the surrounding text.
+     * @param {object[]} list
+     * @param {Map<string, object>} details Cached details by path
+     * @param {string} q Lower-cased search text
+     */
+    function buildList(list, details, q) {
       const ul = document.createElement('ul');
       ul.className = 'list';
       list.forEach((item) => {
@@ -121,9 +777,16 @@
         nameSpan.textContent = item.name;
         nameSpan.style.cursor = 'pointer';
         nameSpan.style.flex = '1';
+        if (q && !item.name.toLowerCase().includes(q)) {
+          const { text, lower } = srdSearchText(details.get(item.url));
+          const at = lower.indexOf(q);
+          const excerpt = document.createElement('small');
+          excerpt.style.display = 'block';
+          excerpt.textContent = `${at > 40 ? '…' : ''}${text.slice(Math.max(0, at - 40), at + q.length + 40)}…`;
+          nameSpan.appendChild(excerpt);
+        }
         nameSpan.onclick = () => {
-          fetch(`https://www.dnd5eapi.co${item.url}`)
-            .then((res) => res.json())
+          srdGet(item.url)
             .then((detail) => {
               renderDetail(detail);
             })
@@ -135,45 +798,19 @@
         li.appendChild(nameSpan);
         ul.appendChild(li);
       });
-      content.appendChild(ul);
+      return ul;
+    }
+    function renderList(list, details, q) {
+      content.innerHTML = '';
+      if (list.length === 0) {
+        content.innerHTML = '<p>No matches.</p>';
+        return;
+      }
+      content.appendChild(buildList(list, details, q));
     }
     function renderDetail(detail) {
-      const overlay = document.createElement('div');
-      Object.assign(overlay.style, {
-        position: 'fixed',
-        top: '0',
-        left: '0',
-        width: '100%',
-        height: '100%',
-        backgroundColor: 'rgba(0,0,0,0.5)',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        zIndex: '1000',
-      });
-      const modal = document.createElement('div');
-      Object.assign(modal.style, {
-        background: 'rgba(255,255,255,0.95)',
-        borderRadius: '8px',
-        padding: '1rem',
-        maxWidth: '600px',
-        maxHeight: '80vh',
-        overflowY: 'auto',
-      });
-      const title = document.createElement('h3');
-      title.textContent = detail.name || 'Detail';
-      modal.appendChild(title);
-      const pre = document.createElement('pre');
-      pre.style.whiteSpace = 'pre-wrap';
-      pre.style.fontFamily = 'inherit';
-      pre.textContent = JSON.stringify(detail, null, 2);
-      modal.appendChild(pre);
-      const closeBtn = document.createElement('button');
-      closeBtn.textContent = 'Close';
-      closeBtn.onclick = () => overlay.remove();
-      modal.appendChild(closeBtn);
-      overlay.appendChild(modal);
-      document.body.appendChild(overlay);
+      const { body } = openModal(detail.name || 'Detail');
+      body.appendChild(renderSrdDetail(detail));
     }
     // Create tab buttons
     categories.forEach((cat) => {
@@ -184,148 +821,2886 @@
       btn.onclick = () => showCategory(cat);
       tabBar.appendChild(btn);
     });
-    // Load first category by default
-    showCategory(categories[0]);
+    // Filter as the user types; the "All" tab waits for a short pause
+    // so we don't fan out requests on every keystroke.
+    let searchTimer = null;
+    searchInput.oninput = () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        if (activeCat.key === 'all') requestId++;
+        runSearch();
+      }, activeCat.key === 'all' ? 250 : 0);
+    };
+    // Load the races category by default
+    showCategory(activeCat);
+  }
+  // ----- Storage adapters and sync -----
+  //
+  // saveState and loadState talk to a storage adapter rather than to
+  // localStorage directly.  Every adapter provides:
+  //
+  //   name         'local' or 'rest'
+  //   load()       the raw saved blob (a JSON string) or null
+  //   save(state)  persist the state synchronously
+  //
+  // and may also provide start(state, onRemoteChange), stop(),
+  // sync(state) and forget(collection, ids) when it talks to other
+  // devices.  `forget` is for entities removed from this browser only,
+  // such as rolls trimmed from the local log: their removal is not
+  // passed on as a deletion.  The localStorage
+  // adapter is the default.  The REST sync adapter keeps localStorage
+  // as an offline cache and exchanges per-entity changes with a sync
+  // server (see sync-server.js for a local stand-in).  Conflicts are
+  // settled last-write-wins on each entity's updatedAt time and listed
+  // on the Backup page.
+  //
+  // Sync protocol:
+  //   GET  {server}/api/sync?since=<cursor>&userId=<logged-in user>
+  //        -> { cursor, changes: [change] }
+  //   POST {server}/api/sync   { changes: [change] }
+  //        -> { cursor, accepted: [{collection, id}], conflicts: [change] }
+  // where a change is { collection, id, updatedAt, deleted, schemaVersion, data }
+  // and `conflicts` holds the server's newer copies of rejected changes.
+  // User records travel without their password fields (see syncedCopy),
+  // so an account can only log in on devices that already know its
+  // password; other devices just see the name.
+  const SYNC_KEY = 'torchtimeData.sync';
+  const SYNC_COLLECTIONS = ['users', 'campaigns', 'sessions', 'proposals', 'characters', 'rolls', 'encounters'];
+  // Local edits are pushed after a short pause; remote changes are
+  // pulled on a fixed interval.
+  const SYNC_PUSH_DELAY_MS = 2000;
+  const SYNC_PULL_INTERVAL_MS = 30000;
+  // Only the most recent conflicts are kept for review
+  const SYNC_CONFLICT_LIMIT = 50;
+
+  /**
+   * Storage adapter backed by this browser's localStorage.
+   * @returns {object}
+   */
+  function createLocalStorageAdapter() {
+    return {
+      name: 'local',
+      load() {
+        return localStorage.getItem(STORAGE_KEY);
+      },
+      save(state) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+      },
+    };
+  }
+
+  /**
+   * Read the sync bookkeeping: the server, the pull cursor, a hash of
+   * every entity as last seen on the server, local edits waiting to be
+   * pushed and recent conflicts.
+   * @returns {object}
+   */
+  function loadSyncMeta() {
+    let meta = null;
+    try {
+      meta = JSON.parse(localStorage.getItem(SYNC_KEY));
+    } catch (err) {
+      console.error('Failed to parse sync settings', err);
+    }
+    return {
+      serverUrl: null,
+      cursor: 0,
+      known: {},
+      pending: {},
+      baseline: false,
+      conflicts: [],
+      lastSyncedAt: null,
+      lastError: null,
+      ...(meta || {}),
+    };
+  }
+
+  /**
+   * @param {object} meta
+   */
+  function saveSyncMeta(meta) {
+    localStorage.setItem(SYNC_KEY, JSON.stringify(meta));
+  }
+
+  /**
+   * Cheap string hash (32-bit FNV-1a) used to notice which entities
+   * changed between saves without keeping a second copy of the state.
+   * @param {string} str
+   * @returns {string}
+   */
+  function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+  }
+
+  /**
+   * The form of an entity that is sent to, and compared with, the sync
+   * server.  Users are stripped of their credentials.
+   * @param {string} collection
+   * @param {object} item
+   * @returns {object}
+   */
+  function syncedCopy(collection, item) {
+    return collection === 'users' ? keepLocalCredentials(item, undefined) : item;
+  }
+
+  /**
+   * Storage adapter that syncs with a TorchTime sync server.
+   * @param {string} serverUrl Base URL, e.g. http://localhost:8787
+   * @param {object} [local] Adapter used as the offline cache
+   * @returns {object}
+   */
+  function createRestSyncAdapter(serverUrl, local = createLocalStorageAdapter()) {
+    const baseUrl = serverUrl.replace(/\/+$/, '');
+    let pushTimer = null;
+    let pullTimer = null;
+    let running = null;
+    let rerunRequested = false;
+    let notify = null;
+
+    /**
+     * Compare the state with what was last seen or saved and queue
+     * every entity that was added, changed or removed.  Nothing is
+     * queued until the first pull after connecting (see applyBaseline):
+     * until then there is nothing to compare against.
+     */
+    function trackLocalChanges(state, meta) {
+      if (meta.baseline) return;
+      const now = Date.now();
+      const seen = new Set();
+      SYNC_COLLECTIONS.forEach((collection) => {
+        (state[collection] || []).forEach((item) => {
+          const key = `${collection}/${item.id}`;
+          seen.add(key);
+          const hash = hashString(JSON.stringify(syncedCopy(collection, item)));
+          if (meta.known[key] !== hash) {
+            meta.known[key] = hash;
+            meta.pending[key] = { updatedAt: now, deleted: false };
+          }
+        });
+      });
+      Object.keys(meta.known).forEach((key) => {
+        if (seen.has(key)) return;
+        delete meta.known[key];
+        meta.pending[key] = { updatedAt: now, deleted: true };
+      });
+    }
+
+    /**
+     * Put a change from the server into the state, upgrading it through
+     * the migrations if it was written by an older TorchTime.
+     */
+    function applyRemoteChange(state, meta, change) {
+      const key = `${change.collection}/${change.id}`;
+      const list = state[change.collection];
+      const idx = list.findIndex((x) => x.id === change.id);
+      if (change.deleted) {
+        if (idx >= 0) list.splice(idx, 1);
+        delete meta.known[key];
+        return;
+      }
+      let item = change.data;
+      if ((change.schemaVersion || 0) < SCHEMA_VERSION) {
+        // Migrations expect every collection to be present
+        const partial = { schemaVersion: change.schemaVersion || 0 };
+        SYNC_COLLECTIONS.forEach((c) => {
+          partial[c] = c === change.collection ? [item] : [];
+        });
+        item = migrateState(partial)[change.collection][0];
+      }
+      meta.known[key] = hashString(JSON.stringify(syncedCopy(change.collection, item)));
+      // Passwords never come from the server; keep the ones known here
+      if (change.collection === 'users') item = keepLocalCredentials(item, idx >= 0 ? list[idx] : undefined);
+      if (idx >= 0) list[idx] = item;
+      else list.push(item);
+    }
+
+    /**
+     * First sync after connecting: take the server's copy of everything
+     * it has.  The times of edits made here before connecting are not
+     * known, so a local copy that differs is treated as older than the
+     * server's and recorded as a conflict.  Entities the server doesn't
+     * have are pushed afterwards as new.
+     * @param {object} state
+     * @param {object} meta
+     * @param {{cursor: number, changes: object[]}} res Everything on the server
+     * @returns {{pulled: number, conflicts: number}}
+     */
+    function applyBaseline(state, meta, res) {
+      const result = { pulled: 0, conflicts: 0 };
+      res.changes.forEach((remote) => {
+        if (!SYNC_COLLECTIONS.includes(remote.collection)) return;
+        const localItem = state[remote.collection].find((x) => x.id === remote.id);
+        if (remote.deleted && !localItem) return;
+        if (localItem && !remote.deleted) {
+          const hash = hashString(JSON.stringify(syncedCopy(remote.collection, localItem)));
+          if (hash === hashString(JSON.stringify(remote.data))) {
+            meta.known[`${remote.collection}/${remote.id}`] = hash;
+            return;
+          }
+        }
+        if (localItem) {
+          recordConflict(meta, state, {}, remote, 'remote');
+          result.conflicts++;
+        }
+        applyRemoteChange(state, meta, remote);
+        result.pulled++;
+      });
+      meta.cursor = res.cursor;
+      meta.baseline = false;
+      return result;
+    }
+
+    function recordConflict(meta, state, local, remote, kept) {
+      const item = (state[remote.collection] || []).find((x) => x.id === remote.id) || remote.data || {};
+      meta.conflicts.unshift({
+        collection: remote.collection,
+        id: remote.id,
+        label: item.name || item.username || item.label || remote.id,
+        localAt: local.updatedAt,
+        remoteAt: remote.updatedAt,
+        kept,
+        at: Date.now(),
+      });
+      meta.conflicts.length = Math.min(meta.conflicts.length, SYNC_CONFLICT_LIMIT);
+    }
+
+    async function request(method, path, body) {
+      const res = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (!res.ok) throw new Error(`Sync server answered ${res.status}`);
+      return res.json();
+    }
+
+    function pullPath(state, since) {
+      return `/api/sync?since=${encodeURIComponent(since)}&userId=${encodeURIComponent(state.currentUserId || '')}`;
+    }
+
+    /**
+     * Push queued local changes, then pull everything the server has
+     * seen since the last pull.  The sync meta is read again after every
+     * request and saved before the next one, since saveState may queue
+     * more changes while a request is in flight.
+     */
+    async function runSync(state) {
+      const result = { pushed: 0, pulled: 0, conflicts: 0 };
+      let remoteChanged = false;
+      let meta;
+      if (loadSyncMeta().baseline) {
+        const res = await request('GET', pullPath(state, 0));
+        meta = loadSyncMeta();
+        const base = applyBaseline(state, meta, res);
+        saveSyncMeta(meta);
+        result.pulled += base.pulled;
+        result.conflicts += base.conflicts;
+        remoteChanged = base.pulled > 0;
+      }
+      // Push
+      meta = loadSyncMeta();
+      trackLocalChanges(state, meta);
+      saveSyncMeta(meta);
+      const outgoing = Object.entries(meta.pending).map(([key, p]) => {
+        const [collection, id] = key.split('/');
+        const item = p.deleted ? null : (state[collection] || []).find((x) => x.id === id);
+        const data = item ? syncedCopy(collection, item) : null;
+        return { collection, id, updatedAt: p.updatedAt, deleted: p.deleted || !data, schemaVersion: SCHEMA_VERSION, data };
+      });
+      if (outgoing.length > 0) {
+        const res = await request('POST', '/api/sync', { changes: outgoing });
+        meta = loadSyncMeta();
+        res.accepted.forEach(({ collection, id }) => {
+          const key = `${collection}/${id}`;
+          const sent = outgoing.find((c) => c.collection === collection && c.id === id);
+          // Leave it queued if it was edited again while in flight
+          if (meta.pending[key] && sent && meta.pending[key].updatedAt === sent.updatedAt) delete meta.pending[key];
+          result.pushed++;
+        });
+        res.conflicts.forEach((remote) => {
+          const key = `${remote.collection}/${remote.id}`;
+          recordConflict(meta, state, meta.pending[key] || {}, remote, 'remote');
+          delete meta.pending[key];
+          applyRemoteChange(state, meta, remote);
+          remoteChanged = true;
+          result.conflicts++;
+        });
+        saveSyncMeta(meta);
+      }
+      // Pull
+      const res = await request('GET', pullPath(state, meta.cursor));
+      meta = loadSyncMeta();
+      res.changes.forEach((remote) => {
+        if (!SYNC_COLLECTIONS.includes(remote.collection)) return;
+        const key = `${remote.collection}/${remote.id}`;
+        const pending = meta.pending[key];
+        if (pending) {
+          // Edited here and elsewhere since the last sync: newest wins
+          if (pending.updatedAt > remote.updatedAt) {
+            recordConflict(meta, state, pending, remote, 'local');
+            result.conflicts++;
+            return;
+          }
+          recordConflict(meta, state, pending, remote, 'remote');
+          delete meta.pending[key];
+          result.conflicts++;
+        }
+        const current = remote.deleted ? undefined : hashString(JSON.stringify(remote.data));
+        if (meta.known[key] === current && !pending) return;
+        applyRemoteChange(state, meta, remote);
+        remoteChanged = true;
+        result.pulled++;
+      });
+      meta.cursor = res.cursor;
+      meta.lastSyncedAt = Date.now();
+      meta.lastError = null;
+      saveSyncMeta(meta);
+      // The server keeps more rolls than this browser does
+      trimRollLog(state);
+      local.save(state);
+      if (remoteChanged && notify) notify();
+      return result;
+    }
+
+    /**
+     * Run a sync, or queue one more run if a sync is in progress.
+     * Errors are recorded in the sync settings and rethrown.
+     */
+    function sync(state) {
+      if (running) {
+        rerunRequested = true;
+        return running;
+      }
+      running = runSync(state)
+        .catch((err) => {
+          const meta = loadSyncMeta();
+          meta.lastError = err.message;
+          saveSyncMeta(meta);
+          throw err;
+        })
+        .finally(() => {
+          running = null;
+          if (rerunRequested) {
+            rerunRequested = false;
+            sync(state).catch((err) => console.error('Sync failed', err));
+          }
+        });
+      return running;
+    }
+
+    return {
+      name: 'rest',
+      serverUrl: baseUrl,
+      load: () => local.load(),
+      save(state) {
+        local.save(state);
+        const meta = loadSyncMeta();
+        trackLocalChanges(state, meta);
+        saveSyncMeta(meta);
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(() => {
+          sync(state).catch((err) => console.error('Sync failed', err));
+        }, SYNC_PUSH_DELAY_MS);
+      },
+      start(state, onRemoteChange) {
+        notify = onRemoteChange;
+        sync(state).catch((err) => console.error('Sync failed', err));
+        pullTimer = setInterval(() => {
+          sync(state).catch((err) => console.error('Sync failed', err));
+        }, SYNC_PULL_INTERVAL_MS);
+      },
+      stop() {
+        clearTimeout(pushTimer);
+        clearInterval(pullTimer);
+        notify = null;
+      },
+      forget(collection, ids) {
+        const meta = loadSyncMeta();
+        ids.forEach((id) => {
+          delete meta.known[`${collection}/${id}`];
+          delete meta.pending[`${collection}/${id}`];
+        });
+        saveSyncMeta(meta);
+      },
+      sync,
+    };
+  }
+
+  /**
+   * Pick the storage adapter for this browser: the REST sync adapter if
+   * a sync server has been configured, otherwise localStorage.
+   * @returns {object}
+   */
+  function createStorageAdapter() {
+    const { serverUrl } = loadSyncMeta();
+    return serverUrl ? createRestSyncAdapter(serverUrl) : createLocalStorageAdapter();
+  }
+
+  let storage = createStorageAdapter();
+
+  /**
+   * Connect this browser to a sync server, or disconnect it (pass
+   * null).  Connecting starts from a clean slate: the first sync takes
+   * the server's copy of everything and offers the server whatever it
+   * doesn't have yet.
+   * @param {object} state
+   * @param {string|null} serverUrl
+   * @param {Function} onRemoteChange Called after remote changes are applied
+   */
+  function setSyncServer(state, serverUrl, onRemoteChange) {
+    if (storage.stop) storage.stop();
+    saveSyncMeta({
+      ...loadSyncMeta(),
+      serverUrl,
+      cursor: 0,
+      known: {},
+      pending: {},
+      baseline: Boolean(serverUrl),
+      lastSyncedAt: null,
+      lastError: null,
+    });
+    storage = serverUrl ? createRestSyncAdapter(serverUrl) : createLocalStorageAdapter();
+    storage.save(state);
+    if (storage.start) storage.start(state, onRemoteChange);
+    if (rollFeed) rollFeed.connectSocket(getRollSocketUrl());
+  }
+
+  /**
+   * Persist application state through the active storage adapter.
+   * @param {object} state The state to store.
+   */
+  function saveState(state) {
+    storage.save(state);
+  }
+
+  /**
+   * Generate a unique identifier.  In production you'd use a proper
+   * database or UUID library.
+   */
+  function uuid() {
+    return (
+      Date.now().toString(36) +
+      Math.random().toString(36).substring(2, 8)
+    );
+  }
+
+  /**
+   * Format a Date object into a locale string suitable for display.
+   * Shows date and time in the user's locale.
+   * @param {Date|string} date
+   */
+  function formatDateTime(date) {
+    const d = typeof date === 'string' ? new Date(date) : date;
+    return d.toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+  }
+
+  /**
+   * Escape text for use inside an innerHTML template.  Anything that
+   * users typed, or that arrived through sync, goes through here.
+   * @param {*} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[c]);
+  }
+
+  // XP needed for each level (index 0 is level 1), from the official
+  // progression table up to level 20.
+  const XP_THRESHOLDS = [
+    0, 300, 900, 2700, 6500, 14000, 23000, 34000, 48000, 64000,
+    85000, 100000, 120000, 140000, 165000, 195000, 225000,
+    265000, 305000, 355000,
+  ];
+
+  /**
+   * Compute a D&D 5e level from experience points.
+   * @param {number} xp
+   * @returns {number}
+   */
+  function getLevelFromXp(xp) {
+    for (let i = XP_THRESHOLDS.length - 1; i >= 0; i--) {
+      if (xp >= XP_THRESHOLDS[i]) return i + 1;
+    }
+    return 1;
+  }
+
+  // ----- SRD data layer -----
+  //
+  // Every lookup against the D&D 5e API goes through srdGet.  SRD
+  // reference data never changes between requests, so responses are
+  // kept in an in-memory map and persisted to IndexedDB.  Lookups are
+  // served from the cache first and only hit the network for paths we
+  // have never seen; if that request fails the lookup fails.  Together
+  // with the bundled snapshot (seedSrdCache) this lets the app keep
+  // working at a table without Wi-Fi.
+  const SRD_BASE_URL = 'https://www.dnd5eapi.co';
+  const SRD_DB_NAME = 'torchtimeSrd';
+  const SRD_STORE = 'responses';
+  const SRD_SNAPSHOT_URL = 'srd-snapshot.json';
+  // Written alongside the snapshot; names the snapshot's build stamp so
+  // the full file is only downloaded when it is new
+  const SRD_MANIFEST_URL = 'srd-snapshot.manifest.json';
+  const srdMemoryCache = new Map();
+  let srdDbPromise = null;
+
+  /**
+   * Open (or create) the IndexedDB database backing the SRD cache.
+   * Resolves to null when IndexedDB is unavailable, e.g. in private
+   * browsing modes, in which case only the in-memory cache is used.
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openSrdDb() {
+    if (srdDbPromise) return srdDbPromise;
+    srdDbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+      try {
+        const req = indexedDB.open(SRD_DB_NAME, 1);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(SRD_STORE);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.error('Failed to open SRD cache', req.error);
+          resolve(null);
+        };
+      } catch (err) {
+        console.error('Failed to open SRD cache', err);
+        resolve(null);
+      }
+    });
+    return srdDbPromise;
+  }
+
+  /**
+   * Read a cached SRD response from IndexedDB.
+   * @param {string} path API path such as "/api/races/elf"
+   * @returns {Promise<object|undefined>}
+   */
+  async function srdCacheGet(path) {
+    const db = await openSrdDb();
+    if (!db) return undefined;
+    return new Promise((resolve) => {
+      const req = db.transaction(SRD_STORE, 'readonly').objectStore(SRD_STORE).get(path);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(undefined);
+    });
+  }
+
+  /**
+   * Paths of every response in IndexedDB, read in one transaction.
+   * @returns {Promise<Set<string>>}
+   */
+  async function srdCacheKeys() {
+    const db = await openSrdDb();
+    if (!db) return new Set();
+    return new Promise((resolve) => {
+      const req = db.transaction(SRD_STORE, 'readonly').objectStore(SRD_STORE).getAllKeys();
+      req.onsuccess = () => resolve(new Set(req.result));
+      req.onerror = () => resolve(new Set());
+    });
+  }
+
+  /**
+   * Persist a batch of SRD responses to IndexedDB in one transaction.
+   * @param {Array<[string, object]>} entries Pairs of API path and response body
+   * @returns {Promise<void>}
+   */
+  async function srdCachePut(entries) {
+    const db = await openSrdDb();
+    if (!db || entries.length === 0) return;
+    return new Promise((resolve) => {
+      const tx = db.transaction(SRD_STORE, 'readwrite');
+      const store = tx.objectStore(SRD_STORE);
+      entries.forEach(([path, data]) => store.put(data, path));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => {
+        console.error('Failed to write SRD cache', tx.error);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Every cached response whose path starts with the prefix, read from
+   * IndexedDB in one transaction plus anything only in memory.  Never
+   * touches the network.
+   * @param {string} prefix e.g. "/api/spells/"
+   * @returns {Promise<Map<string, object>>} Responses by path
+   */
+  async function srdCacheEntries(prefix) {
+    const found = new Map();
+    const db = await openSrdDb();
+    if (db) {
+      await new Promise((resolve) => {
+        const store = db.transaction(SRD_STORE, 'readonly').objectStore(SRD_STORE);
+        const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+        // Requests in one transaction complete in order, so the keys
+        // are in when the values arrive
+        const keysReq = store.getAllKeys(range);
+        const valuesReq = store.getAll(range);
+        valuesReq.onsuccess = () => {
+          keysReq.result.forEach((key, i) => found.set(key, valuesReq.result[i]));
+          resolve();
+        };
+        valuesReq.onerror = () => resolve();
+      });
+    }
+    srdMemoryCache.forEach((data, path) => {
+      if (path.startsWith(prefix) && !found.has(path)) found.set(path, data);
+    });
+    return found;
+  }
+
+  /**
+   * Look up an SRD resource.  Accepts either an API path as returned in
+   * the `url` field of API references ("/api/classes/wizard") or a full
+   * URL on the API host.  Throws if the resource is neither cached nor
+   * reachable so callers can show their own error message.
+   * @param {string} path
+   * @returns {Promise<object>}
+   */
+  async function srdGet(path) {
+    const key = path.startsWith(SRD_BASE_URL) ? path.slice(SRD_BASE_URL.length) : path;
+    if (srdMemoryCache.has(key)) return srdMemoryCache.get(key);
+    const cached = await srdCacheGet(key);
+    if (cached !== undefined) {
+      srdMemoryCache.set(key, cached);
+      return cached;
+    }
+    const res = await fetch(`${SRD_BASE_URL}${key}`);
+    if (!res.ok) throw new Error(`SRD lookup failed (${res.status}) for ${key}`);
+    const data = await res.json();
+    srdMemoryCache.set(key, data);
+    await srdCachePut([[key, data]]);
+    return data;
+  }
+
+  /**
+   * Seed the SRD cache from the bundled snapshot file, if one is
+   * present next to index.html.  The snapshot is an object of the form
+   * `{ generated, entries: { "/api/...": response } }` and can be
+   * produced with build-srd-snapshot.js, which also writes a small
+   * manifest `{ generated, count }`.  Entries already in the cache are
+   * left alone.  Seeding only runs once per snapshot: the manifest's
+   * stamp is compared with the `srdSnapshotSeeded` localStorage key
+   * before the snapshot itself is downloaded.
+   * @returns {Promise<void>}
+   */
+  async function seedSrdCache() {
+    let snapshot;
+    let stamp;
+    try {
+      const manifestRes = await fetch(SRD_MANIFEST_URL, { cache: 'no-cache' });
+      if (!manifestRes.ok) return;
+      stamp = (await manifestRes.json()).generated;
+      if (!stamp || localStorage.getItem('srdSnapshotSeeded') === stamp) return;
+      const res = await fetch(SRD_SNAPSHOT_URL);
+      if (!res.ok) return;
+      snapshot = await res.json();
+    } catch (err) {
+      // No bundled snapshot (or opened via file://); the cache simply
+      // fills up as lookups are made.
+      return;
+    }
+    if (!snapshot || !snapshot.entries || snapshot.generated !== stamp) return;
+    const cached = await srdCacheKeys();
+    await srdCachePut(Object.entries(snapshot.entries).filter(([path]) => !cached.has(path)));
+    localStorage.setItem('srdSnapshotSeeded', stamp);
+  }
+
+  /**
+   * Fetch race traits from the D&D 5e API.  Returns an array of
+   * trait names for the given race index.  Used when creating
+   * characters and populating their features list.
+   * @param {string} raceIndex
+   * @returns {Promise<string[]>}
+   */
+  async function fetchRaceTraits(raceIndex) {
+    try {
+      const data = await srdGet(`/api/races/${raceIndex}`);
+      if (!data.traits || data.traits.length === 0) return [];
+      // Fetch trait details in parallel; if a trait fails we still continue
+      const traitPromises = data.traits.map((t) =>
+        srdGet(t.url)
+          .then((trait) => trait.name)
+          .catch(() => t.name)
+      );
+      const traitNames = await Promise.all(traitPromises);
+      return traitNames;
+    } catch (err) {
+      console.error('Failed to fetch race traits', err);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch class features for a given class index and level.  Returns
+   * an array of feature names.  This uses the D&D 5e API endpoint
+   * /api/classes/{index}/levels/{level}.  If no features are found,
+   * returns an empty array.
+   * @param {string} classIndex
+   * @param {number} level
+   * @returns {Promise<string[]>}
+   */
+  async function fetchLevelFeatures(classIndex, level) {
+    try {
+      const data = await srdGet(`/api/classes/${classIndex}/levels/${level}`);
+      if (!data.features || data.features.length === 0) return [];
+      // Resolve feature names; the API returns objects with name and url
+      const featurePromises = data.features.map((f) =>
+        srdGet(f.url)
+          .then((feat) => feat.name)
+          .catch(() => f.name)
+      );
+      const featureNames = await Promise.all(featurePromises);
+      return featureNames;
+    } catch (err) {
+      console.error('Failed to fetch level features', err);
+      return [];
+    }
+  }
+
+  /**
+   * Compute the proficiency bonus for a character level (+2 at levels
+   * 1–4, rising by one every four levels).
+   * @param {number} level
+   * @returns {number}
+   */
+  function getProficiencyBonus(level) {
+    return Math.ceil(Math.max(1, level) / 4) + 1;
+  }
+
+  // The 18 skills keyed by their SRD index, with the governing ability.
+  const SKILLS = [
+    { index: 'acrobatics', name: 'Acrobatics', ability: 'dex' },
+    { index: 'animal-handling', name: 'Animal Handling', ability: 'wis' },
+    { index: 'arcana', name: 'Arcana', ability: 'int' },
+    { index: 'athletics', name: 'Athletics', ability: 'str' },
+    { index: 'deception', name: 'Deception', ability: 'cha' },
+    { index: 'history', name: 'History', ability: 'int' },
+    { index: 'insight', name: 'Insight', ability: 'wis' },
+    { index: 'intimidation', name: 'Intimidation', ability: 'cha' },
+    { index: 'investigation', name: 'Investigation', ability: 'int' },
+    { index: 'medicine', name: 'Medicine', ability: 'wis' },
+    { index: 'nature', name: 'Nature', ability: 'int' },
+    { index: 'perception', name: 'Perception', ability: 'wis' },
+    { index: 'performance', name: 'Performance', ability: 'cha' },
+    { index: 'persuasion', name: 'Persuasion', ability: 'cha' },
+    { index: 'religion', name: 'Religion', ability: 'int' },
+    { index: 'sleight-of-hand', name: 'Sleight of Hand', ability: 'dex' },
+    { index: 'stealth', name: 'Stealth', ability: 'dex' },
+    { index: 'survival', name: 'Survival', ability: 'wis' },
+  ];
+
+  /**
+   * Bonus for a skill check: ability modifier plus the proficiency
+   * bonus (doubled for expertise).
+   * @param {object} ch
+   * @param {{index:string, ability:string}} skill
+   * @returns {number}
+   */
+  function getSkillBonus(ch, skill) {
+    const mod = Math.floor((ch.abilityScores[skill.ability] - 10) / 2);
+    const level = (ch.skills || {})[skill.index];
+    const prof = getProficiencyBonus(ch.level);
+    if (level === 'expertise') return mod + prof * 2;
+    if (level === 'proficient') return mod + prof;
+    return mod;
+  }
+
+  /**
+   * Bonus for a saving throw: ability modifier plus the proficiency
+   * bonus if the class grants proficiency in that save.
+   * @param {object} ch
+   * @param {string} ability
+   * @returns {number}
+   */
+  function getSaveBonus(ch, ability) {
+    const mod = Math.floor((ch.abilityScores[ability] - 10) / 2);
+    return (ch.savingThrows || []).includes(ability) ? mod + getProficiencyBonus(ch.level) : mod;
+  }
+
+  /**
+   * Read the class's saving throw proficiencies (e.g. ['str', 'con'])
+   * into ch.savingThrows.  Used for characters created before saves
+   * were recorded at creation time.
+   * @param {object} ch
+   * @returns {Promise<void>}
+   */
+  async function refreshSavingThrows(ch) {
+    if (!ch.classIndex) {
+      ch.savingThrows = [];
+      return;
+    }
+    try {
+      const cls = await srdGet(`/api/classes/${ch.classIndex}`);
+      ch.savingThrows = (cls.saving_throws || []).map((s) => s.index);
+    } catch (err) {
+      console.error('Failed to load saving throws', err);
+    }
+  }
+
+  /**
+   * Apply damage to a character: temporary hit points soak it first,
+   * then current HP.  Damage taken at 0 HP counts as a failed death
+   * save and starts a stable character dying again, and damage that
+   * leaves at least max HP over after dropping to 0 kills outright.
+   * @param {object} ch
+   * @param {number} amount
+   */
+  function applyDamage(ch, amount) {
+    const soaked = Math.min(ch.tempHp || 0, amount);
+    ch.tempHp = (ch.tempHp || 0) - soaked;
+    let remaining = amount - soaked;
+    if (remaining <= 0) return;
+    ch.deathSaves.successes = 0;
+    if (ch.hp === 0) {
+      ch.deathSaves.failures = Math.min(3, ch.deathSaves.failures + 1);
+      return;
+    }
+    const taken = Math.min(ch.hp, remaining);
+    ch.hp -= taken;
+    remaining -= taken;
+    if (ch.hp === 0 && remaining >= ch.maxHp) ch.deathSaves.failures = 3;
+  }
+
+  /**
+   * Heal a character up to their max HP.  Any healing brings a dying
+   * character back, clearing their death saves.
+   * @param {object} ch
+   * @param {number} amount
+   */
+  function applyHealing(ch, amount) {
+    if (amount <= 0) return;
+    ch.hp = Math.min(ch.maxHp, ch.hp + amount);
+    ch.deathSaves = { successes: 0, failures: 0 };
+  }
+
+  /**
+   * Short rest: spend hit dice, largest first, each rolled via rollDice
+   * with the CON modifier added, and regain that many hit points.
+   * Warlocks also recover their Pact Magic slots.
+   * @param {object} ch
+   * @param {object} state
+   * @param {number} count Hit dice to spend
+   * @returns {number[]} The HP regained from each die
+   */
+  function shortRest(ch, state, count) {
+    const conMod = Math.floor((ch.abilityScores.con - 10) / 2);
+    const healed = [];
+    for (let i = 0; i < count; i++) {
+      // Spend the largest hit dice first
+      const cls = ch.classes
+        .filter((c) => c.hitDiceUsed < c.level)
+        .sort((a, b) => b.hitDie - a.hitDie)[0];
+      if (!cls) break;
+      const result = rollDice(`1d${cls.hitDie}${conMod >= 0 ? '+' + conMod : conMod}`, `${ch.name} Hit Die`, state, { campaignId: ch.campaignId || null });
+      const gain = Math.max(0, result.total);
+      cls.hitDiceUsed++;
+      applyHealing(ch, gain);
+      healed.push(gain);
+    }
+    const sc = ch.spellcasting;
+    if (sc && sc.pact) {
+      sc.pact.used = 0;
+    } else if (sc && sc.classIndex === 'warlock') {
+      Object.values(sc.slots).forEach((slot) => {
+        slot.used = 0;
+      });
+    }
+    return healed;
+  }
+
+  /**
+   * Long rest: full hit points, temporary HP lost, spell slots and
+   * death saves reset, and half the character's total hit dice (at
+   * least one) recovered.
+   * @param {object} ch
+   */
+  function longRest(ch) {
+    ch.hp = ch.maxHp;
+    ch.tempHp = 0;
+    ch.deathSaves = { successes: 0, failures: 0 };
+    // Recover the largest hit dice first
+    for (let n = Math.max(1, Math.floor(ch.level / 2)); n > 0; n--) {
+      const cls = ch.classes
+        .filter((c) => c.hitDiceUsed > 0)
+        .sort((a, b) => b.hitDie - a.hitDie)[0];
+      if (!cls) break;
+      cls.hitDiceUsed--;
+    }
+    if (ch.spellcasting) {
+      Object.values(ch.spellcasting.slots).forEach((slot) => {
+        slot.used = 0;
+      });
+      if (ch.spellcasting.pact) ch.spellcasting.pact.used = 0;
+    }
+  }
+
+  /**
+   * Render current / max / temporary hit points, hit dice, death saves
+   * (while at 0 HP) and the damage, heal and rest controls.  Every
+   * change is recorded in the character's history.  The controls are
+   * left out when the user may not edit the character.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} rerender
+   * @param {Function} rollOptionsFor Roll options for a click event
+   * @param {boolean} canEdit From canEditCharacter
+   * @returns {HTMLElement}
+   */
+  function renderHitPoints(ch, state, rerender, rollOptionsFor, canEdit) {
+    const section = document.createElement('div');
+    section.className = 'hit-points';
+    const ds = ch.deathSaves;
+    const dead = ds.failures >= 3;
+    const stable = ch.hp === 0 && ds.successes >= 3;
+    section.innerHTML = `<p><strong>Hit Points:</strong> ${ch.hp} / ${ch.maxHp}${ch.tempHp > 0 ? ` (+${ch.tempHp} temp)` : ''}
+      &nbsp; <strong>Hit Dice:</strong> ${ch.classes.map((c) => `${c.level - c.hitDiceUsed}/${c.level} d${c.hitDie}`).join(', ') || '—'}
+      ${dead ? ' &nbsp; <strong class="dice-error">Dead</strong>' : stable ? ' &nbsp; <strong>Stable</strong>' : ''}</p>`;
+    // Wrap a mutation so it is logged, saved and redrawn
+    const change = (description, mutate) => {
+      const before = snapshotCharacter(ch);
+      mutate();
+      logCharacterChange(ch, state, description, before);
+      saveState(state);
+      rerender();
+    };
+    const askAmount = (question) => {
+      const n = parseInt(prompt(question), 10);
+      return isNaN(n) || n <= 0 ? null : n;
+    };
+    const actions = document.createElement('div');
+    actions.className = 'hp-actions';
+    const addButton = (text, className, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = `btn ${className} btn-small`;
+      btn.textContent = text;
+      btn.onclick = onClick;
+      actions.appendChild(btn);
+      return btn;
+    };
+    addButton('Damage', 'btn-danger', () => {
+      const n = askAmount('Damage taken:');
+      if (n) change(`Took ${n} damage`, () => applyDamage(ch, n));
+    });
+    addButton('Heal', 'btn-secondary', () => {
+      const n = askAmount('Hit points regained:');
+      if (n) change(`Healed ${n} HP`, () => applyHealing(ch, n));
+    });
+    addButton('Temp HP', 'btn-secondary', () => {
+      const n = askAmount('Temporary hit points (these do not stack; the higher value is kept):');
+      if (n) change(`Gained ${n} temporary HP`, () => {
+        ch.tempHp = Math.max(ch.tempHp || 0, n);
+      });
+    });
+    addButton('Short Rest', 'btn-secondary', () => {
+      const available = ch.classes.reduce((sum, c) => sum + c.level - c.hitDiceUsed, 0);
+      if (available <= 0) {
+        alert(`${ch.name} has no hit dice left to spend.`);
+      }
+      const n = available > 0 ? parseInt(prompt(`Hit dice to spend (0–${available}):`, '1'), 10) : 0;
+      if (isNaN(n) || n < 0) return;
+      let healed = [];
+      change('Short rest', () => {
+        healed = shortRest(ch, state, Math.min(n, available));
+      });
+      if (healed.length > 0) {
+        alert(`${ch.name} regained ${healed.reduce((a, b) => a + b, 0)} HP (${healed.join(' + ')}).`);
+      }
+    });
+    addButton('Long Rest', 'btn-secondary', () => {
+      if (confirm(`Take a long rest? ${ch.name} regains all HP, spell slots and half their hit dice.`)) {
+        change('Long rest', () => longRest(ch));
+      }
+    });
+    if (canEdit) section.appendChild(actions);
+    // Death saves are only relevant while dying
+    if (ch.hp === 0 && !dead) {
+      const saves = document.createElement('p');
+      saves.innerHTML = `<strong>Death Saves:</strong>
+        Successes <span class="slot-pips">${'●'.repeat(ds.successes)}${'○'.repeat(3 - ds.successes)}</span>
+        &nbsp; Failures <span class="slot-pips">${'●'.repeat(ds.failures)}${'○'.repeat(3 - ds.failures)}</span> `;
+      if (!stable && canEdit) {
+        const rollBtn = document.createElement('button');
+        rollBtn.className = 'btn btn-small';
+        rollBtn.textContent = '🎲 Death Save';
+        rollBtn.onclick = (evt) => {
+          const result = rollDice('1d20', `${ch.name} Death Save`, state, rollOptionsFor(evt));
+          let outcome;
+          change(`Death save (${result.total})`, () => {
+            if (result.total === 20) {
+              applyHealing(ch, 1);
+              outcome = `${ch.name} regains 1 HP!`;
+            } else if (result.total === 1) {
+              ds.failures = Math.min(3, ds.failures + 2);
+              outcome = 'Two failures.';
+            } else if (result.total >= 10) {
+              ds.successes++;
+              outcome = ds.successes >= 3 ? `${ch.name} is stable.` : 'Success.';
+            } else {
+              ds.failures++;
+              outcome = ds.failures >= 3 ? `${ch.name} has died.` : 'Failure.';
+            }
+          });
+          alert(`${describeRoll('Death save', result)}\n${outcome}`);
+        };
+        saves.appendChild(rollBtn);
+      }
+      section.appendChild(saves);
+    }
+    return section;
+  }
+
+  // Coin values in copper pieces, smallest first
+  const COIN_VALUES = { cp: 1, sp: 10, ep: 50, gp: 100, pp: 1000 };
+  // Characters can attune to at most this many magic items
+  const MAX_ATTUNED_ITEMS = 3;
+
+  /**
+   * Pull the rules-relevant parts of an SRD equipment or magic item
+   * record: weight, armour class, weapon damage and attunement.
+   * @param {object} data /api/equipment/{index} or /api/magic-items/{index}
+   * @returns {object}
+   */
+  function equipmentStats(data) {
+    const stats = {
+      weight: data.weight || 0,
+      category: data.equipment_category ? data.equipment_category.name : '',
+      armor: null,
+      weapon: null,
+      requiresAttunement: (data.desc || []).some((d) => /requires attunement/i.test(d)),
+    };
+    if (data.armor_class) {
+      stats.armor = {
+        shield: data.armor_category === 'Shield',
+        base: data.armor_class.base,
+        dexBonus: !!data.armor_class.dex_bonus,
+        maxBonus: typeof data.armor_class.max_bonus === 'number' ? data.armor_class.max_bonus : null,
+      };
+    }
+    if (data.damage) {
+      const props = (data.properties || []).map((p) => p.index);
+      stats.weapon = {
+        category: data.weapon_category || '',
+        dice: data.damage.damage_dice || `${data.damage.dice_count}d${data.damage.dice_value}`,
+        damageType: data.damage.damage_type ? data.damage.damage_type.name : '',
+        finesse: props.includes('finesse'),
+        ranged: data.weapon_range === 'Ranged',
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Build an inventory entry from an SRD item record.
+   * @param {object} data
+   * @param {number} [quantity=1]
+   * @returns {object}
+   */
+  function itemFromEquipment(data, quantity = 1) {
+    return {
+      id: uuid(),
+      name: data.name,
+      index: data.index,
+      quantity,
+      equipped: false,
+      attuned: false,
+      custom: false,
+      ...equipmentStats(data),
+    };
+  }
+
+  /**
+   * Fill in weight, armour and weapon data for an inventory entry that
+   * only has a name and SRD index (items added before inventory
+   * tracking, or by the creator's starting equipment step).
+   * @param {object} item Updated in place
+   * @returns {Promise<object>} The item
+   */
+  async function hydrateInventoryItem(item) {
+    if (!item.id) item.id = uuid();
+    if (item.custom || !item.index || item.weight !== undefined) return item;
+    try {
+      Object.assign(item, equipmentStats(await srdGet(`/api/equipment/${item.index}`)));
+    } catch (err) {
+      console.error('Failed to load equipment data', err);
+    }
+    return item;
+  }
+
+  /**
+   * Add an item to a character's inventory, stacking it onto an
+   * unequipped entry for the same SRD item (or custom item of the same
+   * name) if there is one.
+   * @param {object} ch
+   * @param {object} item
+   */
+  function addInventoryItem(ch, item) {
+    const stack = ch.inventory.find((i) =>
+      !i.equipped && !i.attuned && i.custom === item.custom &&
+      (item.custom ? i.name === item.name : i.index === item.index)
+    );
+    if (stack) stack.quantity += item.quantity;
+    else ch.inventory.push(item);
+  }
+
+  /**
+   * Total carried weight in pounds, including coins at 50 to the pound.
+   * @param {object} ch
+   * @returns {number}
+   */
+  function getCarriedWeight(ch) {
+    const items = ch.inventory.reduce((sum, i) => sum + (i.weight || 0) * i.quantity, 0);
+    const coins = Object.keys(COIN_VALUES).reduce((sum, c) => sum + (ch.currency[c] || 0), 0);
+    return Math.round((items + coins / 50) * 100) / 100;
+  }
+
+  /**
+   * Encumbrance using the variant rule: over 5 × STR the character is
+   * encumbered, over 10 × STR heavily encumbered, and 15 × STR is the
+   * carrying capacity.
+   * @param {object} ch
+   * @returns {{weight:number, capacity:number, status:string}}
+   */
+  function getEncumbrance(ch) {
+    const str = ch.abilityScores.str;
+    const weight = getCarriedWeight(ch);
+    let status = 'Unencumbered';
+    if (weight > str * 15) status = 'Over capacity';
+    else if (weight > str * 10) status = 'Heavily encumbered (speed −20 ft, disadvantage on STR/DEX/CON rolls)';
+    else if (weight > str * 5) status = 'Encumbered (speed −10 ft)';
+    return { weight, capacity: str * 15, status };
+  }
+
+  /**
+   * Armour class from equipped armour and shield.  Without armour the
+   * base is 10 + DEX, or the Barbarian / Monk Unarmored Defense if any
+   * of the character's classes grants it (the better one for a
+   * Barbarian / Monk multiclass).
+   * @param {object} ch
+   * @returns {number}
+   */
+  function getArmorClass(ch) {
+    const mod = (k) => Math.floor((ch.abilityScores[k] - 10) / 2);
+    const equipped = (ch.inventory || []).filter((i) => i.equipped && i.armor);
+    const armor = equipped.find((i) => !i.armor.shield);
+    const shield = equipped.find((i) => i.armor.shield);
+    const hasClass = (index) => ch.classes.some((c) => c.index === index);
+    let ac;
+    if (armor) {
+      const dex = armor.armor.dexBonus ? mod('dex') : 0;
+      ac = armor.armor.base + (armor.armor.maxBonus !== null ? Math.min(dex, armor.armor.maxBonus) : dex);
+    } else {
+      ac = 10 + mod('dex');
+      if (hasClass('barbarian')) ac = Math.max(ac, 10 + mod('dex') + mod('con'));
+      if (hasClass('monk') && !shield) ac = Math.max(ac, 10 + mod('dex') + mod('wis'));
+    }
+    return ac + (shield ? shield.armor.base : 0);
+  }
+
+  /**
+   * Attack and damage bonus for an equipped weapon.  Ranged weapons use
+   * DEX, finesse weapons the better of STR and DEX, others STR; the
+   * proficiency bonus applies if the character is proficient with the
+   * weapon's category or the weapon itself.
+   * @param {object} ch
+   * @param {object} item Inventory entry with weapon data
+   * @returns {{attack:number, damage:string}}
+   */
+  function getWeaponAttack(ch, item) {
+    const mod = (k) => Math.floor((ch.abilityScores[k] - 10) / 2);
+    const w = item.weapon;
+    const abilityMod = w.ranged ? mod('dex') : w.finesse ? Math.max(mod('str'), mod('dex')) : mod('str');
+    const profs = (ch.proficiencies || []).map((p) => p.toLowerCase());
+    const proficient = profs.includes(`${w.category} weapons`.toLowerCase()) ||
+      profs.some((p) => p === item.name.toLowerCase() || p === `${item.name.toLowerCase()}s`);
+    const attack = abilityMod + (proficient ? getProficiencyBonus(ch.level) : 0);
+    const damage = abilityMod === 0 ? w.dice : `${w.dice}${abilityMod > 0 ? '+' + abilityMod : abilityMod}`;
+    return { attack, damage };
+  }
+
+  /**
+   * Parse an amount of coins such as "15 gp" or "-3sp".
+   * @param {string} text
+   * @returns {{amount:number, coin:string}}
+   */
+  function parseCoins(text) {
+    const m = /^\s*([+-]?\d+)\s*(cp|sp|ep|gp|pp)\s*$/i.exec(text || '');
+    if (!m) throw new Error('Enter an amount and coin, e.g. "15 gp" or "-3 sp".');
+    return { amount: parseInt(m[1], 10), coin: m[2].toLowerCase() };
+  }
+
+  /**
+   * Give change worth `value` copper in the fewest coins no larger than
+   * `maxCoin`, skipping electrum.
+   * @param {object} purse Updated in place
+   * @param {number} value
+   * @param {string} maxCoin
+   */
+  function addChange(purse, value, maxCoin) {
+    ['pp', 'gp', 'sp', 'cp']
+      .filter((c) => COIN_VALUES[c] <= COIN_VALUES[maxCoin])
+      .forEach((c) => {
+        purse[c] += Math.floor(value / COIN_VALUES[c]);
+        value %= COIN_VALUES[c];
+      });
+  }
+
+  /**
+   * Spend coins from a purse.  The named coin is used first, then
+   * larger coins (breaking one for change if needed), and only then
+   * smaller coins.  Change is returned in smaller denominations.
+   * @param {object} purse Updated in place
+   * @param {string} coin
+   * @param {number} amount
+   */
+  function spendCoins(purse, coin, amount) {
+    let owed = amount * COIN_VALUES[coin];
+    const total = Object.keys(COIN_VALUES).reduce((sum, c) => sum + purse[c] * COIN_VALUES[c], 0);
+    if (total < owed) throw new Error('Not enough money.');
+    const coins = Object.keys(COIN_VALUES);
+    const larger = coins.filter((c) => COIN_VALUES[c] > COIN_VALUES[coin]);
+    const smaller = coins.filter((c) => COIN_VALUES[c] < COIN_VALUES[coin]);
+    const pay = (list) => list.forEach((c) => {
+      const take = Math.min(purse[c], Math.floor(owed / COIN_VALUES[c]));
+      purse[c] -= take;
+      owed -= take * COIN_VALUES[c];
+    });
+    // Whatever is still owed after paying with a list of coins is less
+    // than any coin of those kinds left, so breaking one always covers it
+    const breakCoin = (list) => {
+      const c = list.find((k) => purse[k] > 0);
+      if (owed === 0 || !c) return;
+      purse[c]--;
+      addChange(purse, COIN_VALUES[c] - owed, c);
+      owed = 0;
+    };
+    pay([coin, ...larger.slice().reverse()]);
+    breakCoin(larger);
+    pay(smaller.slice().reverse());
+    breakCoin(coins);
+  }
+
+  /**
+   * Exchange coins, e.g. 10 sp into 1 gp.  The exchange must come out
+   * even.
+   * @param {object} purse Updated in place
+   * @param {number} count
+   * @param {string} from
+   * @param {string} to
+   */
+  function convertCoins(purse, count, from, to) {
+    if (count <= 0) throw new Error('Enter a positive number of coins.');
+    if (purse[from] < count) throw new Error(`Only ${purse[from]} ${from} in the purse.`);
+    const value = count * COIN_VALUES[from];
+    if (value % COIN_VALUES[to] !== 0) {
+      throw new Error(`${count} ${from} does not convert evenly into ${to}.`);
+    }
+    purse[from] -= count;
+    purse[to] += value / COIN_VALUES[to];
+  }
+
+  /**
+   * Open a form for adding a homebrew item with optional weapon or armour
+   * statistics.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} onDone Called when the modal is closed
+   */
+  function openCustomItemForm(ch, state, onDone) {
+    const { body, close } = openModal('Add Custom Item', onDone);
+    const form = document.createElement('form');
+    form.innerHTML = `
+      <label>Name<input type="text" name="name" required /></label>
+      <label>Quantity<input type="number" name="quantity" min="1" value="1" required /></label>
+      <label>Weight (lb each)<input type="number" name="weight" min="0" step="0.01" value="0" /></label>
+      <label>Type
+        <select name="type">
+          <option value="gear">Gear</option>
+          <option value="weapon">Weapon</option>
+          <option value="armor">Armor</option>
+          <option value="shield">Shield</option>
+        </select>
+      </label>
+      <label>Damage dice (weapons, e.g. 1d8)<input type="text" name="dice" /></label>
+      <label>Damage type<input type="text" name="damageType" /></label>
+      <label><input type="checkbox" name="finesse" /> Finesse</label>
+      <label><input type="checkbox" name="ranged" /> Ranged</label>
+      <label>Armor class (armor base or shield bonus)<input type="number" name="ac" min="0" /></label>
+      <label>Max DEX bonus (blank for no limit, 0 for heavy armor)<input type="number" name="maxBonus" min="0" /></label>
+      <label><input type="checkbox" name="requiresAttunement" /> Requires attunement</label>
+      <label>Notes<textarea name="notes" rows="3"></textarea></label>
+      <button type="submit" class="btn btn-primary">Add Item</button>
+    `;
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const f = form.elements;
+      const type = f.type.value;
+      const item = {
+        id: uuid(),
+        name: f.name.value.trim(),
+        index: null,
+        quantity: Math.max(1, parseInt(f.quantity.value, 10) || 1),
+        equipped: false,
+        attuned: false,
+        custom: true,
+        weight: Math.max(0, parseFloat(f.weight.value) || 0),
+        category: type === 'gear' ? 'Adventuring Gear' : type === 'weapon' ? 'Weapon' : 'Armor',
+        armor: null,
+        weapon: null,
+        requiresAttunement: f.requiresAttunement.checked,
+        notes: f.notes.value.trim(),
+      };
+      if (!item.name) return;
+      if (type === 'weapon') {
+        try {
+          parseDiceExpression(f.dice.value);
+        } catch (err) {
+          alert(`Damage dice: ${err.message}`);
+          return;
+        }
+        item.weapon = {
+          category: '',
+          dice: f.dice.value.trim(),
+          damageType: f.damageType.value.trim(),
+          finesse: f.finesse.checked,
+          ranged: f.ranged.checked,
+        };
+      } else if (type === 'armor' || type === 'shield') {
+        const maxBonus = parseInt(f.maxBonus.value, 10);
+        item.armor = {
+          shield: type === 'shield',
+          base: parseInt(f.ac.value, 10) || (type === 'shield' ? 2 : 10),
+          dexBonus: type === 'armor' && maxBonus !== 0,
+          maxBonus: isNaN(maxBonus) || maxBonus === 0 ? null : maxBonus,
+        };
+      }
+      const before = snapshotCharacter(ch);
+      addInventoryItem(ch, item);
+      logCharacterChange(ch, state, `Added ${item.name} to inventory`, before);
+      saveState(state);
+      close();
+    };
+    body.appendChild(form);
+  }
+
+  /**
+   * Render the inventory: coin purse, carried weight and encumbrance,
+   * and each item with quantity controls, equip / attune toggles and an
+   * attack button for equipped weapons.  Changes are recorded in the
+   * character's history.  Only the attack buttons are shown to users
+   * who may not edit the character.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} rerender
+   * @param {Function} rollOptionsFor Roll options for a click event
+   * @param {boolean} canEdit From canEditCharacter
+   * @returns {HTMLElement}
+   */
+  function renderInventory(ch, state, rerender, rollOptionsFor, canEdit) {
+    const section = document.createElement('div');
+    section.className = 'inventory';
+    const enc = getEncumbrance(ch);
+    section.innerHTML = `<h3>Inventory</h3>
+      <p><strong>Carried:</strong> ${enc.weight} / ${enc.capacity} lb – ${enc.status}</p>`;
+    const change = (description, mutate) => {
+      const before = snapshotCharacter(ch);
+      try {
+        mutate();
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      logCharacterChange(ch, state, description, before);
+      saveState(state);
+      rerender();
+    };
+    const makeButton = (text, className, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = `btn ${className} btn-small`;
+      btn.textContent = text;
+      btn.onclick = onClick;
+      return btn;
+    };
+    // Buttons that change the character; left out for other users
+    const editButton = (parent, ...args) => {
+      if (canEdit) parent.appendChild(makeButton(...args));
+    };
+    // Coin purse
+    const purse = document.createElement('p');
+    purse.className = 'coin-purse';
+    purse.innerHTML = '<strong>Coins:</strong> ' +
+      ['pp', 'gp', 'ep', 'sp', 'cp'].map((c) => `${ch.currency[c]} ${c}`).join(' · ') + ' ';
+    editButton(purse, 'Add / Spend', 'btn-secondary', () => {
+      const text = prompt('Coins to add, or negative to spend (e.g. "25 gp", "-3 sp"):');
+      if (!text) return;
+      let parsed;
+      try {
+        parsed = parseCoins(text);
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      const { amount, coin } = parsed;
+      if (amount >= 0) change(`Received ${amount} ${coin}`, () => { ch.currency[coin] += amount; });
+      else change(`Spent ${-amount} ${coin}`, () => spendCoins(ch.currency, coin, -amount));
+    });
+    editButton(purse, 'Convert', 'btn-secondary', () => {
+      const text = prompt('Convert coins (e.g. "10 sp to gp"):');
+      if (!text) return;
+      const m = /^\s*(\d+)\s*(cp|sp|ep|gp|pp)\s+(?:to\s+|into\s+)?(cp|sp|ep|gp|pp)\s*$/i.exec(text);
+      if (!m) {
+        alert('Enter e.g. "10 sp to gp".');
+        return;
+      }
+      const [count, from, to] = [parseInt(m[1], 10), m[2].toLowerCase(), m[3].toLowerCase()];
+      change(`Converted ${count} ${from} to ${to}`, () => convertCoins(ch.currency, count, from, to));
+    });
+    section.appendChild(purse);
+    // Items
+    if (ch.inventory.length === 0) {
+      const none = document.createElement('p');
+      none.textContent = 'No items.';
+      section.appendChild(none);
+    } else {
+      const list = document.createElement('ul');
+      list.className = 'list';
+      const attunedCount = ch.inventory.filter((i) => i.attuned).length;
+      ch.inventory.forEach((item) => {
+        const li = document.createElement('li');
+        const info = document.createElement('span');
+        const tags = [];
+        if (item.armor) tags.push(item.armor.shield ? `+${item.armor.base} AC` : `AC ${item.armor.base}`);
+        if (item.weapon) tags.push(`${item.weapon.dice} ${item.weapon.damageType}`.trim());
+        if (item.custom) tags.push('homebrew');
+        info.innerHTML = `${item.equipped ? '🛡️ ' : ''}${escapeHtml(item.name)}${item.quantity > 1 ? ` ×${item.quantity}` : ''}` +
+          ` <small>${[...tags, item.weight ? `${item.weight * item.quantity} lb` : ''].filter(Boolean).join(' · ')}</small>`;
+        if (item.notes) info.title = item.notes;
+        li.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        if (item.equipped && item.weapon) {
+          const { attack, damage } = getWeaponAttack(ch, item);
+          actions.appendChild(makeButton(`🎲 Attack ${attack >= 0 ? '+' + attack : attack}`, 'btn-primary', (evt) => {
+            const options = rollOptionsFor(evt);
+            const hit = rollDice(`1d20${attack >= 0 ? '+' + attack : attack}`, `${ch.name} ${item.name} Attack`, state, options);
+            let text = describeRoll(`${item.name} attack`, hit);
+            // Critical hits roll the damage dice twice
+            const dmgExpr = hit.crit === 'success' ? damage.replace(/^(\d+)d/, (m, n) => `${n * 2}d`) : damage;
+            const dmg = rollDice(dmgExpr, `${ch.name} ${item.name} Damage`, state, { private: options.private, campaignId: options.campaignId });
+            text += `\n${describeRoll(`Damage (${item.weapon.damageType || 'untyped'})`, dmg)}`;
+            alert(text);
+          }));
+        }
+        editButton(actions, '+', 'btn-secondary', () => {
+          change(`${item.name} quantity ${item.quantity + 1}`, () => { item.quantity++; });
+        });
+        editButton(actions, '−', 'btn-secondary', () => {
+          if (item.quantity > 1) change(`${item.name} quantity ${item.quantity - 1}`, () => { item.quantity--; });
+        });
+        if (item.armor || item.weapon || item.requiresAttunement) {
+          editButton(actions, item.equipped ? 'Unequip' : 'Equip', 'btn-secondary', () => {
+            change(`${item.equipped ? 'Unequipped' : 'Equipped'} ${item.name}`, () => {
+              // Only one suit of armour and one shield can be worn
+              if (!item.equipped && item.armor) {
+                ch.inventory
+                  .filter((i) => i !== item && i.equipped && i.armor && i.armor.shield === item.armor.shield)
+                  .forEach((i) => { i.equipped = false; });
+              }
+              item.equipped = !item.equipped;
+            });
+          });
+        }
+        if (item.requiresAttunement && canEdit) {
+          const attuneBtn = makeButton(item.attuned ? 'End Attunement' : 'Attune', 'btn-secondary', () => {
+            change(`${item.attuned ? 'Ended attunement to' : 'Attuned to'} ${item.name}`, () => {
+              item.attuned = !item.attuned;
+            });
+          });
+          attuneBtn.disabled = !item.attuned && attunedCount >= MAX_ATTUNED_ITEMS;
+          if (attuneBtn.disabled) attuneBtn.title = `Already attuned to ${MAX_ATTUNED_ITEMS} items`;
+          actions.appendChild(attuneBtn);
+        }
+        editButton(actions, 'Remove', '', () => {
+          if (confirm(`Remove ${item.name} from inventory?`)) {
+            change(`Removed ${item.name} from inventory`, () => {
+              ch.inventory.splice(ch.inventory.indexOf(item), 1);
+            });
+          }
+        });
+        li.appendChild(actions);
+        list.appendChild(li);
+      });
+      section.appendChild(list);
+    }
+    editButton(section, 'Add Custom Item', 'btn-secondary', () => openCustomItemForm(ch, state, rerender));
+    return section;
+  }
+
+  /**
+   * Render proficiency bonus, saving throws, skills and passive
+   * Perception.  Each save and skill has a roll button that logs through
+   * rollDice; clicking a skill's proficiency marker cycles it through
+   * none → proficient → expertise, for users who may edit the character.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} rerender
+   * @param {Function} rollOptionsFor Roll options lookup from createRollModeToggle
+   * @param {boolean} canEdit From canEditCharacter
+   * @returns {HTMLElement}
+   */
+  function renderSavesAndSkills(ch, state, rerender, rollOptionsFor, canEdit) {
+    const signed = (n) => (n >= 0 ? `+${n}` : `${n}`);
+    const section = document.createElement('div');
+    section.className = 'saves-skills';
+    const passive = 10 + getSkillBonus(ch, SKILLS.find((s) => s.index === 'perception'));
+    section.innerHTML = `<p><strong>Proficiency Bonus:</strong> ${signed(getProficiencyBonus(ch.level))}
+      &nbsp; <strong>Passive Perception:</strong> ${passive}</p>`;
+    function makeRow(marker, markerTitle, text, bonus, rollLabel, onMarkerClick) {
+      const li = document.createElement('li');
+      const mark = document.createElement('span');
+      mark.className = 'prof-marker';
+      mark.textContent = marker;
+      mark.title = markerTitle;
+      if (onMarkerClick) {
+        mark.style.cursor = 'pointer';
+        mark.onclick = onMarkerClick;
+      }
+      li.appendChild(mark);
+      const name = document.createElement('span');
+      name.className = 'prof-name';
+      name.textContent = text;
+      li.appendChild(name);
+      const bonusSpan = document.createElement('span');
+      bonusSpan.textContent = signed(bonus);
+      li.appendChild(bonusSpan);
+      const rollBtn = document.createElement('button');
+      rollBtn.className = 'btn btn-small';
+      rollBtn.textContent = '🎲';
+      rollBtn.title = `Roll ${rollLabel}`;
+      rollBtn.onclick = (evt) => {
+        const result = rollDice(`1d20${signed(bonus)}`, `${ch.name} ${rollLabel}`, state, rollOptionsFor(evt));
+        alert(describeRoll(rollLabel, result));
+      };
+      li.appendChild(rollBtn);
+      return li;
+    }
+    const columns = document.createElement('div');
+    columns.className = 'saves-skills-columns';
+    // Saving throws
+    const savesCol = document.createElement('div');
+    savesCol.innerHTML = '<h4>Saving Throws</h4>';
+    const savesList = document.createElement('ul');
+    savesList.className = 'prof-list';
+    ['str', 'dex', 'con', 'int', 'wis', 'cha'].forEach((k) => {
+      const proficient = (ch.savingThrows || []).includes(k);
+      savesList.appendChild(makeRow(
+        proficient ? '●' : '○',
+        proficient ? 'Proficient' : 'Not proficient',
+        k.toUpperCase(),
+        getSaveBonus(ch, k),
+        `${k.toUpperCase()} Save`
+      ));
+    });
+    savesCol.appendChild(savesList);
+    columns.appendChild(savesCol);
+    // Skills
+    const skillsCol = document.createElement('div');
+    skillsCol.innerHTML = '<h4>Skills</h4>';
+    const skillsList = document.createElement('ul');
+    skillsList.className = 'prof-list';
+    const markers = { proficient: '●', expertise: '◆' };
+    const cycle = { undefined: 'proficient', proficient: 'expertise', expertise: undefined };
+    SKILLS.forEach((skill) => {
+      const level = (ch.skills || {})[skill.index];
+      const levelName = level ? level.charAt(0).toUpperCase() + level.slice(1) : 'Not proficient';
+      skillsList.appendChild(makeRow(
+        markers[level] || '○',
+        canEdit ? `${levelName} (click to change)` : levelName,
+        `${skill.name} (${skill.ability.toUpperCase()})`,
+        getSkillBonus(ch, skill),
+        skill.name,
+        canEdit && (() => {
+          const before = snapshotCharacter(ch);
+          if (!ch.skills) ch.skills = {};
+          const next = cycle[level];
+          if (next) ch.skills[skill.index] = next;
+          else delete ch.skills[skill.index];
+          logCharacterChange(ch, state, `${skill.name}: ${next || 'not proficient'}`, before);
+          saveState(state);
+          rerender();
+        })
+      ));
+    });
+    skillsCol.appendChild(skillsList);
+    columns.appendChild(skillsCol);
+    section.appendChild(columns);
+    return section;
+  }
+
+  // Classes that prepare spells from their list each day rather than
+  // casting every spell they know.
+  const PREPARED_CASTERS = ['cleric', 'druid', 'paladin', 'wizard'];
+
+  // Caster level each class level counts for when working out
+  // multiclass spell slots.  Warlock Pact Magic slots are kept separate.
+  const MULTICLASS_CASTER_WEIGHT = {
+    bard: 1, cleric: 1, druid: 1, sorcerer: 1, wizard: 1,
+    paladin: 0.5, ranger: 0.5,
+  };
+  // Spell slots (1st to 9th level) for multiclass caster levels 1–20
+  const MULTICLASS_SPELL_SLOTS = [
+    [2], [3], [4, 2], [4, 3], [4, 3, 2], [4, 3, 3], [4, 3, 3, 1], [4, 3, 3, 2],
+    [4, 3, 3, 3, 1], [4, 3, 3, 3, 2], [4, 3, 3, 3, 2, 1], [4, 3, 3, 3, 2, 1],
+    [4, 3, 3, 3, 2, 1, 1], [4, 3, 3, 3, 2, 1, 1], [4, 3, 3, 3, 2, 1, 1, 1],
+    [4, 3, 3, 3, 2, 1, 1, 1], [4, 3, 3, 3, 2, 1, 1, 1, 1], [4, 3, 3, 3, 3, 1, 1, 1, 1],
+    [4, 3, 3, 3, 3, 2, 1, 1, 1], [4, 3, 3, 3, 3, 2, 2, 1, 1],
+  ];
+
+  /**
+   * Derive a character's spellcasting block from the class data.  The
+   * first spellcasting class in ch.classes sets the ability, spell list
+   * and cantrips / spells known (from /api/classes/{index}/levels/{level}).
+   * With one spellcasting class its own slot table is used; with several
+   * the slots come from the multiclass caster level, and a Warlock's
+   * Pact Magic slots are tracked separately as `pact`.  Chosen spells
+   * and slots already spent are preserved, clamped to the new maxima.
+   * Non-casters end up with `spellcasting: null` so the lookup is not
+   * repeated.  The character object is updated in place.
+   * @param {object} ch
+   * @returns {Promise<void>}
+   */
+  async function refreshSpellcasting(ch) {
+    const classes = (ch.classes || []).filter((c) => c.level > 0);
+    if (classes.length === 0) {
+      ch.spellcasting = null;
+      return;
+    }
+    try {
+      const data = await Promise.all(classes.map((c) => srdGet(`/api/classes/${c.index}`)));
+      const casters = classes.filter((c, i) => data[i].spellcasting);
+      if (casters.length === 0) {
+        ch.spellcasting = null;
+        return;
+      }
+      const primary = casters[0];
+      const primaryData = data[classes.indexOf(primary)];
+      const sc = (await srdGet(`/api/classes/${primary.index}/levels/${primary.level}`)).spellcasting || {};
+      const prev = ch.spellcasting || { slots: {}, spells: [] };
+      const maxima = {};
+      let pact = null;
+      if (casters.length === 1) {
+        for (let n = 1; n <= 9; n++) maxima[n] = sc[`spell_slots_level_${n}`] || 0;
+      } else {
+        const casterLevel = casters.reduce(
+          (sum, c) => sum + Math.floor(c.level * (MULTICLASS_CASTER_WEIGHT[c.index] || 0)), 0
+        );
+        (MULTICLASS_SPELL_SLOTS[Math.min(20, casterLevel) - 1] || []).forEach((max, i) => {
+          maxima[i + 1] = max;
+        });
+        const warlock = casters.find((c) => c.index === 'warlock');
+        if (warlock) {
+          const wsc = (await srdGet(`/api/classes/warlock/levels/${warlock.level}`)).spellcasting || {};
+          for (let n = 9; n >= 1 && !pact; n--) {
+            const max = wsc[`spell_slots_level_${n}`] || 0;
+            if (max > 0) pact = { level: n, max, used: Math.min(prev.pact ? prev.pact.used : 0, max) };
+          }
+        }
+      }
+      const slots = {};
+      Object.keys(maxima).forEach((n) => {
+        const max = maxima[n];
+        if (max > 0) {
+          const used = prev.slots[n] ? prev.slots[n].used : 0;
+          slots[n] = { max, used: Math.min(used, max) };
+        }
+      });
+      ch.spellcasting = {
+        classIndex: primary.index,
+        ability: primaryData.spellcasting.spellcasting_ability.index,
+        prepares: PREPARED_CASTERS.includes(primary.index),
+        cantripsKnown: sc.cantrips_known || 0,
+        spellsKnown: typeof sc.spells_known === 'number' ? sc.spells_known : null,
+        slots,
+        pact,
+        spells: prev.spells,
+      };
+    } catch (err) {
+      // Leave any existing block untouched so a later attempt can retry
+      console.error('Failed to load spellcasting data', err);
+    }
+  }
+
+  /**
+   * Spell save DC and spell attack bonus for a spellcasting character.
+   * @param {object} ch
+   * @returns {{dc:number, attack:number, mod:number}}
+   */
+  function getSpellStats(ch) {
+    const mod = Math.floor((ch.abilityScores[ch.spellcasting.ability] - 10) / 2);
+    const prof = getProficiencyBonus(ch.level);
+    return { dc: 8 + prof + mod, attack: prof + mod, mod };
+  }
+
+  /**
+   * How many spells a prepared caster may have prepared at once: the
+   * spellcasting modifier plus the spellcasting class's level (half
+   * level for paladins), minimum one.
+   * @param {object} ch
+   * @returns {number}
+   */
+  function getPreparedSpellLimit(ch) {
+    const { mod } = getSpellStats(ch);
+    const index = ch.spellcasting.classIndex;
+    const classLevel = getClassLevel(ch, index);
+    const lvl = index === 'paladin' ? Math.floor(classLevel / 2) : classLevel;
+    return Math.max(1, mod + lvl);
+  }
+
+  /**
+   * Render the spellcasting section of a character sheet: save DC,
+   * attack bonus, slot tracking and the character's spell list.  Calls
+   * `rerender` after any change so the sheet reflects the new state.
+   * Users who may not edit the character get a read-only view.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} rerender
+   * @param {Function} rollOptionsFor Roll options lookup from createRollModeToggle
+   * @param {boolean} canEdit From canEditCharacter
+   * @returns {HTMLElement}
+   */
+  function renderSpellcasting(ch, state, rerender, rollOptionsFor, canEdit) {
+    const sc = ch.spellcasting;
+    const section = document.createElement('div');
+    section.className = 'spellcasting';
+    const { dc, attack } = getSpellStats(ch);
+    section.innerHTML = `<h3>Spellcasting</h3>
+      <p><strong>Ability:</strong> ${sc.ability.toUpperCase()}
+        &nbsp; <strong>Spell Save DC:</strong> ${dc}
+        &nbsp; <strong>Spell Attack:</strong> ${attack >= 0 ? '+' + attack : attack}</p>`;
+    const attackBtn = document.createElement('button');
+    attackBtn.className = 'btn btn-small';
+    attackBtn.textContent = '🎲 Spell Attack';
+    attackBtn.onclick = (evt) => {
+      const result = rollDice(`1d20${attack >= 0 ? '+' + attack : attack}`, `${ch.name} Spell Attack`, state, rollOptionsFor(evt));
+      alert(describeRoll('Spell attack', result));
+    };
+    section.querySelector('p').appendChild(attackBtn);
+    // Spell slots
+    const slotLevels = Object.keys(sc.slots).map(Number).sort((a, b) => a - b);
+    if (slotLevels.length > 0) {
+      const slotList = document.createElement('ul');
+      slotList.className = 'list';
+      slotLevels.forEach((n) => {
+        const slot = sc.slots[n];
+        const li = document.createElement('li');
+        const pips = '●'.repeat(slot.max - slot.used) + '○'.repeat(slot.used);
+        li.innerHTML = `<span>Level ${n} slots: <span class="slot-pips">${pips}</span> (${slot.max - slot.used}/${slot.max})</span>`;
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        const useBtn = document.createElement('button');
+        useBtn.className = 'btn btn-secondary btn-small';
+        useBtn.textContent = 'Use';
+        useBtn.disabled = slot.used >= slot.max;
+        useBtn.onclick = () => {
+          const before = snapshotCharacter(ch);
+          slot.used++;
+          logCharacterChange(ch, state, `Used a level ${n} spell slot`, before);
+          saveState(state);
+          rerender();
+        };
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'btn btn-secondary btn-small';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.disabled = slot.used === 0;
+        restoreBtn.onclick = () => {
+          const before = snapshotCharacter(ch);
+          slot.used--;
+          logCharacterChange(ch, state, `Restored a level ${n} spell slot`, before);
+          saveState(state);
+          rerender();
+        };
+        actions.appendChild(useBtn);
+        actions.appendChild(restoreBtn);
+        if (canEdit) li.appendChild(actions);
+        slotList.appendChild(li);
+      });
+      section.appendChild(slotList);
+    } else if (!sc.pact) {
+      const p = document.createElement('p');
+      p.textContent = 'No spell slots at this level.';
+      section.appendChild(p);
+    }
+    if (sc.pact) {
+      const pact = sc.pact;
+      const pactP = document.createElement('p');
+      pactP.innerHTML = `<strong>Pact Magic</strong> (level ${pact.level}): <span class="slot-pips">${'●'.repeat(pact.max - pact.used)}${'○'.repeat(pact.used)}</span> `;
+      [['Use', 1, pact.used >= pact.max], ['Restore', -1, pact.used === 0]].forEach(([text, delta, disabled]) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary btn-small';
+        btn.textContent = text;
+        btn.disabled = disabled;
+        btn.onclick = () => {
+          const before = snapshotCharacter(ch);
+          pact.used += delta;
+          logCharacterChange(ch, state, `${delta > 0 ? 'Used' : 'Restored'} a Pact Magic slot`, before);
+          saveState(state);
+          rerender();
+        };
+        if (canEdit) pactP.appendChild(btn);
+      });
+      section.appendChild(pactP);
+    }
+    // Known / prepared spells grouped by level
+    const spellHeader = document.createElement('p');
+    const preparedCount = sc.spells.filter((s) => s.level > 0 && s.prepared).length;
+    spellHeader.innerHTML = sc.prepares
+      ? `<strong>Spells</strong> (prepared ${preparedCount}/${getPreparedSpellLimit(ch)})`
+      : '<strong>Spells Known</strong>';
+    section.appendChild(spellHeader);
+    if (sc.spells.length === 0) {
+      const none = document.createElement('p');
+      none.textContent = 'No spells chosen yet.';
+      section.appendChild(none);
+    } else {
+      const spellList = document.createElement('ul');
+      spellList.className = 'list';
+      sc.spells
+        .slice()
+        .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name))
+        .forEach((spell) => {
+          const li = document.createElement('li');
+          const nameSpan = document.createElement('span');
+          nameSpan.textContent = `${spell.level === 0 ? 'Cantrip' : 'Lvl ' + spell.level} – ${spell.name}`;
+          nameSpan.style.cursor = 'pointer';
+          nameSpan.onclick = () => {
+            srdGet(`/api/spells/${spell.index}`)
+              .then((detail) => openModal(detail.name).body.appendChild(renderSrdDetail(detail)))
+              .catch(() => alert('Failed to load details.'));
+          };
+          li.appendChild(nameSpan);
+          const actions = document.createElement('div');
+          actions.className = 'actions';
+          if (sc.prepares && spell.level > 0) {
+            const prepLabel = document.createElement('label');
+            const prepBox = document.createElement('input');
+            prepBox.type = 'checkbox';
+            prepBox.checked = !!spell.prepared;
+            prepBox.onchange = () => {
+              const limit = getPreparedSpellLimit(ch);
+              const count = sc.spells.filter((s) => s.level > 0 && s.prepared).length;
+              if (prepBox.checked && count >= limit) {
+                alert(`${ch.name} can only prepare ${limit} spells.`);
+                prepBox.checked = false;
+                return;
+              }
+              const before = snapshotCharacter(ch);
+              spell.prepared = prepBox.checked;
+              logCharacterChange(ch, state, `${spell.prepared ? 'Prepared' : 'Unprepared'} ${spell.name}`, before);
+              saveState(state);
+              rerender();
+            };
+            prepLabel.appendChild(prepBox);
+            prepLabel.appendChild(document.createTextNode(' Prepared'));
+            actions.appendChild(prepLabel);
+          }
+          if (spell.level > 0) {
+            const castBtn = document.createElement('button');
+            castBtn.className = 'btn btn-primary btn-small';
+            castBtn.textContent = 'Cast';
+            castBtn.disabled = sc.prepares && !spell.prepared;
+            castBtn.onclick = () => {
+              // Spend the lowest available slot at or above the spell's level
+              // then a Pact Magic slot
+              const slotLevel = slotLevels.find((n) => n >= spell.level && sc.slots[n].used < sc.slots[n].max);
+              const usePact = !slotLevel && sc.pact && sc.pact.level >= spell.level && sc.pact.used < sc.pact.max;
+              if (!slotLevel && !usePact) {
+                alert(`No spell slots left to cast ${spell.name}.`);
+                return;
+              }
+              const before = snapshotCharacter(ch);
+              if (usePact) sc.pact.used++;
+              else sc.slots[slotLevel].used++;
+              logCharacterChange(ch, state, `Cast ${spell.name} (${usePact ? 'Pact Magic' : `level ${slotLevel}`} slot)`, before);
+              saveState(state);
+              rerender();
+            };
+            actions.appendChild(castBtn);
+          }
+          const remBtn = document.createElement('button');
+          remBtn.className = 'btn btn-small';
+          remBtn.textContent = 'Remove';
+          remBtn.onclick = () => {
+            const before = snapshotCharacter(ch);
+            sc.spells = sc.spells.filter((s) => s.index !== spell.index);
+            logCharacterChange(ch, state, `Removed spell ${spell.name}`, before);
+            saveState(state);
+            rerender();
+          };
+          actions.appendChild(remBtn);
+          if (canEdit) li.appendChild(actions);
+          spellList.appendChild(li);
+        });
+      section.appendChild(spellList);
+    }
+    const manageBtn = document.createElement('button');
+    manageBtn.className = 'btn btn-secondary';
+    manageBtn.textContent = 'Choose Spells';
+    manageBtn.onclick = () => openSpellPicker(ch, state, rerender);
+    if (canEdit) section.appendChild(manageBtn);
+    return section;
+  }
+
+  /**
+   * Open a modal listing the class spell list (/api/classes/{index}/spells)
+   * up to the highest slot level the character has, with checkboxes to
+   * add or remove spells.  Cantrip and spells-known limits from the
+   * class level table are enforced.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} onDone Called when the modal is closed
+   */
+  function openSpellPicker(ch, state, onDone) {
+    const sc = ch.spellcasting;
+    const { body } = openModal(`Choose Spells – ${ch.name}`, onDone);
+    const maxLevel = Math.max(0, sc.pact ? sc.pact.level : 0, ...Object.keys(sc.slots).map(Number));
+    const summary = document.createElement('p');
+    body.appendChild(summary);
+    const listDiv = document.createElement('div');
+    listDiv.textContent = 'Loading…';
+    body.appendChild(listDiv);
+    function updateSummary() {
+      const cantrips = sc.spells.filter((s) => s.level === 0).length;
+      const leveled = sc.spells.filter((s) => s.level > 0).length;
+      summary.textContent = `Cantrips: ${cantrips}/${sc.cantripsKnown}` +
+        (sc.spellsKnown !== null ? ` · Spells known: ${leveled}/${sc.spellsKnown}` : ` · Spells: ${leveled}`);
+    }
+    updateSummary();
+    srdGet(`/api/classes/${sc.classIndex}/spells`)
+      .then((data) => {
+        listDiv.innerHTML = '';
+        const available = (data.results || []).filter((s) => typeof s.level !== 'number' || s.level <= maxLevel);
+        for (let lvl = 0; lvl <= maxLevel; lvl++) {
+          const group = available.filter((s) => s.level === lvl);
+          if (group.length === 0) continue;
+          const h = document.createElement('h4');
+          h.textContent = lvl === 0 ? 'Cantrips' : `Level ${lvl}`;
+          listDiv.appendChild(h);
+          group.forEach((spell) => {
+            const label = document.createElement('label');
+            label.style.display = 'block';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = sc.spells.some((s) => s.index === spell.index);
+            box.onchange = () => {
+              const before = snapshotCharacter(ch);
+              if (box.checked) {
+                const isCantrip = spell.level === 0;
+                const count = sc.spells.filter((s) => (isCantrip ? s.level === 0 : s.level > 0)).length;
+                const limit = isCantrip ? sc.cantripsKnown : sc.spellsKnown;
+                if (limit !== null && count >= limit) {
+                  alert(`${ch.name} already knows ${limit} ${isCantrip ? 'cantrips' : 'spells'}.`);
+                  box.checked = false;
+                  return;
+                }
+                sc.spells.push({ index: spell.index, name: spell.name, level: spell.level, prepared: false });
+              } else {
+                sc.spells = sc.spells.filter((s) => s.index !== spell.index);
+              }
+              logCharacterChange(ch, state, `${box.checked ? 'Learned' : 'Removed'} spell ${spell.name}`, before);
+              saveState(state);
+              updateSummary();
+            };
+            label.appendChild(box);
+            label.appendChild(document.createTextNode(` ${spell.name}`));
+            listDiv.appendChild(label);
+          });
+        }
+      })
+      .catch(() => {
+        listDiv.textContent = 'Failed to load the class spell list.';
+      });
+  }
+
+  // Oldest entries are dropped once a character's history is this long
+  const CHARACTER_HISTORY_LIMIT = 200;
+
+  /**
+   * Deep copy of a character without its history, taken before a
+   * change so logCharacterChange can work out what changed.
+   * @param {object} ch
+   * @returns {object}
+   */
+  function snapshotCharacter(ch) {
+    const { history, ...rest } = ch;
+    return JSON.parse(JSON.stringify(rest));
+  }
+
+  /**
+   * Collect the differences between two values as { path, before,
+   * after } records.  Plain objects are compared key by key so an entry
+   * records e.g. ['abilityScores', 'str'] rather than the whole block;
+   * arrays and scalars are compared as a whole.  A missing `before` or
+   * `after` means the key did not exist on that side.
+   * @param {*} before
+   * @param {*} after
+   * @param {string[]} path
+   * @param {object[]} out
+   */
+  function diffValues(before, after, path, out) {
+    const isPlain = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (isPlain(before) && isPlain(after)) {
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+        diffValues(before[key], after[key], [...path, key], out);
+      });
+      return;
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    const change = { path };
+    if (before !== undefined) change.before = before;
+    if (after !== undefined) change.after = after;
+    out.push(change);
+  }
+
+  /**
+   * Record a change to a character in ch.history.  `before` is the
+   * snapshotCharacter taken before the change was made; nothing is
+   * recorded if the character is unchanged.  The caller saves state.
+   * @param {object} ch
+   * @param {object} state
+   * @param {string} description
+   * @param {object} before
+   * @returns {object|null} The history entry
+   */
+  function logCharacterChange(ch, state, description, before) {
+    const changes = [];
+    diffValues(before, snapshotCharacter(ch), [], changes);
+    if (changes.length === 0) return null;
+    if (!Array.isArray(ch.history)) ch.history = [];
+    const entry = {
+      id: uuid(),
+      timestamp: Date.now(),
+      userId: state.currentUserId,
+      description,
+      changes,
+    };
+    ch.history.push(entry);
+    if (ch.history.length > CHARACTER_HISTORY_LIMIT) {
+      ch.history.splice(0, ch.history.length - CHARACTER_HISTORY_LIMIT);
+    }
+    return entry;
+  }
+
+  /**
+   * Whether the current user may edit a character and revert its
+   * history: its player or the DM of its campaign.
+   * @param {object} ch
+   * @param {object} state
+   * @returns {boolean}
+   */
+  function canEditCharacter(ch, state) {
+    if (ch.userId === state.currentUserId) return true;
+    const camp = ch.campaignId && state.campaigns.find((c) => c.id === ch.campaignId);
+    return !!camp && isCampaignDm(camp, state.currentUserId);
+  }
+
+  /**
+   * Undo one history entry by putting back the values it replaced.  If
+   * a later entry changed the same fields the user is asked first,
+   * since those later changes will be overwritten.  The revert is
+   * itself recorded so it can be undone.  The caller saves state.
+   * @param {object} ch
+   * @param {object} state
+   * @param {string} entryId
+   * @returns {boolean} Whether the entry was reverted
+   */
+  function revertCharacterChange(ch, state, entryId) {
+    const idx = ch.history.findIndex((e) => e.id === entryId);
+    if (idx < 0) return false;
+    const entry = ch.history[idx];
+    const overlaps = (a, b) => a.every((k, i) => i >= b.length || b[i] === k) || b.every((k, i) => i >= a.length || a[i] === k);
+    const later = ch.history
+      .slice(idx + 1)
+      .filter((e) => e.changes.some((c) => entry.changes.some((ec) => overlaps(c.path, ec.path))));
+    if (later.length > 0 && !confirm(
+      `Later changes also touched these fields and will be overwritten:\n${later.map((e) => e.description).join('\n')}\n\nRevert anyway?`
+    )) {
+      return false;
+    }
+    const before = snapshotCharacter(ch);
+    entry.changes.forEach((change) => {
+      let target = ch;
+      change.path.slice(0, -1).forEach((key) => {
+        if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+      });
+      const last = change.path[change.path.length - 1];
+      if ('before' in change) target[last] = JSON.parse(JSON.stringify(change.before));
+      else delete target[last];
+    });
+    entry.revertedBy = (logCharacterChange(ch, state, `Reverted: ${entry.description}`, before) || {}).id || null;
+    return true;
+  }
+
+  /**
+   * Open a modal listing a character's history, newest first, with who
+   * made each change, the fields it touched and a Revert button.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} onDone Called when the modal is closed
+   */
+  function openCharacterHistory(ch, state, onDone) {
+    const { body } = openModal(`History – ${ch.name}`, onDone);
+    const canRevert = canEditCharacter(ch, state);
+    const formatValue = (v) => (v === undefined ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+    function draw() {
+      body.innerHTML = '';
+      const history = Array.isArray(ch.history) ? ch.history : [];
+      if (history.length === 0) {
+        body.innerHTML = '<p>No changes recorded yet.</p>';
+        return;
+      }
+      const list = document.createElement('ul');
+      list.className = 'list history-list';
+      history.slice().reverse().forEach((entry) => {
+        const li = document.createElement('li');
+        const user = state.users.find((u) => u.id === entry.userId);
+        const info = document.createElement('div');
+        info.innerHTML = `<strong>${escapeHtml(entry.description)}</strong>
+          <br/><small>${formatDateTime(new Date(entry.timestamp))} · ${user ? escapeHtml(user.username) : 'Unknown'}${entry.revertedBy ? ' · reverted' : ''}</small>`;
+        const changeList = document.createElement('ul');
+        entry.changes.forEach((c) => {
+          const item = document.createElement('li');
+          item.textContent = `${c.path.join('.')}: ${formatValue(c.before)} → ${formatValue(c.after)}`;
+          changeList.appendChild(item);
+        });
+        info.appendChild(changeList);
+        li.appendChild(info);
+        if (canRevert) {
+          const revertBtn = document.createElement('button');
+          revertBtn.className = 'btn btn-secondary btn-small';
+          revertBtn.textContent = 'Revert';
+          revertBtn.disabled = !!entry.revertedBy;
+          revertBtn.onclick = () => {
+            if (revertCharacterChange(ch, state, entry.id)) {
+              saveState(state);
+              draw();
+            }
+          };
+          li.appendChild(revertBtn);
+        }
+        list.appendChild(li);
+      });
+      body.appendChild(list);
+    }
+    draw();
+  }
+
+  /**
+   * Open a form for editing a character's details, scores and lists.
+   * Race and classes are fixed by the creator and level-ups because they
+   * drive the derived rules data; everything else, including each
+   * class's level, can be corrected here.  Level changes refresh
+   * spellcasting.  Saved edits are recorded in the
+   * character's history.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} onDone Called when the modal is closed
+   */
+  function openCharacterEditor(ch, state, onDone) {
+    const { body, close } = openModal(`Edit ${ch.name}`, onDone);
+    const form = document.createElement('form');
+    form.innerHTML = `
+      <label>Name<input type="text" name="name" required /></label>
+      <label>Gender<input type="text" name="gender" /></label>
+      <label>Background<input type="text" name="background" /></label>
+      <label>Alignment<input type="text" name="alignment" /></label>
+      <label>XP<input type="number" name="xp" min="0" required /></label>
+      <label>Current HP<input type="number" name="hp" min="0" required /></label>
+      <label>Max HP<input type="number" name="maxHp" min="1" required /></label>
+      <label>Temporary HP<input type="number" name="tempHp" min="0" /></label>
+      ${ch.classes.map((c, i) => `
+        <label>${escapeHtml(c.name)} Level<input type="number" name="classLevel-${i}" min="${ch.classes.length > 1 ? 0 : 1}" max="20" required /></label>
+        <label>${escapeHtml(c.name)} Hit Dice Used (d${c.hitDie})<input type="number" name="hitDiceUsed-${i}" min="0" /></label>`).join('')}
+      <div class="stats-grid">
+        ${ABILITY_KEYS.map((k) => `<label>${k.toUpperCase()}<input type="number" name="ability-${k}" min="1" max="30" required /></label>`).join('')}
+      </div>
+      <label>Proficiencies (comma separated)<input type="text" name="proficiencies" /></label>
+      <label>Languages (comma separated)<input type="text" name="languages" /></label>
+      <label>Features (one per line)<textarea name="features" rows="5"></textarea></label>
+      <button type="submit" class="btn btn-primary">Save Changes</button>
+    `;
+    const f = form.elements;
+    f.name.value = ch.name;
+    f.gender.value = ch.gender || '';
+    f.background.value = ch.background || '';
+    f.alignment.value = ch.alignment || '';
+    f.xp.value = ch.xp;
+    f.hp.value = ch.hp;
+    f.maxHp.value = ch.maxHp;
+    f.tempHp.value = ch.tempHp || 0;
+    ch.classes.forEach((c, i) => {
+      f[`classLevel-${i}`].value = c.level;
+      f[`hitDiceUsed-${i}`].value = c.hitDiceUsed;
+    });
+    ABILITY_KEYS.forEach((k) => {
+      f[`ability-${k}`].value = ch.abilityScores[k];
+    });
+    f.proficiencies.value = (ch.proficiencies || []).join(', ');
+    f.languages.value = (ch.languages || []).join(', ');
+    f.features.value = (ch.features || []).join('\n');
+    const splitList = (text, sep) => text.split(sep).map((s) => s.trim()).filter(Boolean);
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      const before = snapshotCharacter(ch);
+      ch.name = f.name.value.trim() || ch.name;
+      ch.gender = f.gender.value.trim();
+      ch.background = f.background.value.trim();
+      ch.alignment = f.alignment.value.trim();
+      ch.xp = Math.max(0, parseInt(f.xp.value, 10) || 0);
+      ch.maxHp = Math.max(1, parseInt(f.maxHp.value, 10) || ch.maxHp);
+      ch.hp = Math.min(ch.maxHp, Math.max(0, parseInt(f.hp.value, 10) || 0));
+      ch.tempHp = Math.max(0, parseInt(f.tempHp.value, 10) || 0);
+      ABILITY_KEYS.forEach((k) => {
+        const val = parseInt(f[`ability-${k}`].value, 10);
+        if (!isNaN(val)) ch.abilityScores[k] = val;
+      });
+      ch.proficiencies = splitList(f.proficiencies.value, ',');
+      ch.languages = splitList(f.languages.value, ',');
+      ch.features = splitList(f.features.value, '\n');
+      // A class taken to level 0 is dropped
+      let levelsChanged = false;
+      ch.classes.forEach((c, i) => {
+        const level = Math.min(20, Math.max(0, parseInt(f[`classLevel-${i}`].value, 10) || 0));
+        if (level !== c.level) levelsChanged = true;
+        c.level = level;
+        c.hitDiceUsed = Math.min(c.level, Math.max(0, parseInt(f[`hitDiceUsed-${i}`].value, 10) || 0));
+      });
+      if (levelsChanged) {
+        ch.classes = ch.classes.filter((c) => c.level > 0);
+        syncPrimaryClass(ch);
+        await refreshSpellcasting(ch);
+      }
+      logCharacterChange(ch, state, 'Edited character sheet', before);
+      saveState(state);
+      close();
+    };
+    body.appendChild(form);
+  }
+
+  /**
+   * Level the character has in one class (0 if they have none).
+   * @param {object} ch
+   * @param {string} classIndex
+   * @returns {number}
+   */
+  function getClassLevel(ch, classIndex) {
+    const cls = (ch.classes || []).find((c) => c.index === classIndex);
+    return cls ? cls.level : 0;
+  }
+
+  /**
+   * Class summary for display, e.g. "Fighter 3 (Champion) / Wizard 2".
+   * @param {object} ch
+   * @returns {string}
+   */
+  function describeClasses(ch) {
+    return (ch.classes || [])
+      .map((c) => `${c.name} ${c.level}${c.subclass ? ` (${c.subclass})` : ''}`)
+      .join(' / ');
+  }
+
+  /**
+   * Keep the single-class fields (class, classIndex, subclass, level)
+   * in step with ch.classes: they describe the first class taken, and
+   * level is the total character level.
+   * @param {object} ch
+   */
+  function syncPrimaryClass(ch) {
+    const primary = ch.classes[0] || null;
+    ch.class = primary ? primary.name : '';
+    ch.classIndex = primary ? primary.index : null;
+    ch.subclass = primary ? primary.subclass : '';
+    ch.subclassIndex = primary ? primary.subclassIndex : null;
+    ch.level = ch.classes.reduce((sum, c) => sum + c.level, 0);
+  }
+
+  /**
+   * Check the multiclassing ability prerequisites (/api/classes/{index}
+   * multi_classing) for taking a level in a new class.  The character
+   * must meet those of the new class and of every class they already
+   * have.
+   * @param {object} ch
+   * @param {string} classIndex
+   * @returns {Promise<string[]>} Unmet requirements, empty if none
+   */
+  async function getMulticlassProblems(ch, classIndex) {
+    const indices = Array.from(new Set([...ch.classes.map((c) => c.index), classIndex]));
+    const problems = [];
+    for (const index of indices) {
+      const cls = await srdGet(`/api/classes/${index}`);
+      const mc = cls.multi_classing || {};
+      const meets = (p) => ch.abilityScores[p.ability_score.index] >= p.minimum_score;
+      const describe = (p) => `${p.ability_score.name} ${p.minimum_score}`;
+      (mc.prerequisites || []).forEach((p) => {
+        if (!meets(p)) problems.push(`${cls.name} requires ${describe(p)}`);
+      });
+      if (mc.prerequisite_options) {
+        const options = mc.prerequisite_options.from.options || [];
+        if (!options.some(meets)) problems.push(`${cls.name} requires ${options.map(describe).join(' or ')}`);
+      }
+    }
+    return problems;
+  }
+
+  // Class level at which each class picks its subclass (3 if not listed)
+  const SUBCLASS_LEVELS = { cleric: 1, sorcerer: 1, warlock: 1, druid: 2, wizard: 2 };
+
+  /**
+   * Open the level-up screen for one character level.  The player picks
+   * which class gains the level (a new class only if the multiclassing
+   * prerequisites are met), sees the features it brings, picks a
+   * subclass when the class reaches its subclass level, chooses an
+   * Ability Score Increase or a feat where the class level grants one,
+   * and rolls or takes the average hit points.  A summary of the
+   * choices is shown above the Confirm button.  Nothing is applied to
+   * the character here; see levelUpCharacter.
+   * @param {object} ch
+   * @param {object} state
+   * @param {number} lvl The character level being gained
+   * @returns {Promise<object|null>} The choices ({ entry, cls, hpGain,
+   *   features, subclass, asi, feat }), or null if the screen was closed
+   *   without confirming
+   */
+  function openLevelUpWizard(ch, state, lvl) {
+    return new Promise((resolve) => {
+      let result = null;
+      const { body, close } = openModal(`${ch.name} – Level ${lvl}`, () => resolve(result));
+      const classP = document.createElement('p');
+      classP.innerHTML = '<strong>Class:</strong> ';
+      const classSelect = document.createElement('select');
+      ch.classes.forEach((c, i) => {
+        const opt = document.createElement('option');
+        opt.value = `have:${i}`;
+        opt.textContent = `${c.name} ${c.level} → ${c.level + 1}`;
+        classSelect.appendChild(opt);
+      });
+      classP.appendChild(classSelect);
+      body.appendChild(classP);
+      const detail = document.createElement('div');
+      body.appendChild(detail);
+      const conMod = Math.floor((ch.abilityScores.con - 10) / 2);
+      // Guards against a slow load for a previously selected class
+      let loadToken = null;
+
+      async function loadClass(value) {
+        const token = {};
+        loadToken = token;
+        detail.innerHTML = '<p>Loading…</p>';
+        try {
+          let entry;
+          let cls = null;
+          if (value.startsWith('have:')) {
+            entry = ch.classes[parseInt(value.slice(5), 10)];
+          } else {
+            const index = value.slice(4);
+            const problems = await getMulticlassProblems(ch, index);
+            if (loadToken !== token) return;
+            if (problems.length > 0) {
+              detail.innerHTML = `<p class="dice-error">${escapeHtml(ch.name)} can't multiclass into this class:<br/>${problems.join('<br/>')}</p>`;
+              return;
+            }
+            cls = await srdGet(`/api/classes/${index}`);
+            entry = { index: cls.index, name: cls.name, level: 0, subclass: '', subclassIndex: null, hitDie: cls.hit_die, hitDiceUsed: 0 };
+          }
+          const classLevel = entry.level + 1;
+          const [lvlData, prevData, classData, features] = await Promise.all([
+            srdGet(`/api/classes/${entry.index}/levels/${classLevel}`),
+            classLevel > 1 ? srdGet(`/api/classes/${entry.index}/levels/${entry.level}`) : null,
+            cls || srdGet(`/api/classes/${entry.index}`),
+            fetchLevelFeatures(entry.index, classLevel),
+          ]);
+          if (loadToken !== token) return;
+          drawChoices({
+            entry,
+            cls,
+            classLevel,
+            features,
+            grantsAsi: (lvlData.ability_score_bonuses || 0) > ((prevData && prevData.ability_score_bonuses) || 0),
+            subclasses: !entry.subclassIndex && classLevel >= (SUBCLASS_LEVELS[entry.index] || 3) ? classData.subclasses || [] : [],
+          });
+        } catch (err) {
+          console.error('Failed to load level-up data', err);
+          if (loadToken === token) detail.innerHTML = '<p class="dice-error">Failed to load class data.</p>';
+        }
+      }
+
+      function drawChoices({ entry, cls, classLevel, features, grantsAsi, subclasses }) {
+        detail.innerHTML = '';
+        const choice = {
+          subclass: null,
+          subclassFeatures: [],
+          asiMode: 'asi',
+          asi: ['', ''],
+          feat: null,
+          hpRoll: null,
+        };
+        const average = entry.hitDie / 2 + 1;
+        const summary = document.createElement('p');
+        const confirmBtn = document.createElement('button');
+        // Features for this class level, plus the subclass's once known
+        const featureP = document.createElement('p');
+        const drawFeatures = () => {
+          const all = [...features, ...choice.subclassFeatures];
+          featureP.innerHTML = `<strong>New features (${escapeHtml(entry.name)} ${classLevel}):</strong> ${all.length > 0 ? all.join(', ') : 'None'}`;
+        };
+        const subclassIndex = entry.subclassIndex;
+        if (subclassIndex) {
+          srdGet(`/api/subclasses/${subclassIndex}/levels/${classLevel}`)
+            .then((data) => {
+              choice.subclassFeatures = (data.features || []).map((f) => f.name);
+              drawFeatures();
+              update();
+            })
+            .catch(() => {});
+        }
+        drawFeatures();
+        detail.appendChild(featureP);
+        if (cls) {
+          const profs = ((cls.multi_classing || {}).proficiencies || []).map((p) => p.name);
+          const profP = document.createElement('p');
+          profP.innerHTML = `<strong>Multiclass proficiencies:</strong> ${profs.join(', ') || 'None'}`;
+          detail.appendChild(profP);
+        }
+        // Subclass
+        if (subclasses.length > 0) {
+          const subP = document.createElement('p');
+          subP.innerHTML = `<strong>${escapeHtml(entry.name)} subclass:</strong> `;
+          const subSelect = document.createElement('select');
+          subSelect.innerHTML = '<option value="">-- Choose a subclass --</option>' +
+            subclasses.map((s) => `<option value="${s.index}">${s.name}</option>`).join('');
+          subSelect.onchange = () => {
+            const sub = subclasses.find((s) => s.index === subSelect.value) || null;
+            choice.subclass = sub;
+            choice.subclassFeatures = [];
+            drawFeatures();
+            update();
+            if (!sub) return;
+            srdGet(`/api/subclasses/${sub.index}/levels/${classLevel}`)
+              .then((data) => {
+                if (choice.subclass !== sub) return;
+                choice.subclassFeatures = (data.features || []).map((f) => f.name);
+                drawFeatures();
+                update();
+              })
+              .catch(() => {});
+          };
+          subP.appendChild(subSelect);
+          detail.appendChild(subP);
+        }
+        // Ability Score Increase or feat
+        if (grantsAsi) {
+          const asiDiv = document.createElement('fieldset');
+          asiDiv.className = 'choice-group';
+          asiDiv.innerHTML = `<legend>Ability Score Improvement</legend>
+            <label><input type="radio" name="asiMode" value="asi" checked /> +1 to two abilities, or +2 to one (pick the same twice)</label>
+            <p>${[0, 1].map((i) => `<select data-asi="${i}"><option value="">--</option>${ABILITY_KEYS.map((k) => `<option value="${k}">${k.toUpperCase()} (${ch.abilityScores[k]})</option>`).join('')}</select>`).join(' ')}</p>
+            <label><input type="radio" name="asiMode" value="feat" /> Take a feat</label>
+            <p><select data-feat><option value="">Loading feats…</option></select></p>
+            <p class="feat-desc dice-help"></p>`;
+          asiDiv.querySelectorAll('input[name="asiMode"]').forEach((radio) => {
+            radio.onchange = () => {
+              choice.asiMode = radio.value;
+              update();
+            };
+          });
+          asiDiv.querySelectorAll('select[data-asi]').forEach((sel) => {
+            sel.onchange = () => {
+              choice.asi[parseInt(sel.dataset.asi, 10)] = sel.value;
+              update();
+            };
+          });
+          const featSelect = asiDiv.querySelector('select[data-feat]');
+          const featDesc = asiDiv.querySelector('.feat-desc');
+          srdGet('/api/feats')
+            .then((data) => {
+              featSelect.innerHTML = '<option value="">-- Choose a feat --</option>' +
+                data.results.map((f) => `<option value="${f.index}">${f.name}</option>`).join('');
+            })
+            .catch(() => {
+              featSelect.innerHTML = '<option value="">Failed to load feats</option>';
+            });
+          featSelect.onchange = () => {
+            choice.feat = null;
+            featDesc.textContent = '';
+            update();
+            if (!featSelect.value) return;
+            srdGet(`/api/feats/${featSelect.value}`)
+              .then((feat) => {
+                const unmet = (feat.prerequisites || []).filter(
+                  (p) => p.ability_score && ch.abilityScores[p.ability_score.index] < p.minimum_score
+                );
+                choice.feat = { index: feat.index, name: feat.name, unmet: unmet.map((p) => `${p.ability_score.name} ${p.minimum_score}`) };
+                featDesc.textContent = (feat.desc || []).join(' ');
+                update();
+              })
+              .catch(() => {
+                featDesc.textContent = 'Failed to load feat details.';
+              });
+          };
+          detail.appendChild(asiDiv);
+        }
+        // Hit points
+        const hpP = document.createElement('p');
+        hpP.innerHTML = `<strong>Hit points:</strong> d${entry.hitDie} ${conMod >= 0 ? '+' : '−'} ${Math.abs(conMod)} CON. `;
+        const rollBtn = document.createElement('button');
+        rollBtn.className = 'btn btn-secondary btn-small';
+        rollBtn.textContent = `🎲 Roll d${entry.hitDie} (or keep the average ${average})`;
+        rollBtn.onclick = () => {
+          choice.hpRoll = rollDice(`1d${entry.hitDie}`, `${ch.name} Level ${lvl} Hit Points`, state, { campaignId: ch.campaignId || null }).total;
+          rollBtn.disabled = true;
+          rollBtn.textContent = `Rolled ${choice.hpRoll}`;
+          update();
+        };
+        hpP.appendChild(rollBtn);
+        detail.appendChild(hpP);
+        // Summary and confirmation
+        const hpGain = () => Math.max(1, (choice.hpRoll !== null ? choice.hpRoll : average) + conMod);
+        const asiProblem = () => {
+          if (!grantsAsi) return null;
+          if (choice.asiMode === 'feat') {
+            if (!choice.feat) return 'Choose a feat.';
+            if (choice.feat.unmet.length > 0) return `${choice.feat.name} requires ${choice.feat.unmet.join(', ')}.`;
+            return null;
+          }
+          if (!choice.asi[0] || !choice.asi[1]) return 'Choose the abilities to increase.';
+          const after = { ...ch.abilityScores };
+          choice.asi.forEach((k) => { after[k]++; });
+          const over = choice.asi.find((k) => after[k] > 20);
+          return over ? `${over.toUpperCase()} can't go above 20.` : null;
+        };
+        function update() {
+          const lines = [
+            `${entry.name} ${classLevel}${cls ? ' (new class)' : ''}`,
+            `+${hpGain()} HP (${choice.hpRoll !== null ? `rolled ${choice.hpRoll}` : `average ${average}`})`,
+          ];
+          if (choice.subclass) lines.push(`Subclass: ${choice.subclass.name}`);
+          if (grantsAsi) {
+            if (choice.asiMode === 'feat') lines.push(`Feat: ${choice.feat ? choice.feat.name : '—'}`);
+            else if (choice.asi[0] && choice.asi[1]) {
+              lines.push(choice.asi[0] === choice.asi[1] ? `+2 ${choice.asi[0].toUpperCase()}` : `+1 ${choice.asi[0].toUpperCase()}, +1 ${choice.asi[1].toUpperCase()}`);
+            }
+          }
+          const problem = (subclasses.length > 0 && !choice.subclass ? 'Choose a subclass.' : null) || asiProblem();
+          summary.innerHTML = `<strong>Summary:</strong> ${lines.join(' · ')}` +
+            (problem ? `<br/><span class="dice-error">${problem}</span>` : '');
+          confirmBtn.disabled = !!problem;
+        }
+        detail.appendChild(summary);
+        confirmBtn.className = 'btn btn-primary';
+        confirmBtn.textContent = 'Confirm Level Up';
+        confirmBtn.onclick = () => {
+          result = {
+            entry,
+            cls,
+            hpGain: hpGain(),
+            features: [...features, ...choice.subclassFeatures],
+            subclass: choice.subclass,
+            asi: grantsAsi && choice.asiMode === 'asi' ? choice.asi : null,
+            feat: grantsAsi && choice.asiMode === 'feat' ? choice.feat : null,
+          };
+          close();
+        };
+        detail.appendChild(confirmBtn);
+        update();
+      }
+
+      classSelect.onchange = () => loadClass(classSelect.value);
+      srdGet('/api/classes')
+        .then((data) => {
+          const group = document.createElement('optgroup');
+          group.label = 'Multiclass into';
+          data.results
+            .filter((c) => !ch.classes.some((own) => own.index === c.index))
+            .forEach((c) => {
+              const opt = document.createElement('option');
+              opt.value = `new:${c.index}`;
+              opt.textContent = c.name;
+              group.appendChild(opt);
+            });
+          classSelect.appendChild(group);
+          if (ch.classes.length === 0) loadClass(classSelect.value);
+        })
+        .catch(() => {});
+      if (ch.classes.length > 0) loadClass(classSelect.value);
+    });
+  }
+
+  /**
+   * Apply every level the character's XP entitles them to, one level-up
+   * screen at a time.  Each confirmed level is recorded as one history
+   * entry and saved.  Stops if the player closes the screen; the
+   * character sheet then offers to continue later.
+   * @param {object} ch
+   * @param {object} state
+   * @returns {Promise<boolean>} Whether the character is fully levelled
+   */
+  async function levelUpCharacter(ch, state) {
+    while (getLevelFromXp(ch.xp) > ch.level) {
+      const lvl = ch.level + 1;
+      const choice = await openLevelUpWizard(ch, state, lvl);
+      if (!choice) return false;
+      const { entry, cls } = choice;
+      const before = snapshotCharacter(ch);
+      const notes = [];
+      if (cls) {
+        // A new class brings only its multiclassing proficiencies
+        ch.classes.push(entry);
+        const profs = ((cls.multi_classing || {}).proficiencies || []).map((p) => p.name);
+        ch.proficiencies = Array.from(new Set([...(ch.proficiencies || []), ...profs]));
+      }
+      entry.level++;
+      if (choice.subclass) {
+        entry.subclass = choice.subclass.name;
+        entry.subclassIndex = choice.subclass.index;
+        notes.push(choice.subclass.name);
+      }
+      syncPrimaryClass(ch);
+      ch.maxHp += choice.hpGain;
+      ch.hp += choice.hpGain;
+      const features = new Set(ch.features || []);
+      choice.features.forEach((f) => features.add(f));
+      if (choice.feat) {
+        features.add(`Feat: ${choice.feat.name}`);
+        notes.push(choice.feat.name);
+      }
+      ch.features = Array.from(features);
+      if (choice.asi) {
+        choice.asi.forEach((k) => {
+          ch.abilityScores[k]++;
+        });
+        notes.push(choice.asi.map((k) => `+1 ${k.toUpperCase()}`).join(', '));
+      }
+      // New slots and spells known for the new level
+      await refreshSpellcasting(ch);
+      logCharacterChange(ch, state, `Levelled up to ${lvl} (${entry.name} ${entry.level}${notes.length > 0 ? '; ' + notes.join('; ') : ''})`, before);
+      saveState(state);
+    }
+    return true;
   }
+
   /**
-   * Persist application state to localStorage.
-   * @param {object} state The state to store.
+   * Award experience points to a character, recorded in their history,
+   * and open the level-up screen for any levels gained (see
+   * levelUpCharacter).  The caller is responsible for saving state.
+   * @param {object} ch The character receiving XP
+   * @param {number} xp Amount of XP to add
+   * @param {object} state
+   * @returns {Promise<void>}
    */
-  function saveState(state) {
-    localStorage.setItem('torchtimeData', JSON.stringify(state));
+  async function awardXp(ch, xp, state) {
+    const before = snapshotCharacter(ch);
+    ch.xp += xp;
+    logCharacterChange(ch, state, `Awarded ${xp} XP`, before);
+    const newLevel = getLevelFromXp(ch.xp);
+    if (newLevel <= ch.level) return;
+    alert(`${ch.name} reached level ${newLevel}!`);
+    await levelUpCharacter(ch, state);
   }
 
   /**
-   * Generate a unique identifier.  In production you'd use a proper
-   * database or UUID library.
+   * Advance a character one level in a milestone campaign.  Levels are
+   * still driven by XP, so the character's XP is raised to the start of
+   * the next level before the level-up screen opens.  The caller is
+   * responsible for saving state.
+   * @param {object} ch
+   * @param {object} state
+   * @returns {Promise<void>}
    */
-  function uuid() {
-    return (
-      Date.now().toString(36) +
-      Math.random().toString(36).substring(2, 8)
-    );
+  async function awardMilestone(ch, state) {
+    if (ch.level >= XP_THRESHOLDS.length) return;
+    const before = snapshotCharacter(ch);
+    ch.xp = Math.max(ch.xp, XP_THRESHOLDS[ch.level]);
+    logCharacterChange(ch, state, `Milestone reached: level ${ch.level + 1}`, before);
+    await levelUpCharacter(ch, state);
   }
 
   /**
-   * Format a Date object into a locale string suitable for display.
-   * Shows date and time in the user's locale.
-   * @param {Date|string} date
+   * Whether a proposal has received any vote.
+   * @param {object} proposal
+   * @returns {boolean}
    */
-  function formatDateTime(date) {
-    const d = typeof date === 'string' ? new Date(date) : date;
-    return d.toLocaleString(undefined, {
-      dateStyle: 'medium',
-      timeStyle: 'short',
-    });
+  function hasVotes(proposal) {
+    return proposal.votes.some((v) => v.yes.length + v.maybe.length + v.no.length > 0);
   }
 
   /**
-   * Compute a D&D 5e level from experience points.  The thresholds
-   * correspond to the official XP progression table up to level 20.
-   * @param {number} xp
+   * Whether voting on a proposal is over: it has been finalised or its
+   * deadline has passed.
+   * @param {object} proposal
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  function isVotingClosed(proposal, now = Date.now()) {
+    return proposal.finalized || (proposal.deadline !== null && proposal.deadline <= now);
+  }
+
+  /**
+   * Pick the option with the most yes votes.  Ties go to the option
+   * with more maybe votes, then to the earlier option in the list.
+   * Returns -1 if nobody voted yes.
+   * @param {object} proposal
    * @returns {number}
    */
-  function getLevelFromXp(xp) {
-    const thresholds = [
-      0, 300, 900, 2700, 6500, 14000, 23000, 34000, 48000, 64000,
-      85000, 100000, 120000, 140000, 165000, 195000, 225000,
-      265000, 305000, 355000,
-    ];
-    for (let i = thresholds.length - 1; i >= 0; i--) {
-      if (xp >= thresholds[i]) return i + 1;
-    }
-    return 1;
+  function pickWinningOption(proposal) {
+    let best = -1;
+    proposal.options.forEach((opt, idx) => {
+      const v = proposal.votes[idx] || { yes: [], maybe: [] };
+      if (v.yes.length === 0) return;
+      if (best < 0) {
+        best = idx;
+        return;
+      }
+      const b = proposal.votes[best];
+      if (v.yes.length > b.yes.length || (v.yes.length === b.yes.length && v.maybe.length > b.maybe.length)) best = idx;
+    });
+    return best;
   }
 
   /**
-   * Fetch race traits from the D&D 5e API.  Returns an array of
-   * trait names for the given race index.  Used when creating
-   * characters and populating their features list.
-   * @param {string} raceIndex
-   * @returns {Promise<string[]>}
+   * Finalise a proposal on one of its options.  The proposal id then
+   * doubles as the session id (see getCampaignSessions).
+   * @param {object} proposal
+   * @param {number} optionIndex
    */
-  async function fetchRaceTraits(raceIndex) {
-    try {
-      const res = await fetch(`https://www.dnd5eapi.co/api/races/${raceIndex}`);
-      const data = await res.json();
-      if (!data.traits || data.traits.length === 0) return [];
-      // Fetch trait details in parallel; if a trait fails we still continue
-      const traitPromises = data.traits.map((t) =>
-        fetch(`https://www.dnd5eapi.co${t.url}`)
-          .then((resp) => resp.json())
-          .then((trait) => trait.name)
-          .catch(() => t.name)
-      );
-      const traitNames = await Promise.all(traitPromises);
-      return traitNames;
-    } catch (err) {
-      console.error('Failed to fetch race traits', err);
-      return [];
-    }
+  function finalizeProposal(proposal, optionIndex) {
+    proposal.finalized = true;
+    proposal.finalChoiceIndex = optionIndex;
   }
 
   /**
-   * Fetch class features for a given class index and level.  Returns
-   * an array of feature names.  This uses the D&D 5e API endpoint
-   * /api/classes/{index}/levels/{level}.  If no features are found,
-   * returns an empty array.
-   * @param {string} classIndex
-   * @param {number} level
-   * @returns {Promise<string[]>}
+   * Finalise every proposal set to auto-finalize whose deadline has
+   * passed, on its winning option (see pickWinningOption).  Proposals
+   * nobody voted yes on are left for the DM.  The caller saves state if
+   * anything was returned.
+   * @param {object} state
+   * @param {number} [now]
+   * @returns {object[]} The proposals that were finalised
    */
-  async function fetchLevelFeatures(classIndex, level) {
-    try {
-      const res = await fetch(`https://www.dnd5eapi.co/api/classes/${classIndex}/levels/${level}`);
-      const data = await res.json();
-      if (!data.features || data.features.length === 0) return [];
-      // Resolve feature names; the API returns objects with name and url
-      const featurePromises = data.features.map((f) =>
-        fetch(`https://www.dnd5eapi.co${f.url}`)
-          .then((resp) => resp.json())
-          .then((feat) => feat.name)
-          .catch(() => f.name)
-      );
-      const featureNames = await Promise.all(featurePromises);
-      return featureNames;
-    } catch (err) {
-      console.error('Failed to fetch level features', err);
-      return [];
-    }
+  function processProposalDeadlines(state, now = Date.now()) {
+    const finalized = [];
+    state.proposals
+      .filter((p) => !p.finalized && p.autoFinalize && p.deadline !== null && p.deadline <= now)
+      .forEach((p) => {
+        const idx = pickWinningOption(p);
+        if (idx < 0) return;
+        finalizeProposal(p, idx);
+        finalized.push(p);
+      });
+    return finalized;
   }
 
   /**
-   * Prompt the user to apply an Ability Score Increase.  This helper
-   * asks which ability scores to improve and updates the character's
-   * abilityScores accordingly.  According to D&D rules, a typical
-   * ability score improvement grants either +2 to a single ability or
-   * +1 to two different abilities.  We implement a simple prompt
-   * asking the user which abilities to increment.  The function
-   * returns nothing but updates the passed character object.
-   * @param {object} ch The character whose scores should be updated
+   * Move a scheduled session to a new time or place.  The session keeps
+   * its id, notes and calendar UID; the sequence number is bumped so
+   * calendar apps replace the old event.  A cancelled session is
+   * reinstated.
+   * @param {object} proposal A finalised proposal
+   * @param {{date: string, start: string, end: string, location: string}} slot
    */
-  async function promptAbilityScoreIncrease(ch) {
-    try {
-      const input = prompt(
-        `${ch.name} gained an Ability Score Increase!\n` +
-        `Enter one ability to increase by +2 or two abilities separated by comma to increase by +1 each.\n` +
-        `Valid codes: STR, DEX, CON, INT, WIS, CHA.`
-      );
-      if (!input) return;
-      const parts = input
-        .split(/[,\s]+/)
-        .map((p) => p.trim().toLowerCase())
-        .filter((p) => ['str','dex','con','int','wis','cha'].includes(p));
-      if (parts.length === 1) {
-        ch.abilityScores[parts[0]] += 2;
-      } else if (parts.length >= 2) {
-        ch.abilityScores[parts[0]] += 1;
-        ch.abilityScores[parts[1]] += 1;
-      }
-      // After ability score change, recompute hit points based on new CON modifier for subsequent levels
-      return;
-    } catch (err) {
-      console.error('Error applying ability score increase', err);
-    }
+  function rescheduleSession(proposal, slot) {
+    proposal.options[proposal.finalChoiceIndex] = { ...slot };
+    proposal.cancelled = false;
+    proposal.sequence++;
+  }
+
+  /**
+   * Cancel a scheduled session.  It stays in the records (and in
+   * calendar exports, marked cancelled) but is no longer listed as
+   * upcoming.
+   * @param {object} proposal A finalised proposal
+   */
+  function cancelSession(proposal) {
+    proposal.cancelled = true;
+    proposal.sequence++;
+  }
+
+  /**
+   * Open a modal to move a scheduled session to another date, time or
+   * location.
+   * @param {object} proposal A finalised proposal
+   * @param {object} state
+   * @param {Function} onDone Called after the modal has been closed
+   */
+  function openRescheduleSession(proposal, state, onDone) {
+    const { body, close } = openModal('Reschedule Session', onDone);
+    const current = proposal.options[proposal.finalChoiceIndex];
+    const form = document.createElement('form');
+    form.innerHTML = `
+      <label for="reschedDate">Date (YYYY-MM-DD)</label>
+      <input type="text" id="reschedDate" required />
+      <label for="reschedStart">Start (HH:MM)</label>
+      <input type="text" id="reschedStart" required />
+      <label for="reschedEnd">End (HH:MM)</label>
+      <input type="text" id="reschedEnd" required />
+      <label for="reschedLocation">Location</label>
+      <input type="text" id="reschedLocation" />
+      <button type="submit">Reschedule</button>
+    `;
+    form.querySelector('#reschedDate').value = current.date;
+    form.querySelector('#reschedStart').value = current.start;
+    form.querySelector('#reschedEnd').value = current.end;
+    form.querySelector('#reschedLocation').value = current.location || '';
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const slot = {
+        date: form.querySelector('#reschedDate').value.trim(),
+        start: form.querySelector('#reschedStart').value.trim(),
+        end: form.querySelector('#reschedEnd').value.trim(),
+        location: form.querySelector('#reschedLocation').value.trim(),
+      };
+      const problem = validateTimeSlot(slot);
+      if (problem) {
+        alert(problem);
+        return;
+      }
+      slot.start = formatTimeOfDay(parseTimeOfDay(slot.start));
+      slot.end = formatTimeOfDay(parseTimeOfDay(slot.end));
+      rescheduleSession(proposal, slot);
+      saveState(state);
+      alert('Session rescheduled. Players who added it to their calendar can import the updated .ics.');
+      close();
+    };
+    body.appendChild(form);
+  }
+
+  /**
+   * Describe who voted what on a proposal option, e.g.
+   * "Yes: ann, bob · Maybe: cat".
+   * @param {object} state
+   * @param {{yes: string[], maybe: string[], no: string[]}} votes
+   * @returns {string}
+   */
+  function describeVoters(state, votes) {
+    const name = (id) => (state.users.find((u) => u.id === id) || { username: 'Unknown' }).username;
+    return ['yes', 'maybe', 'no']
+      .filter((vt) => votes[vt].length > 0)
+      .map((vt) => `${vt.charAt(0).toUpperCase() + vt.slice(1)}: ${votes[vt].map(name).join(', ')}`)
+      .join(' · ');
   }
 
   /**
@@ -340,6 +3715,8 @@
    */
   function handleVote(proposal, optionIndex, voteType, state) {
     const userId = state.currentUserId;
+    const campaign = state.campaigns.find((c) => c.id === proposal.campaignId);
+    if (!getCampaignRole(campaign, userId) || campaign.archived || isVotingClosed(proposal)) return;
     if (!proposal.votes[optionIndex]) {
       proposal.votes[optionIndex] = { yes: [], maybe: [], no: [] };
     }
@@ -465,6 +3842,8 @@
       { href: '#compendium', label: '📖 Compendium' },
       { href: '#character-creator', label: '🧙 Create Character' },
       { href: '#characters', label: '👤 My Characters' },
+      { href: '#backup', label: '💾 Backup' },
+      { href: '#account', label: '⚙️ Account' },
       { href: '#logout', label: '🚪 Logout' },
     ];
     links.forEach(({ href, label }) => {
@@ -529,12 +3908,30 @@
     const state = loadState();
     // Setup audio and toggle
     setupAudio();
+    // Populate the offline SRD cache from the bundled snapshot, if any
+    seedSrdCache().catch((err) => console.error('Failed to seed SRD cache', err));
+    // Log out idle users if they asked for it
+    setupIdleLogout(state);
     // Setup hash change listener
     window.addEventListener('hashchange', () => {
       render(state);
     });
     // Initial render
     render(state);
+    // Surface corrupt or unreadable saves now that the UI is visible
+    reportStateLoadProblem();
+    // Start syncing with other devices if a sync server is configured
+    if (storage.start) storage.start(state, () => rerenderInBackground(state));
+    // Share rolls live with other tabs and, through the sync server,
+    // other devices
+    rollFeed = createRollFeed((entry) => receiveRoll(state, entry), () => state.currentUserId);
+    rollFeed.connectSocket(getRollSocketUrl());
+    // Close voting on proposals whose deadline passes while the app is open
+    setInterval(() => {
+      if (processProposalDeadlines(state).length === 0) return;
+      saveState(state);
+      rerenderInBackground(state);
+    }, 60000);
     // Attach global click handler to play click sound on most button presses
     document.body.addEventListener('click', (evt) => {
       const target = evt.target;
@@ -545,6 +3942,19 @@
     });
   }
 
+  /**
+   * Show changes that did not come from the user, such as edits pulled
+   * from other devices or proposals finalised at their deadline.  The
+   * view is left alone while the user is typing into a form so their
+   * input isn't lost; the changes appear on the next navigation instead.
+   * @param {object} state
+   */
+  function rerenderInBackground(state) {
+    const active = document.activeElement;
+    if (active && ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName)) return;
+    render(state);
+  }
+
   /**
    * Main render function.  Decides which view to display based on the hash.
    * @param {object} state
@@ -574,6 +3984,12 @@
       case '#campaign':
         renderCampaignDetail(app, state);
         break;
+      case '#campaign-settings':
+        renderCampaignSettings(app, state);
+        break;
+      case '#campaign-calendar':
+        renderCampaignCalendar(app, state);
+        break;
       case '#session':
         renderSessionDetail(app, state);
         break;
@@ -604,12 +4020,120 @@
       case '#propose-session':
         renderProposeSession(app, state);
         break;
+      case '#combat':
+        renderCombatTracker(app, state);
+        break;
+      case '#account':
+        renderAccount(app, state);
+        break;
+      case '#backup':
+        renderBackup(app, state);
+        break;
       default:
         renderDashboard(app, state);
         break;
     }
   }
 
+  // ----- Password hashing -----
+  //
+  // Passwords are never stored.  Each user gets a random salt and we
+  // keep only the PBKDF2-SHA256 digest, derived with Web Crypto.  The
+  // iteration count is stored per user so it can be raised later
+  // without invalidating existing accounts.
+  const PASSWORD_ITERATIONS = 310000;
+  const MIN_PASSWORD_LENGTH = 8;
+
+  function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  function base64ToBytes(b64) {
+    return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  }
+
+  /**
+   * Derive a password digest with PBKDF2.
+   * @param {string} password
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<string>} Base64 encoded 256-bit digest
+   */
+  async function derivePasswordHash(password, salt, iterations) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      key,
+      256
+    );
+    return bytesToBase64(new Uint8Array(bits));
+  }
+
+  // Fields of a user record that let someone log in as that user.  Data
+  // arriving from outside this browser never replaces them on an existing
+  // account.
+  const CREDENTIAL_FIELDS = ['password', 'legacyPlaintext', 'passwordHash', 'passwordSalt', 'passwordIterations'];
+
+  /**
+   * Copy of an incoming user record with the credentials of the local
+   * copy (if any) in place of its own.
+   * @param {object} incoming
+   * @param {object|undefined} local
+   * @returns {object}
+   */
+  function keepLocalCredentials(incoming, local) {
+    const merged = { ...incoming };
+    CREDENTIAL_FIELDS.forEach((field) => {
+      delete merged[field];
+      if (local && local[field] !== undefined) merged[field] = local[field];
+    });
+    return merged;
+  }
+
+  /**
+   * Set (or replace) a user's password.  Generates a fresh salt, stores
+   * the digest and removes any legacy plaintext password.
+   * @param {object} user
+   * @param {string} password
+   * @returns {Promise<void>}
+   */
+  async function setUserPassword(user, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    user.passwordHash = await derivePasswordHash(password, salt, PASSWORD_ITERATIONS);
+    user.passwordSalt = bytesToBase64(salt);
+    user.passwordIterations = PASSWORD_ITERATIONS;
+    delete user.password;
+    delete user.legacyPlaintext;
+  }
+
+  /**
+   * Check a password attempt against a user.  Legacy accounts flagged
+   * by loadState still carry a plaintext password; they are verified
+   * against it and the caller should upgrade them with setUserPassword.
+   * @param {object} user
+   * @param {string} password
+   * @returns {Promise<boolean>}
+   */
+  async function verifyPassword(user, password) {
+    if (user.legacyPlaintext) {
+      return typeof user.password === 'string' && user.password === password;
+    }
+    if (!user.passwordHash || !user.passwordSalt) return false;
+    const attempt = await derivePasswordHash(password, base64ToBytes(user.passwordSalt), user.passwordIterations);
+    // Compare every character so the time taken doesn't reveal how much matched
+    let diff = attempt.length ^ user.passwordHash.length;
+    for (let i = 0; i < attempt.length; i++) {
+      diff |= attempt.charCodeAt(i) ^ user.passwordHash.charCodeAt(i % user.passwordHash.length);
+    }
+    return diff === 0;
+  }
+
   /**
    * Render login form for unauthenticated users.
    */
@@ -627,19 +4151,21 @@
         </p>
       </form>
     `;
-    $('#loginForm').onsubmit = (e) => {
+    $('#loginForm').onsubmit = async (e) => {
       e.preventDefault();
       const username = $('#loginUsername').value.trim();
       const password = $('#loginPassword').value;
       const user = state.users.find(
-        (u) =>
-          u.username.toLowerCase() === username.toLowerCase() &&
-          u.password === password
+        (u) => u.username.toLowerCase() === username.toLowerCase()
       );
-      if (!user) {
+      if (!user || !(await verifyPassword(user, password))) {
         alert('Invalid username or password.');
         return;
       }
+      // Accounts from before password hashing are upgraded on login
+      if (user.legacyPlaintext) {
+        await setUserPassword(user, password);
+      }
       state.currentUserId = user.id;
       saveState(state);
       window.location.hash = '#dashboard';
@@ -656,14 +4182,14 @@
         <label for="registerUsername">Username</label>
         <input type="text" id="registerUsername" required />
         <label for="registerPassword">Password</label>
-        <input type="password" id="registerPassword" required />
+        <input type="password" id="registerPassword" minlength="${MIN_PASSWORD_LENGTH}" required />
         <button type="submit">Register</button>
         <p class="text-center">
           Already have an account? <a href="#login">Login here</a>.
         </p>
       </form>
     `;
-    $('#registerForm').onsubmit = (e) => {
+    $('#registerForm').onsubmit = async (e) => {
       e.preventDefault();
       const username = $('#registerUsername').value.trim();
       const password = $('#registerPassword').value;
@@ -671,6 +4197,10 @@
         alert('Please enter a username and password.');
         return;
       }
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        alert(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+        return;
+      }
       if (state.users.some((u) => u.username.toLowerCase() === username.toLowerCase())) {
         alert('Username already exists.');
         return;
@@ -678,26 +4208,416 @@
       const user = {
         id: uuid(),
         username,
-        password,
+        availability: [],
+      };
+      await setUserPassword(user, password);
+      state.users.push(user);
+      state.currentUserId = user.id;
+      saveState(state);
+      window.location.hash = '#dashboard';
+    };
+  }
+
+  // Invite codes avoid characters that are easy to misread (0/O, 1/I)
+  const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const INVITE_CODE_LENGTH = 8;
+  // Display names for campaign roles
+  const CAMPAIGN_ROLES = { dm: 'DM', 'co-dm': 'Co-DM', player: 'Player' };
+  // How characters advance in a campaign
+  const CAMPAIGN_ADVANCEMENT = { xp: 'Experience points', milestone: 'Milestone' };
+  // Cover images are stored in the state as data URLs, so keep them small
+  const MAX_COVER_IMAGE_BYTES = 512 * 1024;
+
+  /**
+   * Generate a random campaign invite code.
+   * @returns {string}
+   */
+  function generateInviteCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH));
+    return Array.from(bytes, (b) => INVITE_CODE_ALPHABET[b % INVITE_CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * A user's role in a campaign: 'dm' for the owner, 'co-dm', 'player',
+   * or null if they are not a member.
+   * @param {object} campaign
+   * @param {string} userId
+   * @returns {string|null}
+   */
+  function getCampaignRole(campaign, userId) {
+    if (!campaign || !userId) return null;
+    if (campaign.ownerId === userId) return 'dm';
+    const member = (campaign.members || []).find((m) => m.userId === userId);
+    return member ? member.role : null;
+  }
+
+  /**
+   * Whether a user runs a campaign (its owner or a co-DM).  DMs can
+   * schedule sessions, run combat, award XP and edit characters.
+   * @param {object} campaign
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  function isCampaignDm(campaign, userId) {
+    const role = getCampaignRole(campaign, userId);
+    return role === 'dm' || role === 'co-dm';
+  }
+
+  /**
+   * Campaigns the user belongs to in any role.
+   * @param {object} state
+   * @param {string} userId
+   * @returns {object[]}
+   */
+  function getUserCampaigns(state, userId) {
+    return state.campaigns.filter((c) => getCampaignRole(c, userId) !== null);
+  }
+
+  /**
+   * Join the campaign whose invite code matches as a player.  Throws if
+   * the code is unknown or the user already belongs to it.
+   * @param {object} state
+   * @param {string} code
+   * @returns {object} The campaign joined
+   */
+  function joinCampaignByCode(state, code) {
+    const normalized = code.trim().toUpperCase();
+    const campaign = state.campaigns.find((c) => c.inviteCode === normalized);
+    if (!campaign) throw new Error('No campaign has that invite code.');
+    if (campaign.archived) throw new Error(`${campaign.name} has been archived and is not taking new players.`);
+    if (getCampaignRole(campaign, state.currentUserId)) {
+      throw new Error(`You are already a member of ${campaign.name}.`);
+    }
+    campaign.members.push({ userId: state.currentUserId, role: 'player', joinedAt: Date.now() });
+    return campaign;
+  }
+
+  /**
+   * Remove a member from a campaign.  Their characters in the campaign
+   * are unassigned, pending join requests dropped, and their votes on open proposals withdrawn.
+   * @param {object} state
+   * @param {object} campaign
+   * @param {string} userId
+   */
+  function removeCampaignMember(state, campaign, userId) {
+    campaign.members = campaign.members.filter((m) => m.userId !== userId);
+    state.characters.forEach((ch) => {
+      if (ch.userId !== userId) return;
+      if (ch.campaignId === campaign.id) ch.campaignId = null;
+      if (ch.pendingCampaignId === campaign.id) ch.pendingCampaignId = null;
+    });
+    state.proposals
+      .filter((p) => p.campaignId === campaign.id && !p.finalized)
+      .forEach((p) => {
+        p.votes.forEach((v) => {
+          ['yes', 'maybe', 'no'].forEach((vt) => {
+            v[vt] = v[vt].filter((id) => id !== userId);
+          });
+        });
+      });
+  }
+
+  /**
+   * Render the member list of a campaign.  Anyone in the campaign sees
+   * who belongs to it; DMs also see the invite code, and the owner can
+   * change roles, remove members and issue a new code.  Members other
+   * than the owner can leave.
+   * @param {object} campaign
+   * @param {object} state
+   * @param {Function} rerender
+   * @returns {HTMLElement}
+   */
+  function renderCampaignMembers(campaign, state, rerender) {
+    const section = document.createElement('div');
+    section.className = 'campaign-members';
+    section.innerHTML = '<h3>Members</h3>';
+    const userId = state.currentUserId;
+    const isOwner = campaign.ownerId === userId;
+    if (isCampaignDm(campaign, userId)) {
+      const inviteP = document.createElement('p');
+      inviteP.innerHTML = `<strong>Invite code:</strong> <code class="invite-code">${escapeHtml(campaign.inviteCode)}</code> `;
+      const copyBtn = document.createElement('button');
+      copyBtn.className = 'btn btn-secondary btn-small';
+      copyBtn.textContent = 'Copy';
+      copyBtn.onclick = () => {
+        navigator.clipboard.writeText(campaign.inviteCode)
+          .then(() => alert('Invite code copied. Players can join from their dashboard.'))
+          .catch(() => prompt('Copy the invite code:', campaign.inviteCode));
+      };
+      inviteP.appendChild(copyBtn);
+      if (isOwner) {
+        const newCodeBtn = document.createElement('button');
+        newCodeBtn.className = 'btn btn-secondary btn-small';
+        newCodeBtn.textContent = 'New Code';
+        newCodeBtn.title = 'The old code stops working';
+        newCodeBtn.onclick = () => {
+          if (!confirm('Issue a new invite code? The current code will stop working.')) return;
+          campaign.inviteCode = generateInviteCode();
+          saveState(state);
+          rerender();
+        };
+        inviteP.appendChild(newCodeBtn);
+      }
+      section.appendChild(inviteP);
+    }
+    const list = document.createElement('ul');
+    list.className = 'list';
+    const members = [{ userId: campaign.ownerId, role: 'dm' }, ...campaign.members];
+    members.forEach((m) => {
+      const user = state.users.find((u) => u.id === m.userId);
+      const li = document.createElement('li');
+      li.innerHTML = `<span>${user ? escapeHtml(user.username) : 'Unknown'} – ${CAMPAIGN_ROLES[m.role]}${m.userId === userId ? ' (you)' : ''}</span>`;
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      if (isOwner && m.role !== 'dm') {
+        const roleBtn = document.createElement('button');
+        roleBtn.className = 'btn btn-secondary btn-small';
+        roleBtn.textContent = m.role === 'co-dm' ? 'Make Player' : 'Make Co-DM';
+        roleBtn.onclick = () => {
+          m.role = m.role === 'co-dm' ? 'player' : 'co-dm';
+          saveState(state);
+          rerender();
+        };
+        actions.appendChild(roleBtn);
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => {
+          if (!confirm(`Remove ${user ? user.username : 'this member'} from ${campaign.name}? Their characters will be unassigned.`)) return;
+          removeCampaignMember(state, campaign, m.userId);
+          saveState(state);
+          rerender();
+        };
+        actions.appendChild(removeBtn);
+      } else if (m.userId === userId && m.role !== 'dm') {
+        const leaveBtn = document.createElement('button');
+        leaveBtn.className = 'btn btn-danger btn-small';
+        leaveBtn.textContent = 'Leave Campaign';
+        leaveBtn.onclick = () => {
+          if (!confirm(`Leave ${campaign.name}? Your characters will be unassigned.`)) return;
+          removeCampaignMember(state, campaign, userId);
+          saveState(state);
+          window.location.hash = '#dashboard';
+        };
+        actions.appendChild(leaveBtn);
+      }
+      li.appendChild(actions);
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Ask for a character to join (or transfer to) a campaign.  A DM of
+   * the campaign assigns directly; otherwise the request waits in
+   * ch.pendingCampaignId for a DM to approve, and the character stays
+   * where it is until then.  Passing null leaves the current campaign.
+   * A character assigned to their first campaign is brought up to its
+   * starting level, as on approval (see applyStartingLevel).  The change
+   * is recorded in the character's history; the caller saves state.
+   * @param {object} state
+   * @param {object} ch
+   * @param {string|null} campaignId
+   * @returns {string} 'assigned', 'pending' or 'left'
+   */
+  function requestCampaignAssignment(state, ch, campaignId) {
+    const name = (id) => (state.campaigns.find((c) => c.id === id) || { name: 'Unknown campaign' }).name;
+    const before = snapshotCharacter(ch);
+    let outcome;
+    if (!campaignId) {
+      ch.campaignId = null;
+      ch.pendingCampaignId = null;
+      outcome = 'left';
+      logCharacterChange(ch, state, `Left ${name(before.campaignId)}`, before);
+    } else if (isCampaignDm(state.campaigns.find((c) => c.id === campaignId), state.currentUserId)) {
+      ch.campaignId = campaignId;
+      ch.pendingCampaignId = null;
+      outcome = 'assigned';
+      logCharacterChange(ch, state, before.campaignId ? `Transferred from ${name(before.campaignId)} to ${name(campaignId)}` : `Joined ${name(campaignId)}`, before);
+      if (!before.campaignId) applyStartingLevel(ch, state.campaigns.find((c) => c.id === campaignId), state);
+    } else {
+      ch.pendingCampaignId = campaignId;
+      outcome = 'pending';
+      logCharacterChange(ch, state, `Asked to join ${name(campaignId)}`, before);
+    }
+    return outcome;
+  }
+
+  /**
+   * Raise a character joining their first campaign to the campaign's
+   * starting level.  Only the XP is raised here; the level-up screens
+   * run from the creator, or from the character sheet when the join was
+   * approved or made from the campaign dialog.  The caller saves state.
+   * @param {object} ch
+   * @param {object} campaign
+   * @param {object} state
+   * @returns {boolean} Whether the character now has levels to take
+   */
+  function applyStartingLevel(ch, campaign, state) {
+    if (!campaign || campaign.startingLevel <= ch.level) return false;
+    const before = snapshotCharacter(ch);
+    ch.xp = Math.max(ch.xp, XP_THRESHOLDS[campaign.startingLevel - 1]);
+    logCharacterChange(ch, state, `Starting level ${campaign.startingLevel} for ${campaign.name}`, before);
+    return true;
+  }
+
+  /**
+   * Approve or reject a character's pending request to join a campaign.
+   * Approval moves the character (and its history) out of any previous
+   * campaign, and brings a character joining their first campaign up to
+   * its starting level.  The caller saves state.
+   * @param {object} state
+   * @param {object} ch
+   * @param {boolean} approve
+   */
+  function resolveCampaignRequest(state, ch, approve) {
+    const campaign = state.campaigns.find((c) => c.id === ch.pendingCampaignId);
+    const before = snapshotCharacter(ch);
+    if (approve) {
+      const from = state.campaigns.find((c) => c.id === ch.campaignId);
+      ch.campaignId = ch.pendingCampaignId;
+      ch.pendingCampaignId = null;
+      logCharacterChange(ch, state, from ? `Transferred from ${from.name} to ${campaign.name}` : `Joined ${campaign.name}`, before);
+      if (!from) applyStartingLevel(ch, campaign, state);
+    } else {
+      ch.pendingCampaignId = null;
+      logCharacterChange(ch, state, `Request to join ${campaign ? campaign.name : 'a campaign'} declined`, before);
+    }
+  }
+
+  /**
+   * Retire a character from active play, or bring them back.  Retired
+   * characters keep their campaign and history but are left out of
+   * combat and session attendance.  The caller saves state.
+   * @param {object} state
+   * @param {object} ch
+   * @param {boolean} retired
+   */
+  function setCharacterRetired(state, ch, retired) {
+    const before = snapshotCharacter(ch);
+    ch.retired = retired;
+    logCharacterChange(ch, state, retired ? 'Retired' : 'Returned from retirement', before);
+  }
+
+  /**
+   * Open a modal for choosing which of the player's campaigns a
+   * character should join, or leaving its current campaign.
+   * @param {object} ch
+   * @param {object} state
+   * @param {Function} onDone Called when the modal is closed
+   */
+  function openCampaignAssignment(ch, state, onDone) {
+    const { body, close } = openModal(`Campaign – ${ch.name}`, onDone);
+    const campaigns = getUserCampaigns(state, ch.userId).filter((c) => c.id !== ch.campaignId && !c.archived);
+    const current = state.campaigns.find((c) => c.id === ch.campaignId);
+    const pending = state.campaigns.find((c) => c.id === ch.pendingCampaignId);
+    const info = document.createElement('p');
+    info.innerHTML = `<strong>Current campaign:</strong> ${current ? escapeHtml(current.name) : 'None'}` +
+      (pending ? `<br/><strong>Waiting for approval:</strong> ${escapeHtml(pending.name)}` : '');
+    body.appendChild(info);
+    if (campaigns.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = 'Join a campaign with an invite code from the dashboard first.';
+      body.appendChild(p);
+    } else {
+      const select = document.createElement('select');
+      select.innerHTML = campaigns.map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+      select.value = pending && pending.id !== ch.campaignId ? pending.id : campaigns[0].id;
+      body.appendChild(select);
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'btn btn-primary';
+      joinBtn.style.marginLeft = '0.5rem';
+      joinBtn.textContent = current ? 'Request Transfer' : 'Request to Join';
+      joinBtn.onclick = () => {
+        const outcome = requestCampaignAssignment(state, ch, select.value);
+        saveState(state);
+        if (outcome !== 'assigned') alert('Request sent. The DM needs to approve it.');
+        else if (getLevelFromXp(ch.xp) > ch.level) alert(`${ch.name} joined the campaign and can level up to its starting level from the character sheet.`);
+        else alert(`${ch.name} joined the campaign.`);
+        close();
+      };
+      body.appendChild(joinBtn);
+    }
+    if (current || pending) {
+      const leaveBtn = document.createElement('button');
+      leaveBtn.className = 'btn btn-danger';
+      leaveBtn.style.display = 'block';
+      leaveBtn.style.margin = '1rem 0';
+      leaveBtn.textContent = current ? `Leave ${current.name}` : 'Cancel Request';
+      leaveBtn.onclick = () => {
+        if (current && !confirm(`Remove ${ch.name} from ${current.name}? Their history is kept.`)) return;
+        if (current) requestCampaignAssignment(state, ch, null);
+        else ch.pendingCampaignId = null;
+        saveState(state);
+        close();
+      };
+      body.appendChild(leaveBtn);
+    }
+  }
+
+  /**
+   * Render characters waiting to join a campaign, with Approve and
+   * Decline buttons for its DMs.  Returns null if there are none.
+   * @param {object} campaign
+   * @param {object} state
+   * @param {Function} rerender
+   * @returns {HTMLElement|null}
+   */
+  function renderPendingCharacters(campaign, state, rerender) {
+    const pending = state.characters.filter((ch) => ch.pendingCampaignId === campaign.id);
+    if (pending.length === 0) return null;
+    const section = document.createElement('div');
+    section.innerHTML = '<h3>Characters Awaiting Approval</h3>';
+    const list = document.createElement('ul');
+    list.className = 'list';
+    pending.forEach((ch) => {
+      const owner = state.users.find((u) => u.id === ch.userId);
+      const li = document.createElement('li');
+      li.innerHTML = `<span>${escapeHtml(ch.name)} (Lvl ${ch.level} ${escapeHtml(describeClasses(ch))}) – ${owner ? escapeHtml(owner.username) : 'Unknown'}</span>`;
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      const viewBtn = document.createElement('button');
+      viewBtn.className = 'btn btn-secondary btn-small';
+      viewBtn.textContent = 'View';
+      viewBtn.onclick = () => {
+        window.location.hash = `#character-sheet?id=${ch.id}`;
       };
-      state.users.push(user);
-      state.currentUserId = user.id;
-      saveState(state);
-      window.location.hash = '#dashboard';
-    };
+      actions.appendChild(viewBtn);
+      [['Approve', 'btn-primary', true], ['Decline', 'btn-danger', false]].forEach(([text, className, approve]) => {
+        const btn = document.createElement('button');
+        btn.className = `btn ${className} btn-small`;
+        btn.textContent = text;
+        btn.onclick = () => {
+          resolveCampaignRequest(state, ch, approve);
+          saveState(state);
+          rerender();
+        };
+        actions.appendChild(btn);
+      });
+      li.appendChild(actions);
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    return section;
   }
 
   /**
-   * Render the dashboard showing a list of campaigns.
+   * Render the dashboard showing the campaigns the user belongs to and
+   * a form for joining one with an invite code.
    */
   function renderDashboard(container, state) {
     const user = state.users.find((u) => u.id === state.currentUserId);
     container.innerHTML = `<h2>Campaigns</h2>`;
     const list = document.createElement('ul');
     list.className = 'list';
-    state.campaigns.forEach((camp) => {
+    const campaigns = getUserCampaigns(state, state.currentUserId);
+    // Archived campaigns are listed after the active ones
+    const ordered = campaigns.filter((c) => !c.archived).concat(campaigns.filter((c) => c.archived));
+    ordered.forEach((camp) => {
       const li = document.createElement('li');
-      li.innerHTML = `<span>${camp.name}</span>`;
+      li.innerHTML = `<span>${escapeHtml(camp.name)} <small>(${CAMPAIGN_ROLES[getCampaignRole(camp, state.currentUserId)]}${camp.archived ? ', archived' : ''})</small>` +
+        `${camp.setting ? `<br/><small>${escapeHtml(camp.setting)}</small>` : ''}</span>`;
       const actions = document.createElement('div');
       actions.className = 'actions';
       const openBtn = document.createElement('button');
@@ -711,38 +4631,302 @@
       list.appendChild(li);
     });
     container.appendChild(list);
-    if (state.campaigns.length === 0) {
+    if (campaigns.length === 0) {
       const p = document.createElement('p');
-      p.textContent = 'No campaigns created yet.';
+      p.textContent = 'You are not in any campaigns yet. Create one, or join with an invite code from your DM.';
       container.appendChild(p);
     }
+    const joinForm = document.createElement('form');
+    joinForm.innerHTML = `
+      <label for="inviteCode">Join a campaign</label>
+      <input type="text" id="inviteCode" placeholder="Invite code" autocomplete="off" required />
+      <button type="submit">Join</button>
+    `;
+    joinForm.onsubmit = (e) => {
+      e.preventDefault();
+      try {
+        const campaign = joinCampaignByCode(state, $('#inviteCode').value);
+        saveState(state);
+        window.location.hash = `#campaign?id=${campaign.id}`;
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+    container.appendChild(joinForm);
   }
 
   /**
    * Render the create campaign form.
    */
   function renderCreateCampaign(container, state) {
+    renderCampaignForm(container, state, null);
+  }
+
+  /**
+   * Render the settings page of a campaign: the same form used to
+   * create one, plus archive and delete for the owner.  DMs and co-DMs
+   * can edit the settings.
+   * @param {HTMLElement} container
+   * @param {object} state
+   */
+  function renderCampaignSettings(container, state) {
+    const params = new URLSearchParams(window.location.hash.split('?')[1]);
+    const campaign = state.campaigns.find((c) => c.id === params.get('id'));
+    if (!campaign) {
+      container.innerHTML = '<p>Campaign not found.</p>';
+      return;
+    }
+    if (!isCampaignDm(campaign, state.currentUserId)) {
+      container.innerHTML = '<p>Only the campaign\'s DMs can change its settings.</p>';
+      return;
+    }
+    renderCampaignForm(container, state, campaign);
+    if (campaign.ownerId !== state.currentUserId) return;
+    const danger = document.createElement('div');
+    danger.innerHTML = `<h3>Archive or Delete</h3>
+      <p>Archived campaigns stay readable but are closed to new sessions, votes, combat and players.
+        Deleting removes the campaign with its sessions, proposals, encounters and rolls; characters
+        are kept and simply leave the campaign.</p>`;
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'btn btn-secondary';
+    archiveBtn.textContent = campaign.archived ? 'Unarchive Campaign' : 'Archive Campaign';
+    archiveBtn.onclick = () => {
+      campaign.archived = !campaign.archived;
+      saveState(state);
+      window.location.hash = `#campaign?id=${campaign.id}`;
+    };
+    danger.appendChild(archiveBtn);
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-danger';
+    deleteBtn.style.marginLeft = '0.5rem';
+    deleteBtn.textContent = 'Delete Campaign';
+    deleteBtn.onclick = () => {
+      const typed = prompt(`This cannot be undone. Type the campaign name (${campaign.name}) to delete it:`);
+      if (typed === null) return;
+      if (typed.trim() !== campaign.name) {
+        alert('The name did not match; nothing was deleted.');
+        return;
+      }
+      deleteCampaign(state, campaign.id);
+      saveState(state);
+      window.location.hash = '#dashboard';
+    };
+    danger.appendChild(deleteBtn);
+    container.appendChild(danger);
+  }
+
+  /**
+   * Read an image file chosen as a campaign cover into a data URL.
+   * Covers live in the saved state, so large files are refused.
+   * @param {File} file
+   * @returns {Promise<string>}
+   */
+  function readCoverImage(file) {
+    return new Promise((resolve, reject) => {
+      if (!file.type.startsWith('image/')) {
+        reject(new Error('The cover must be an image file.'));
+        return;
+      }
+      if (file.size > MAX_COVER_IMAGE_BYTES) {
+        reject(new Error(`The cover image must be smaller than ${Math.round(MAX_COVER_IMAGE_BYTES / 1024)} KB.`));
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('The image could not be read.'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Render the campaign form used for both creating a campaign and
+   * editing an existing one's settings.
+   * @param {HTMLElement} container
+   * @param {object} state
+   * @param {object|null} campaign The campaign to edit, or null to create one
+   */
+  function renderCampaignForm(container, state, campaign) {
+    const current = campaign || {
+      name: '',
+      description: '',
+      setting: '',
+      houseRules: '',
+      startingLevel: 1,
+      advancement: 'xp',
+      coverImage: null,
+    };
+    let coverImage = current.coverImage;
     container.innerHTML = `
-      <h2>New Campaign</h2>
-      <form id="createCampaignForm">
+      <h2>${campaign ? `Settings – ${escapeHtml(campaign.name)}` : 'New Campaign'}</h2>
+      <form id="campaignForm">
         <label for="campName">Campaign Name</label>
         <input type="text" id="campName" required />
-        <button type="submit">Create Campaign</button>
+        <label for="campDescription">Description</label>
+        <textarea id="campDescription" rows="3" placeholder="What the campaign is about"></textarea>
+        <label for="campSetting">Setting</label>
+        <input type="text" id="campSetting" placeholder="e.g. Forgotten Realms, homebrew" />
+        <label for="campHouseRules">House Rules</label>
+        <textarea id="campHouseRules" rows="4"></textarea>
+        <label for="campStartingLevel">Starting Level</label>
+        <input type="number" id="campStartingLevel" min="1" max="20" required />
+        <label for="campAdvancement">Levelling</label>
+        <select id="campAdvancement">
+          ${Object.entries(CAMPAIGN_ADVANCEMENT).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <label for="campCover">Cover Image</label>
+        <div id="campCoverPreview"></div>
+        <input type="file" id="campCover" accept="image/*" />
+        <button type="submit">${campaign ? 'Save Settings' : 'Create Campaign'}</button>
       </form>
     `;
-    $('#createCampaignForm').onsubmit = (e) => {
+    $('#campName').value = current.name;
+    $('#campDescription').value = current.description;
+    $('#campSetting').value = current.setting;
+    $('#campHouseRules').value = current.houseRules;
+    $('#campStartingLevel').value = current.startingLevel;
+    $('#campAdvancement').value = current.advancement;
+    const preview = $('#campCoverPreview');
+    const showCover = () => {
+      preview.innerHTML = '';
+      if (!coverImage) return;
+      const img = document.createElement('img');
+      img.className = 'campaign-cover';
+      img.src = coverImage;
+      img.alt = 'Cover image';
+      preview.appendChild(img);
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn btn-secondary btn-small';
+      removeBtn.textContent = 'Remove Cover';
+      removeBtn.onclick = () => {
+        coverImage = null;
+        $('#campCover').value = '';
+        showCover();
+      };
+      preview.appendChild(removeBtn);
+    };
+    showCover();
+    $('#campCover').onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      readCoverImage(file)
+        .then((dataUrl) => {
+          coverImage = dataUrl;
+          showCover();
+        })
+        .catch((err) => {
+          e.target.value = '';
+          alert(err.message);
+        });
+    };
+    $('#campaignForm').onsubmit = (e) => {
       e.preventDefault();
       const name = $('#campName').value.trim();
       if (!name) {
         alert('Please enter a campaign name');
         return;
       }
-      state.campaigns.push({ id: uuid(), name, ownerId: state.currentUserId });
+      const startingLevel = parseInt($('#campStartingLevel').value, 10);
+      if (isNaN(startingLevel) || startingLevel < 1 || startingLevel > 20) {
+        alert('Starting level must be between 1 and 20');
+        return;
+      }
+      const settings = {
+        name,
+        description: $('#campDescription').value.trim(),
+        setting: $('#campSetting').value.trim(),
+        houseRules: $('#campHouseRules').value.trim(),
+        startingLevel,
+        advancement: $('#campAdvancement').value,
+        coverImage,
+      };
+      let target = campaign;
+      if (target) {
+        Object.assign(target, settings);
+      } else {
+        target = {
+          id: uuid(),
+          ownerId: state.currentUserId,
+          members: [],
+          inviteCode: generateInviteCode(),
+          archived: false,
+          ...settings,
+        };
+        state.campaigns.push(target);
+      }
       saveState(state);
-      window.location.hash = '#dashboard';
+      window.location.hash = `#campaign?id=${target.id}`;
     };
   }
 
+  /**
+   * Delete a campaign and everything that only exists for it: its
+   * proposals, sessions, encounters and rolls.  Characters belong to
+   * their players, so they are unassigned rather than deleted.  The
+   * caller saves state.
+   * @param {object} state
+   * @param {string} campaignId
+   */
+  function deleteCampaign(state, campaignId) {
+    const other = (item) => item.campaignId !== campaignId;
+    state.campaigns = state.campaigns.filter((c) => c.id !== campaignId);
+    state.proposals = state.proposals.filter(other);
+    state.sessions = state.sessions.filter(other);
+    state.encounters = state.encounters.filter(other);
+    state.rolls = state.rolls.filter(other);
+    state.characters.forEach((ch) => {
+      if (ch.campaignId === campaignId) ch.campaignId = null;
+      if (ch.pendingCampaignId === campaignId) ch.pendingCampaignId = null;
+    });
+    if (state.currentCampaignId === campaignId) state.currentCampaignId = null;
+  }
+
+  /**
+   * Render the campaign's cover, description, setting, levelling rules
+   * and house rules.  Empty fields are left out.
+   * @param {object} campaign
+   * @returns {HTMLElement}
+   */
+  function renderCampaignOverview(campaign) {
+    const div = document.createElement('div');
+    div.className = 'campaign-overview';
+    if (campaign.archived) {
+      const banner = document.createElement('p');
+      banner.className = 'campaign-archived';
+      banner.textContent = 'This campaign is archived. Its records can be read but it is closed to new sessions and players.';
+      div.appendChild(banner);
+    }
+    if (campaign.coverImage) {
+      const img = document.createElement('img');
+      img.className = 'campaign-cover';
+      img.src = campaign.coverImage;
+      img.alt = `${campaign.name} cover`;
+      div.appendChild(img);
+    }
+    // Text fields are user input, so set them as text rather than HTML
+    [['Setting', campaign.setting], ['Description', campaign.description]].forEach(([label, value]) => {
+      if (!value) return;
+      const p = document.createElement('p');
+      p.style.whiteSpace = 'pre-wrap';
+      p.innerHTML = `<strong>${label}:</strong> `;
+      p.appendChild(document.createTextNode(value));
+      div.appendChild(p);
+    });
+    const levelling = document.createElement('p');
+    levelling.innerHTML = `<strong>Starting level:</strong> ${campaign.startingLevel} &nbsp; <strong>Levelling:</strong> ${CAMPAIGN_ADVANCEMENT[campaign.advancement]}`;
+    div.appendChild(levelling);
+    if (campaign.houseRules) {
+      const details = document.createElement('details');
+      details.innerHTML = '<summary>House Rules</summary>';
+      const rules = document.createElement('p');
+      rules.style.whiteSpace = 'pre-wrap';
+      rules.textContent = campaign.houseRules;
+      details.appendChild(rules);
+      div.appendChild(details);
+    }
+    return div;
+  }
+
   /**
    * Render details for a specific campaign including sessions and
    * characters.  The current campaign id is taken from the URL hash.
@@ -755,9 +4939,27 @@
       container.innerHTML = '<p>Campaign not found.</p>';
       return;
     }
+    if (!getCampaignRole(campaign, state.currentUserId)) {
+      container.innerHTML = '<p>You are not a member of this campaign. Ask the DM for an invite code.</p>';
+      return;
+    }
+    const isDm = isCampaignDm(campaign, state.currentUserId);
+    // Archived campaigns are read-only: no proposals, votes, combat or XP
+    const canRun = isDm && !campaign.archived;
+    if (processProposalDeadlines(state).length > 0) saveState(state);
     // Track which campaign is currently being viewed for logging dice rolls
     state.currentCampaignId = campaign.id;
-    container.innerHTML = `<h2>${campaign.name}</h2>`;
+    container.innerHTML = `<h2>${escapeHtml(campaign.name)}</h2>`;
+    container.appendChild(renderCampaignOverview(campaign));
+    if (isDm) {
+      const settingsBtn = document.createElement('button');
+      settingsBtn.className = 'btn btn-secondary';
+      settingsBtn.textContent = '⚙ Settings';
+      settingsBtn.onclick = () => {
+        window.location.hash = `#campaign-settings?id=${campaign.id}`;
+      };
+      container.appendChild(settingsBtn);
+    }
     // Scheduled sessions listing (finalised)
     const schedHeader = document.createElement('h3');
     schedHeader.textContent = 'Scheduled Sessions';
@@ -765,84 +4967,108 @@
     const schedList = document.createElement('ul');
     schedList.className = 'list';
     // A session can be represented either in state.sessions or as a finalised proposal
-    // Gather finalised proposals as sessions
-    const finalisedProposals = state.proposals.filter((p) => p.campaignId === campaign.id && p.finalized);
-    const scheduledSessions = [];
-    // Build a set of keys for finalised proposals so we can avoid duplicates.
-    const finalizedKeys = new Set();
-    finalisedProposals.forEach((p) => {
-      const opt = p.options[p.finalChoiceIndex];
-      const dateStr = `${opt.date}T${opt.start}`;
-      const key = `${dateStr}|${opt.end}|${opt.location || ''}`;
-      finalizedKeys.add(key);
-      scheduledSessions.push({
-        id: p.id, // reuse proposal id
-        datetime: new Date(dateStr),
-        campaignId: campaign.id,
-        end: opt.end,
-        location: opt.location,
-      });
-    });
-    // Include legacy sessions from state.sessions only if they don't duplicate
-    // an already scheduled session (either a finalised proposal or an earlier
-    // session).  Two sessions are considered duplicates if their start time
-    // (to the minute) and location match.
-    state.sessions
-      .filter((s) => s.campaignId === campaign.id)
-      .forEach((s) => {
-        const sStart = new Date(s.datetime);
-        // Determine if this session already exists in scheduledSessions
-        const duplicate = scheduledSessions.some((existing) => {
-          const eStart = new Date(existing.datetime);
-          return (
-            eStart.getFullYear() === sStart.getFullYear() &&
-            eStart.getMonth() === sStart.getMonth() &&
-            eStart.getDate() === sStart.getDate() &&
-            eStart.getHours() === sStart.getHours() &&
-            eStart.getMinutes() === sStart.getMinutes() &&
-            (existing.location || '') === (s.location || '')
-          );
-        });
-        if (!duplicate) {
-          scheduledSessions.push(s);
-        }
-      });
+    const scheduledSessions = getCampaignSessions(state, campaign.id, { includeCancelled: true });
     scheduledSessions
-      .sort((a, b) => new Date(a.datetime) - new Date(b.datetime))
       .forEach((sess) => {
         const li = document.createElement('li');
-        const dateStr = sess.datetime ? formatDateTime(sess.datetime) : '';
-        const locStr = sess.location ? ` @ ${sess.location}` : '';
-        li.innerHTML = `<span>${dateStr}${locStr}</span>`;
+        const dateStr = formatDateTime(sess.start);
+        const locStr = sess.location ? ` @ ${escapeHtml(sess.location)}` : '';
+        li.innerHTML = sess.cancelled
+          ? `<span><s>${dateStr}${locStr}</s> <small>(cancelled)</small></span>`
+          : `<span>${dateStr}${locStr}</span>`;
         const actions = document.createElement('div');
         actions.className = 'actions';
         const openBtn = document.createElement('button');
         openBtn.className = 'btn btn-primary btn-small';
         openBtn.textContent = 'View';
         openBtn.onclick = () => {
-          // Use the existing session viewer
           window.location.hash = `#session?id=${sess.id}`;
         };
         actions.appendChild(openBtn);
+        const icsBtn = document.createElement('button');
+        icsBtn.className = 'btn btn-secondary btn-small';
+        icsBtn.textContent = '📅 .ics';
+        icsBtn.title = 'Add this session to your calendar';
+        icsBtn.onclick = () => exportSessionIcs(campaign, sess);
+        actions.appendChild(icsBtn);
+        // Sessions scheduled through a proposal can be moved or called off
+        const proposal = sess.proposalId && state.proposals.find((p) => p.id === sess.proposalId);
+        if (canRun && proposal) {
+          const reschedBtn = document.createElement('button');
+          reschedBtn.className = 'btn btn-secondary btn-small';
+          reschedBtn.textContent = 'Reschedule';
+          reschedBtn.onclick = () => openRescheduleSession(proposal, state, () => renderCampaignDetail(container, state));
+          actions.appendChild(reschedBtn);
+          if (!proposal.cancelled) {
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'btn btn-danger btn-small';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.onclick = () => {
+              if (!confirm(`Cancel the session on ${dateStr}? Notes are kept and it can be rescheduled later.`)) return;
+              cancelSession(proposal);
+              saveState(state);
+              renderCampaignDetail(container, state);
+            };
+            actions.appendChild(cancelBtn);
+          }
+        }
         li.appendChild(actions);
         schedList.appendChild(li);
       });
     container.appendChild(schedList);
+    const calendarBtn = document.createElement('button');
+    calendarBtn.className = 'btn btn-secondary btn-small';
+    calendarBtn.textContent = '📅 Calendar';
+    calendarBtn.onclick = () => {
+      window.location.hash = `#campaign-calendar?id=${campaign.id}`;
+    };
+    container.appendChild(calendarBtn);
+    if (scheduledSessions.length > 0) {
+      const icsAllBtn = document.createElement('button');
+      icsAllBtn.className = 'btn btn-secondary btn-small';
+      icsAllBtn.style.marginLeft = '0.5rem';
+      icsAllBtn.textContent = '⬇ Export Schedule (.ics)';
+      icsAllBtn.onclick = () => exportCampaignIcs(state, campaign);
+      container.appendChild(icsAllBtn);
+    }
+    const feedUrl = getCalendarFeedUrl(campaign);
+    if (feedUrl) {
+      const feedBtn = document.createElement('button');
+      feedBtn.className = 'btn btn-secondary btn-small';
+      feedBtn.style.marginLeft = '0.5rem';
+      feedBtn.textContent = '🔗 Copy Calendar Feed URL';
+      feedBtn.title = 'Subscribe to this address in a calendar app to keep the schedule up to date';
+      feedBtn.onclick = () => {
+        navigator.clipboard.writeText(feedUrl)
+          .then(() => alert('Feed address copied. Add it to your calendar app as a subscription.'))
+          .catch(() => prompt('Copy the calendar feed address:', feedUrl));
+      };
+      container.appendChild(feedBtn);
+    }
     // Proposed sessions listing (not yet finalised)
     const propHeader = document.createElement('h3');
     propHeader.textContent = 'Proposed Sessions';
     container.appendChild(propHeader);
     const propList = document.createElement('div');
-    // Show each proposal with its options and finalize controls
+    // Show each proposal with its options, who voted what, and the
+    // DM's controls
     state.proposals
       .filter((p) => p.campaignId === campaign.id && !p.finalized)
       .forEach((proposal) => {
+        const closed = isVotingClosed(proposal);
         const div = document.createElement('div');
         div.style.border = '1px solid #dee2e6';
         div.style.borderRadius = '4px';
         div.style.padding = '0.5rem';
         div.style.marginBottom = '0.5rem';
-        div.innerHTML = `<p><strong>Proposal #${proposal.id.substring(0, 6)}</strong></p>`;
+        let deadlineText = '';
+        if (proposal.deadline !== null) {
+          const when = formatDateTime(new Date(proposal.deadline));
+          deadlineText = closed
+            ? ` – voting closed ${when}${proposal.autoFinalize ? ' (no option got a yes vote)' : ''}`
+            : ` – voting closes ${when}${proposal.autoFinalize ? ', then the favourite is finalized automatically' : ''}`;
+        }
+        div.innerHTML = `<p><strong>Proposal #${escapeHtml(proposal.id.substring(0, 6))}</strong>${deadlineText}</p>`;
         // Build a table of options
         const table = document.createElement('table');
         table.style.width = '100%';
@@ -855,20 +5081,21 @@
             const votes = proposal.votes[idx] || { yes: [], maybe: [], no: [] };
             const voteCounts = `${votes.yes.length}/${votes.maybe.length}/${votes.no.length}`;
             row.innerHTML = `
-              <td>${opt.date} ${opt.start}-${opt.end}${opt.location ? ' @ ' + opt.location : ''}</td>
-              <td style="text-align:center;">${voteCounts}</td>
+              <td>${escapeHtml(`${opt.date} ${opt.start}-${opt.end}${opt.location ? ' @ ' + opt.location : ''}`)}</td>
+              <td style="text-align:center;">${voteCounts}<br/><small class="voters"></small></td>
               <td style="text-align:right;"></td>
             `;
+            row.querySelector('.voters').textContent = describeVoters(state, votes);
             const actionsDiv = row.lastElementChild;
-            if (campaign.ownerId === state.currentUserId) {
-              // DM can finalize
+            if (campaign.archived) {
+              actionsDiv.textContent = 'Voting closed';
+            } else if (isDm) {
+              // DM can finalize, also after the deadline
               const finalBtn = document.createElement('button');
               finalBtn.className = 'btn btn-primary btn-small';
               finalBtn.textContent = 'Finalize';
               finalBtn.onclick = () => {
-                // Mark this proposal as finalised and record which option was chosen.
-                proposal.finalized = true;
-                proposal.finalChoiceIndex = idx;
+                finalizeProposal(proposal, idx);
                 // Do not push an additional session into state.sessions.  Finalised
                 // proposals are treated as sessions in renderCampaignDetail.
                 saveState(state);
@@ -877,12 +5104,14 @@
               };
               actionsDiv.appendChild(finalBtn);
             } else {
-              // Player voting controls: Yes, Maybe, No
+              // Player voting controls: Yes, Maybe, No (only members
+              // reach this page)
               const voteTypes = ['yes', 'maybe', 'no'];
               voteTypes.forEach((vt) => {
                 const btn = document.createElement('button');
                 btn.className = 'btn btn-secondary btn-small';
                 btn.textContent = vt.charAt(0).toUpperCase() + vt.slice(1);
+                btn.disabled = closed;
                 // Highlight selected vote
                 if (proposal.votes[idx] && proposal.votes[idx][vt].includes(state.currentUserId)) {
                   btn.classList.add('active');
@@ -898,113 +5127,794 @@
             table.appendChild(row);
           });
         div.appendChild(table);
+        // Members who have not voted on any option yet
+        const voted = new Set(proposal.votes.flatMap((v) => v.yes.concat(v.maybe, v.no)));
+        const waiting = campaign.members
+          .filter((m) => m.role === 'player' && !voted.has(m.userId))
+          .map((m) => (state.users.find((u) => u.id === m.userId) || { username: 'Unknown' }).username);
+        if (waiting.length > 0 && !closed) {
+          const p = document.createElement('p');
+          p.innerHTML = '<small></small>';
+          p.firstChild.textContent = `Not voted yet: ${waiting.join(', ')}`;
+          div.appendChild(p);
+        }
+        if (canRun) {
+          // Options can be edited until the first vote comes in
+          if (!hasVotes(proposal)) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-secondary btn-small';
+            editBtn.textContent = 'Edit';
+            editBtn.onclick = () => {
+              window.location.hash = `#propose-session?campaignId=${campaign.id}&proposalId=${proposal.id}`;
+            };
+            div.appendChild(editBtn);
+          }
+          const withdrawBtn = document.createElement('button');
+          withdrawBtn.className = 'btn btn-danger btn-small';
+          withdrawBtn.style.marginLeft = '0.25rem';
+          withdrawBtn.textContent = 'Withdraw';
+          withdrawBtn.onclick = () => {
+            if (!confirm('Withdraw this proposal? Its votes will be discarded.')) return;
+            state.proposals = state.proposals.filter((p) => p.id !== proposal.id);
+            saveState(state);
+            renderCampaignDetail(container, state);
+          };
+          div.appendChild(withdrawBtn);
+        }
         propList.appendChild(div);
       });
     container.appendChild(propList);
     // Propose new session button
-    const proposeBtn = document.createElement('button');
-    proposeBtn.className = 'btn btn-primary';
-    proposeBtn.textContent = 'Propose New Session';
-    proposeBtn.onclick = () => {
-      window.location.hash = `#propose-session?campaignId=${campaign.id}`;
+    if (canRun) {
+      const proposeBtn = document.createElement('button');
+      proposeBtn.className = 'btn btn-primary';
+      proposeBtn.textContent = 'Propose New Session';
+      proposeBtn.onclick = () => {
+        window.location.hash = `#propose-session?campaignId=${campaign.id}`;
+      };
+      container.appendChild(proposeBtn);
+    }
+    // Combat tracker: the DM can always start one, players can follow a
+    // running encounter
+    const runningEncounter = state.encounters.some((e) => e.campaignId === campaign.id && e.active);
+    if (canRun || runningEncounter) {
+      const combatBtn = document.createElement('button');
+      combatBtn.className = 'btn btn-danger';
+      combatBtn.style.marginLeft = '0.5rem';
+      combatBtn.textContent = runningEncounter ? '⚔️ Combat in Progress' : '⚔️ Run Combat';
+      combatBtn.onclick = () => {
+        window.location.hash = `#combat?campaignId=${campaign.id}`;
+      };
+      container.appendChild(combatBtn);
+    }
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn btn-secondary';
+    exportBtn.style.marginLeft = '0.5rem';
+    exportBtn.textContent = '⬇ Export Campaign';
+    exportBtn.onclick = () => exportCampaign(state, campaign);
+    container.appendChild(exportBtn);
+    // Characters listing
+    const charHeader = document.createElement('h3');
+    charHeader.textContent = 'Characters';
+    container.appendChild(charHeader);
+    const charList = document.createElement('ul');
+    charList.className = 'list';
+    state.characters
+      .filter((ch) => ch.campaignId === campaign.id)
+      .forEach((ch) => {
+        const li = document.createElement('li');
+        li.innerHTML = `<span>${escapeHtml(ch.name)} (Lvl ${ch.level})${ch.retired ? ' <small>(retired)</small>' : ''}</span>`;
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        const sheetBtn = document.createElement('button');
+        sheetBtn.className = 'btn btn-primary btn-small';
+        sheetBtn.textContent = 'View';
+        sheetBtn.onclick = () => {
+          window.location.hash = `#character-sheet?id=${ch.id}`;
+        };
+        actions.appendChild(sheetBtn);
+        // DMs can award XP, or levels in a milestone campaign
+        if (canRun && campaign.advancement === 'milestone') {
+          const milestoneBtn = document.createElement('button');
+          milestoneBtn.className = 'btn btn-secondary btn-small';
+          milestoneBtn.textContent = 'Milestone Level';
+          milestoneBtn.disabled = ch.level >= XP_THRESHOLDS.length;
+          milestoneBtn.onclick = async () => {
+            if (!confirm(`Advance ${ch.name} to level ${ch.level + 1}?`)) return;
+            await awardMilestone(ch, state);
+            saveState(state);
+            renderCampaignDetail(container, state);
+          };
+          actions.appendChild(milestoneBtn);
+        } else if (canRun) {
+          const xpBtn = document.createElement('button');
+          xpBtn.className = 'btn btn-secondary btn-small';
+          xpBtn.textContent = 'Award XP';
+          xpBtn.onclick = async () => {
+            const xpStr = prompt('XP to award to this character:');
+            const xp = parseInt(xpStr, 10);
+            if (isNaN(xp) || xp <= 0) return;
+            await awardXp(ch, xp, state);
+            saveState(state);
+            renderCampaignDetail(container, state);
+          };
+          actions.appendChild(xpBtn);
+        }
+        li.appendChild(actions);
+        charList.appendChild(li);
+      });
+    container.appendChild(charList);
+    const pendingChars = canRun ? renderPendingCharacters(campaign, state, () => renderCampaignDetail(container, state)) : null;
+    if (pendingChars) container.appendChild(pendingChars);
+    container.appendChild(renderCampaignMembers(campaign, state, () => renderCampaignDetail(container, state)));
+
+    // Show recent dice rolls for this campaign.  Players and the DM can
+    // refer to this log to see the outcomes of ability checks or attack
+    // rolls.  We create a heading and a container, then delegate
+    // rendering to renderRollLog.  If no rolls exist yet the log will
+    // simply be empty.
+    const rollHeader = document.createElement('h3');
+    rollHeader.textContent = 'Recent Rolls';
+    container.appendChild(rollHeader);
+    const rollDiv = document.createElement('div');
+    container.appendChild(rollDiv);
+    renderRollLog(rollDiv, state, campaign.id);
+  }
+
+  /**
+   * Build the start/end window for a finalised proposal's chosen option.
+   * Sessions end on the day they start (validateTimeSlot refuses end
+   * times that aren't after the start).
+   * @param {object} proposal
+   * @returns {{start: Date, end: Date|null, location: string}}
+   */
+  function getProposalSessionTimes(proposal) {
+    const opt = proposal.options[proposal.finalChoiceIndex];
+    const start = new Date(`${opt.date}T${opt.start}`);
+    const end = opt.end ? new Date(`${opt.date}T${opt.end}`) : null;
+    return { start, end, location: opt.location || '' };
+  }
+
+  /**
+   * List the sessions of a campaign.  A session is either a finalised
+   * proposal (its id doubles as the session id) or a legacy entry in
+   * state.sessions.  Records in state.sessions that only carry notes
+   * for a finalised proposal (they have a `proposalId`) are not listed
+   * separately.  Legacy sessions that duplicate a finalised proposal
+   * (same start minute and location) are skipped.  Cancelled sessions
+   * are left out unless asked for.  Results are sorted by start time.
+   * @param {object} state
+   * @param {string} campaignId
+   * @param {{includeCancelled?: boolean}} [options]
+   * @returns {Array<{id:string, campaignId:string, proposalId:string|null, start:Date, end:Date|null, location:string, cancelled:boolean, sequence:number}>}
+   */
+  function getCampaignSessions(state, campaignId, { includeCancelled = false } = {}) {
+    const sessions = [];
+    state.proposals
+      .filter((p) => p.campaignId === campaignId && p.finalized && (includeCancelled || !p.cancelled))
+      .forEach((p) => {
+        sessions.push({
+          id: p.id,
+          campaignId,
+          proposalId: p.id,
+          ...getProposalSessionTimes(p),
+          cancelled: p.cancelled,
+          sequence: p.sequence,
+        });
+      });
+    state.sessions
+      .filter((s) => s.campaignId === campaignId && !s.proposalId)
+      .forEach((s) => {
+        const start = new Date(s.datetime);
+        const duplicate = sessions.some((existing) =>
+          Math.floor(existing.start.getTime() / 60000) === Math.floor(start.getTime() / 60000) &&
+          existing.location === (s.location || '')
+        );
+        if (!duplicate) {
+          sessions.push({
+            id: s.id,
+            campaignId,
+            proposalId: null,
+            start,
+            end: s.end ? new Date(s.end) : null,
+            location: s.location || '',
+            cancelled: false,
+            sequence: 0,
+          });
+        }
+      });
+    return sessions.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Look up a single session by id and attach its record: the object in
+   * state.sessions holding DM notes, the recap, attendance and XP
+   * awards.  Finalised proposals get a record created on first access
+   * (not saved until something is edited).  Returns null if no session
+   * has that id.
+   * @param {object} state
+   * @param {string} id
+   * @returns {object|null}
+   */
+  function getSession(state, id) {
+    const proposal = state.proposals.find((p) => p.id === id && p.finalized);
+    let record = state.sessions.find((s) => s.id === id);
+    if (!proposal && !record) return null;
+    if (!record) {
+      record = {
+        id,
+        campaignId: proposal.campaignId,
+        proposalId: proposal.id,
+        end: null,
+        location: '',
+        notes: '',
+        recap: '',
+        attendance: [],
+        xpAwards: [],
+      };
+      state.sessions.push(record);
+    }
+    const times = proposal
+      ? getProposalSessionTimes(proposal)
+      : {
+        start: new Date(record.datetime),
+        end: record.end ? new Date(record.end) : null,
+        location: record.location || '',
+      };
+    return {
+      id,
+      campaignId: record.campaignId,
+      proposalId: proposal ? proposal.id : null,
+      ...times,
+      cancelled: proposal ? proposal.cancelled : false,
+      sequence: proposal ? proposal.sequence : 0,
+      record,
+    };
+  }
+
+  /**
+   * Render a session page: date and location, a player-visible recap,
+   * private DM notes, attendance, XP awarded during the session and
+   * the campaign's dice rolls made within the session window.  Only the
+   * campaign owner can edit; players see the recap, attendance, XP and
+   * rolls.  Sessions without an end time are treated as running until
+   * the end of that day.
+   */
+  function renderSessionDetail(container, state) {
+    const params = new URLSearchParams(window.location.hash.split('?')[1]);
+    const id = params.get('id');
+    const session = getSession(state, id);
+    if (!session) {
+      container.innerHTML = '<p>Session not found.</p>';
+      return;
+    }
+    const campaign = state.campaigns.find((c) => c.id === session.campaignId);
+    if (campaign && !getCampaignRole(campaign, state.currentUserId)) {
+      container.innerHTML = '<p>You are not a member of this campaign.</p>';
+      return;
+    }
+    const isDm = isCampaignDm(campaign, state.currentUserId);
+    // Records of archived campaigns are read-only, even for their DMs
+    const canEdit = isDm && !campaign.archived;
+    const record = session.record;
+    const rerender = () => renderSessionDetail(container, state);
+    const end = session.end || new Date(
+      session.start.getFullYear(), session.start.getMonth(), session.start.getDate(), 23, 59, 59
+    );
+    container.innerHTML = `<h2>Session${campaign ? ' – ' + escapeHtml(campaign.name) : ''}</h2>
+      <p>${formatDateTime(session.start)}${session.end ? ' – ' + session.end.toLocaleTimeString(undefined, { timeStyle: 'short' }) : ''}${session.location ? ' @ ' + escapeHtml(session.location) : ''}</p>`;
+    if (session.cancelled) {
+      const banner = document.createElement('p');
+      banner.className = 'campaign-archived';
+      banner.textContent = 'This session has been cancelled.';
+      container.appendChild(banner);
+    }
+    if (campaign && campaign.archived) {
+      const banner = document.createElement('p');
+      banner.className = 'campaign-archived';
+      banner.textContent = 'This campaign is archived. Its session records are read-only.';
+      container.appendChild(banner);
+    }
+    if (campaign) {
+      const icsBtn = document.createElement('button');
+      icsBtn.className = 'btn btn-secondary btn-small';
+      icsBtn.textContent = '📅 Add to Calendar (.ics)';
+      icsBtn.onclick = () => exportSessionIcs(campaign, session);
+      container.appendChild(icsBtn);
+    }
+    // Retired characters only appear for sessions they attended
+    const campaignChars = state.characters.filter((ch) =>
+      ch.campaignId === session.campaignId && (!ch.retired || record.attendance.includes(ch.id))
+    );
+
+    // Recap (visible to everyone, editable by the DM)
+    const recapHeader = document.createElement('h3');
+    recapHeader.textContent = 'Recap';
+    container.appendChild(recapHeader);
+    if (canEdit) {
+      const form = document.createElement('form');
+      form.innerHTML = `
+        <textarea id="sessionRecap" rows="5" placeholder="What happened this session (visible to players)"></textarea>
+        <label for="sessionNotes">DM Notes (only you can see these)</label>
+        <textarea id="sessionNotes" rows="5" placeholder="Private notes, secrets, prep for next time"></textarea>
+        <button type="submit">Save Notes</button>
+      `;
+      form.querySelector('#sessionRecap').value = record.recap;
+      form.querySelector('#sessionNotes').value = record.notes;
+      form.onsubmit = (e) => {
+        e.preventDefault();
+        record.recap = form.querySelector('#sessionRecap').value;
+        record.notes = form.querySelector('#sessionNotes').value;
+        saveState(state);
+        alert('Session notes saved.');
+      };
+      container.appendChild(form);
+    } else {
+      const recap = document.createElement('p');
+      recap.style.whiteSpace = 'pre-wrap';
+      recap.textContent = record.recap || 'No recap yet.';
+      container.appendChild(recap);
+      if (isDm && record.notes) {
+        const notes = document.createElement('p');
+        notes.style.whiteSpace = 'pre-wrap';
+        notes.innerHTML = '<strong>DM Notes:</strong> ';
+        notes.appendChild(document.createTextNode(record.notes));
+        container.appendChild(notes);
+      }
+    }
+
+    // Attendance
+    const attHeader = document.createElement('h3');
+    attHeader.textContent = 'Attendance';
+    container.appendChild(attHeader);
+    if (campaignChars.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = 'No characters in this campaign.';
+      container.appendChild(p);
+    } else {
+      const attList = document.createElement('ul');
+      attList.className = 'list';
+      campaignChars.forEach((ch) => {
+        const present = record.attendance.includes(ch.id);
+        const li = document.createElement('li');
+        if (canEdit) {
+          const label = document.createElement('label');
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.checked = present;
+          box.onchange = () => {
+            record.attendance = box.checked
+              ? record.attendance.concat(ch.id)
+              : record.attendance.filter((cid) => cid !== ch.id);
+            saveState(state);
+          };
+          label.appendChild(box);
+          label.appendChild(document.createTextNode(` ${ch.name}`));
+          li.appendChild(label);
+        } else {
+          li.textContent = `${present ? '✔' : '✘'} ${ch.name}`;
+        }
+        attList.appendChild(li);
+      });
+      container.appendChild(attList);
+    }
+
+    // XP awarded during this session
+    const xpHeader = document.createElement('h3');
+    xpHeader.textContent = 'XP Awarded';
+    container.appendChild(xpHeader);
+    if (record.xpAwards.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = 'No XP awarded yet.';
+      container.appendChild(p);
+    } else {
+      const xpList = document.createElement('ul');
+      xpList.className = 'list';
+      record.xpAwards.forEach((award) => {
+        const ch = state.characters.find((c) => c.id === award.characterId);
+        const li = document.createElement('li');
+        li.textContent = `${ch ? ch.name : 'Unknown character'}: ${award.amount} XP`;
+        xpList.appendChild(li);
+      });
+      container.appendChild(xpList);
+    }
+    if (canEdit && campaign.advancement !== 'milestone') {
+      const xpBtn = document.createElement('button');
+      xpBtn.className = 'btn btn-secondary';
+      xpBtn.textContent = 'Award XP to Attendees';
+      xpBtn.onclick = async () => {
+        const attendees = campaignChars.filter((ch) => record.attendance.includes(ch.id));
+        if (attendees.length === 0) {
+          alert('Mark who attended first.');
+          return;
+        }
+        const xp = parseInt(prompt(`XP to award to each of: ${attendees.map((ch) => ch.name).join(', ')}`), 10);
+        if (isNaN(xp) || xp <= 0) return;
+        for (const ch of attendees) {
+          await awardXp(ch, xp, state);
+          record.xpAwards.push({ characterId: ch.id, amount: xp, timestamp: Date.now() });
+        }
+        saveState(state);
+        rerender();
+      };
+      container.appendChild(xpBtn);
+    }
+
+    // Rolls made in this campaign during the session window
+    const rollHeader = document.createElement('h3');
+    rollHeader.textContent = 'Rolls This Session';
+    container.appendChild(rollHeader);
+    const rollDiv = document.createElement('div');
+    container.appendChild(rollDiv);
+    renderRollLog(rollDiv, state, session.campaignId, { from: session.start.getTime(), to: end.getTime(), limit: Infinity });
+    if (rollDiv.querySelectorAll('li').length === 0) {
+      rollDiv.innerHTML = '<p>No rolls during this session.</p>';
+    }
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'btn btn-secondary';
+    backBtn.style.marginTop = '1rem';
+    backBtn.textContent = 'Back to Campaign';
+    backBtn.onclick = () => {
+      window.location.hash = `#campaign?id=${session.campaignId}`;
+    };
+    container.appendChild(backBtn);
+  }
+
+  // Fallback condition names for the combat tracker when the SRD
+  // conditions list is unavailable.
+  const COMBAT_CONDITIONS = [
+    'Blinded', 'Charmed', 'Deafened', 'Exhaustion', 'Frightened',
+    'Grappled', 'Incapacitated', 'Invisible', 'Paralyzed', 'Petrified',
+    'Poisoned', 'Prone', 'Restrained', 'Stunned', 'Unconscious',
+  ];
+
+  /**
+   * Find the active encounter for a campaign, creating one populated
+   * with the campaign's characters if none exists yet.  Encounters are
+   * stored in state.encounters so a refresh mid-fight loses nothing.
+   * @param {object} state
+   * @param {object} campaign
+   * @returns {object}
+   */
+  function getActiveEncounter(state, campaign) {
+    let enc = state.encounters.find((e) => e.campaignId === campaign.id && e.active);
+    if (enc) return enc;
+    enc = {
+      id: uuid(),
+      campaignId: campaign.id,
+      active: true,
+      round: 1,
+      turnIndex: 0,
+      startedAt: Date.now(),
+      combatants: [],
     };
-    container.appendChild(proposeBtn);
-    // Characters listing
-    const charHeader = document.createElement('h3');
-    charHeader.textContent = 'Characters';
-    container.appendChild(charHeader);
-    const charList = document.createElement('ul');
-    charList.className = 'list';
     state.characters
-      .filter((ch) => ch.campaignId === campaign.id)
+      .filter((ch) => ch.campaignId === campaign.id && !ch.retired)
       .forEach((ch) => {
-        const li = document.createElement('li');
-        li.innerHTML = `<span>${ch.name} (Lvl ${ch.level})</span>`;
-        const actions = document.createElement('div');
-        actions.className = 'actions';
-        const sheetBtn = document.createElement('button');
-        sheetBtn.className = 'btn btn-primary btn-small';
-        sheetBtn.textContent = 'View';
-        sheetBtn.onclick = () => {
-          window.location.hash = `#character-sheet?id=${ch.id}`;
-        };
-        actions.appendChild(sheetBtn);
-        // If current user is campaign owner, allow awarding XP
-        if (campaign.ownerId === state.currentUserId) {
-          const xpBtn = document.createElement('button');
-          xpBtn.className = 'btn btn-secondary btn-small';
-          xpBtn.textContent = 'Award XP';
-          xpBtn.onclick = async () => {
-            const xpStr = prompt('XP to award to this character:');
-            const xp = parseInt(xpStr, 10);
-            if (isNaN(xp) || xp <= 0) return;
-            ch.xp += xp;
-            // Determine new level after awarding XP
-            const newLevel = getLevelFromXp(ch.xp);
-            if (newLevel > ch.level) {
-              alert(`${ch.name} levelled up to level ${newLevel}!`);
-              // Handle leveling up: update level, HP and features for each level gained
-              for (let lvl = ch.level + 1; lvl <= newLevel; lvl++) {
-                // Increase hit points by hit die + CON mod
-                const conMod = Math.floor((ch.abilityScores.con - 10) / 2);
-                ch.hp += (ch.hitDie || 8) + conMod;
-                // Fetch and add features for this level
-                if (ch.classIndex) {
-                  const feats = await fetchLevelFeatures(ch.classIndex, lvl);
-                  const existing = new Set(ch.features || []);
-                  feats.forEach((f) => existing.add(f));
-                  ch.features = Array.from(existing);
-                  // If ability score improvement available, prompt player
-                  const asiFeat = feats.find((f) => /ability score/i.test(f));
-                  if (asiFeat) {
-                    await promptAbilityScoreIncrease(ch);
-                  }
-                }
-              }
-              ch.level = newLevel;
-            }
+        enc.combatants.push({
+          id: uuid(),
+          type: 'character',
+          refId: ch.id,
+          name: ch.name,
+          dexMod: Math.floor((ch.abilityScores.dex - 10) / 2),
+          initiative: null,
+          hp: ch.hp,
+          maxHp: ch.maxHp,
+          ac: getArmorClass(ch),
+          conditions: [],
+        });
+      });
+    state.encounters.push(enc);
+    return enc;
+  }
+
+  /**
+   * Order combatants by initiative (highest first), breaking ties on
+   * DEX modifier.  Combatants that haven't rolled yet go last.
+   * @param {object} enc
+   */
+  function sortCombatants(enc) {
+    enc.combatants.sort((a, b) => {
+      if (a.initiative === null && b.initiative === null) return 0;
+      if (a.initiative === null) return 1;
+      if (b.initiative === null) return -1;
+      return b.initiative - a.initiative || b.dexMod - a.dexMod;
+    });
+  }
+
+  /**
+   * Render the initiative and combat tracker for a campaign
+   * (#combat?campaignId=...).  The DM can add monsters from the SRD,
+   * roll initiative (logged through rollDice with each combatant's DEX
+   * modifier), step through turns and rounds, and track hit points and
+   * conditions.  Other campaign members see a read-only turn order.
+   * @param {HTMLElement} container
+   * @param {object} state
+   */
+  function renderCombatTracker(container, state) {
+    const params = new URLSearchParams(window.location.hash.split('?')[1]);
+    const campId = params.get('campaignId');
+    const campaign = state.campaigns.find((c) => c.id === campId);
+    if (!campaign) {
+      container.innerHTML = '<p>Campaign not found.</p>';
+      return;
+    }
+    if (!getCampaignRole(campaign, state.currentUserId)) {
+      container.innerHTML = '<p>You are not a member of this campaign.</p>';
+      return;
+    }
+    // Rolls made here belong to this campaign's log
+    state.currentCampaignId = campaign.id;
+    // Archived campaigns can't run combat; their DMs get the read-only view
+    const isDm = isCampaignDm(campaign, state.currentUserId) && !campaign.archived;
+    const existing = state.encounters.find((e) => e.campaignId === campaign.id && e.active);
+    if (!existing && !isDm) {
+      container.innerHTML = `<h2>Combat – ${escapeHtml(campaign.name)}</h2><p>No encounter is running.</p>`;
+      return;
+    }
+    const enc = existing || getActiveEncounter(state, campaign);
+    if (!existing) saveState(state);
+    const rerender = () => renderCombatTracker(container, state);
+    container.innerHTML = `<h2>Combat – ${escapeHtml(campaign.name)}</h2>
+      <p><strong>Round:</strong> ${enc.round}</p>`;
+
+    if (isDm) {
+      const controls = document.createElement('div');
+      controls.style.display = 'flex';
+      controls.style.flexWrap = 'wrap';
+      controls.style.gap = '0.5rem';
+      controls.style.marginBottom = '1rem';
+      const rollBtn = document.createElement('button');
+      rollBtn.className = 'btn btn-primary';
+      rollBtn.textContent = '🎲 Roll Initiative';
+      rollBtn.title = 'Roll for every combatant that has not rolled yet';
+      rollBtn.onclick = () => {
+        enc.combatants
+          .filter((c) => c.initiative === null)
+          .forEach((c) => {
+            const mod = c.dexMod >= 0 ? '+' + c.dexMod : c.dexMod;
+            c.initiative = rollDice(`1d20${mod}`, `${c.name} Initiative`, state).total;
+          });
+        sortCombatants(enc);
+        enc.turnIndex = 0;
+        saveState(state);
+        rerender();
+      };
+      const prevBtn = document.createElement('button');
+      prevBtn.className = 'btn btn-secondary';
+      prevBtn.textContent = '◀ Previous Turn';
+      prevBtn.onclick = () => {
+        if (enc.combatants.length === 0) return;
+        if (enc.turnIndex === 0) {
+          if (enc.round === 1) return;
+          enc.round--;
+          enc.turnIndex = enc.combatants.length - 1;
+        } else {
+          enc.turnIndex--;
+        }
+        saveState(state);
+        rerender();
+      };
+      const nextBtn = document.createElement('button');
+      nextBtn.className = 'btn btn-primary';
+      nextBtn.textContent = 'Next Turn ▶';
+      nextBtn.onclick = () => {
+        if (enc.combatants.length === 0) return;
+        enc.turnIndex++;
+        if (enc.turnIndex >= enc.combatants.length) {
+          enc.turnIndex = 0;
+          enc.round++;
+        }
+        saveState(state);
+        rerender();
+      };
+      const endBtn = document.createElement('button');
+      endBtn.className = 'btn btn-danger';
+      endBtn.textContent = 'End Encounter';
+      endBtn.onclick = () => {
+        if (!confirm('End this encounter?')) return;
+        enc.active = false;
+        enc.endedAt = Date.now();
+        saveState(state);
+        window.location.hash = `#campaign?id=${campaign.id}`;
+      };
+      [rollBtn, prevBtn, nextBtn, endBtn].forEach((b) => controls.appendChild(b));
+      container.appendChild(controls);
+    }
+
+    // Turn order
+    const list = document.createElement('ul');
+    list.className = 'list combat-list';
+    if (enc.combatants.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = 'No combatants yet.';
+      container.appendChild(p);
+    }
+    enc.combatants.forEach((c, idx) => {
+      const li = document.createElement('li');
+      if (idx === enc.turnIndex) li.classList.add('current-turn');
+      if (c.hp !== null && c.hp <= 0) li.classList.add('down');
+      const info = document.createElement('span');
+      const init = c.initiative === null ? '–' : c.initiative;
+      const ac = c.ac !== null ? ` · AC ${c.ac}` : '';
+      info.innerHTML = `<strong>${init}</strong> ${escapeHtml(c.name)}${c.type === 'monster' ? ' 👹' : ''}` +
+        ` · HP ${c.hp !== null ? c.hp : '?'}/${c.maxHp !== null ? c.maxHp : '?'}${ac}`;
+      c.conditions.forEach((cond) => {
+        const chip = document.createElement('span');
+        chip.className = 'condition-chip';
+        chip.textContent = cond;
+        if (isDm) {
+          chip.title = 'Click to remove';
+          chip.style.cursor = 'pointer';
+          chip.onclick = () => {
+            c.conditions = c.conditions.filter((x) => x !== cond);
             saveState(state);
-            renderCampaignDetail(container, state);
+            rerender();
           };
-          actions.appendChild(xpBtn);
         }
-        li.appendChild(actions);
-        charList.appendChild(li);
+        info.appendChild(chip);
       });
-    container.appendChild(charList);
+      li.appendChild(info);
+      if (isDm) {
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        const amount = document.createElement('input');
+        amount.type = 'number';
+        amount.min = '0';
+        amount.placeholder = 'HP';
+        amount.style.width = '4rem';
+        const dmgBtn = document.createElement('button');
+        dmgBtn.className = 'btn btn-danger btn-small';
+        dmgBtn.textContent = 'Damage';
+        dmgBtn.onclick = () => {
+          const n = parseInt(amount.value, 10);
+          if (isNaN(n) || n <= 0) return;
+          c.hp = Math.max(0, (c.hp || 0) - n);
+          saveState(state);
+          rerender();
+        };
+        const healBtn = document.createElement('button');
+        healBtn.className = 'btn btn-secondary btn-small';
+        healBtn.textContent = 'Heal';
+        healBtn.onclick = () => {
+          const n = parseInt(amount.value, 10);
+          if (isNaN(n) || n <= 0) return;
+          c.hp = c.maxHp !== null ? Math.min(c.maxHp, (c.hp || 0) + n) : (c.hp || 0) + n;
+          saveState(state);
+          rerender();
+        };
+        const initBtn = document.createElement('button');
+        initBtn.className = 'btn btn-secondary btn-small';
+        initBtn.textContent = 'Init';
+        initBtn.title = 'Set initiative manually';
+        initBtn.onclick = () => {
+          const val = parseInt(prompt(`Initiative for ${c.name}:`, c.initiative === null ? '' : c.initiative), 10);
+          if (isNaN(val)) return;
+          const current = enc.combatants[enc.turnIndex];
+          c.initiative = val;
+          sortCombatants(enc);
+          // Keep the turn marker on whoever was acting
+          enc.turnIndex = Math.max(0, enc.combatants.indexOf(current));
+          saveState(state);
+          rerender();
+        };
+        const condSelect = document.createElement('select');
+        condSelect.innerHTML = '<option value="">+ Condition</option>';
+        srdGet('/api/conditions')
+          .then((data) => data.results.map((r) => r.name))
+          .catch(() => COMBAT_CONDITIONS)
+          .then((names) => {
+            names.filter((n) => !c.conditions.includes(n)).forEach((n) => {
+              const opt = document.createElement('option');
+              opt.value = n;
+              opt.textContent = n;
+              condSelect.appendChild(opt);
+            });
+          });
+        condSelect.onchange = () => {
+          if (!condSelect.value) return;
+          c.conditions.push(condSelect.value);
+          saveState(state);
+          rerender();
+        };
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove from encounter';
+        removeBtn.onclick = () => {
+          const current = enc.combatants[enc.turnIndex];
+          enc.combatants.splice(idx, 1);
+          const newIdx = enc.combatants.indexOf(current);
+          enc.turnIndex = newIdx >= 0 ? newIdx : Math.min(enc.turnIndex, Math.max(0, enc.combatants.length - 1));
+          saveState(state);
+          rerender();
+        };
+        [amount, dmgBtn, healBtn, initBtn, condSelect, removeBtn].forEach((el) => actions.appendChild(el));
+        li.appendChild(actions);
+      }
+      list.appendChild(li);
+    });
+    container.appendChild(list);
 
-    // Show recent dice rolls for this campaign.  Players and the DM can
-    // refer to this log to see the outcomes of ability checks or attack
-    // rolls.  We create a heading and a container, then delegate
-    // rendering to renderRollLog.  If no rolls exist yet the log will
-    // simply be empty.
+    if (isDm) {
+      // Add monsters from the compendium
+      const addHeader = document.createElement('h3');
+      addHeader.textContent = 'Add Monsters';
+      container.appendChild(addHeader);
+      const search = document.createElement('input');
+      search.type = 'search';
+      search.placeholder = 'Search monsters…';
+      search.style.padding = '0.5rem';
+      search.style.width = '60%';
+      container.appendChild(search);
+      const results = document.createElement('ul');
+      results.className = 'list';
+      results.style.marginTop = '0.5rem';
+      container.appendChild(results);
+      let monsters = [];
+      srdGet('/api/monsters')
+        .then((data) => {
+          monsters = data.results || [];
+        })
+        .catch(() => {
+          results.innerHTML = '<li>Failed to load monsters.</li>';
+        });
+      search.oninput = () => {
+        const q = search.value.trim().toLowerCase();
+        results.innerHTML = '';
+        if (!q) return;
+        monsters
+          .filter((m) => m.name.toLowerCase().includes(q))
+          .slice(0, 10)
+          .forEach((m) => {
+            const li = document.createElement('li');
+            li.innerHTML = `<span>${m.name}</span>`;
+            const addBtn = document.createElement('button');
+            addBtn.className = 'btn btn-primary btn-small';
+            addBtn.textContent = 'Add';
+            addBtn.onclick = () => {
+              srdGet(m.url)
+                .then((detail) => {
+                  const sameName = enc.combatants.filter((c) => c.type === 'monster' && c.refId === detail.index).length;
+                  const ac = Array.isArray(detail.armor_class) ? detail.armor_class[0].value : detail.armor_class;
+                  enc.combatants.push({
+                    id: uuid(),
+                    type: 'monster',
+                    refId: detail.index,
+                    name: sameName > 0 ? `${detail.name} ${sameName + 1}` : detail.name,
+                    dexMod: Math.floor((detail.dexterity - 10) / 2),
+                    initiative: null,
+                    hp: detail.hit_points,
+                    maxHp: detail.hit_points,
+                    ac: typeof ac === 'number' ? ac : null,
+                    conditions: [],
+                  });
+                  saveState(state);
+                  rerender();
+                })
+                .catch(() => alert('Failed to load monster details.'));
+            };
+            li.appendChild(addBtn);
+            results.appendChild(li);
+          });
+      };
+    }
+
+    // Initiative rolls and attacks show up in the campaign log
     const rollHeader = document.createElement('h3');
     rollHeader.textContent = 'Recent Rolls';
     container.appendChild(rollHeader);
     const rollDiv = document.createElement('div');
     container.appendChild(rollDiv);
     renderRollLog(rollDiv, state, campaign.id);
-  }
 
-  /**
-   * Render details for a specific session.  Currently just shows the date
-   * and time with a back link.  In a full implementation you could add
-   * voting on times, notes, etc.
-   */
-  function renderSessionDetail(container, state) {
-    const params = new URLSearchParams(window.location.hash.split('?')[1]);
-    const id = params.get('id');
-    const session = state.sessions.find((s) => s.id === id);
-    if (!session) {
-      container.innerHTML = '<p>Session not found.</p>';
-      return;
-    }
-    container.innerHTML = `<h2>Session</h2><p>${formatDateTime(session.datetime)}</p>`;
     const backBtn = document.createElement('button');
     backBtn.className = 'btn btn-secondary';
+    backBtn.style.marginTop = '1rem';
     backBtn.textContent = 'Back to Campaign';
     backBtn.onclick = () => {
-      window.history.back();
+      window.location.hash = `#campaign?id=${campaign.id}`;
     };
     container.appendChild(backBtn);
   }
@@ -1045,6 +5955,586 @@
     };
   }
 
+  // Ability score generation for the creator wizard
+  const ABILITY_KEYS = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+  const STANDARD_ARRAY = [15, 14, 13, 12, 10, 8];
+  const POINT_BUY_BUDGET = 27;
+  const POINT_BUY_COSTS = { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 };
+
+  /**
+   * Total point-buy cost of a set of base scores.
+   * @param {object} scores
+   * @returns {number}
+   */
+  function getPointBuyCost(scores) {
+    return ABILITY_KEYS.reduce((sum, k) => sum + POINT_BUY_COSTS[scores[k]], 0);
+  }
+
+  /**
+   * Render the ability score step of the creator wizard.  Offers three
+   * generation methods:
+   *
+   *   - Standard array: assign 15, 14, 13, 12, 10, 8 to the abilities.
+   *   - Point buy: 27 points, scores 8–15, with live cost checking.
+   *   - Rolled: six rolls of 4d6 drop lowest (logged via rollDice), then
+   *     assigned like the standard array.
+   *
+   * Choosing a value already used by another ability swaps the two.
+   * Racial bonuses from the race step are shown separately and added
+   * on top; `onDone` is called once charDraft.abilityScores holds the
+   * final scores.
+   * @param {HTMLElement} wrap
+   * @param {object} charDraft
+   * @param {object} state
+   * @param {Function} onDone
+   */
+  function renderAbilityGeneration(wrap, charDraft, state, onDone) {
+    const section = document.createElement('div');
+    wrap.appendChild(section);
+    const gen = charDraft.abilityGen;
+    function pool() {
+      return gen.method === 'rolled' ? gen.rolled : STANDARD_ARRAY;
+    }
+    function baseScore(k) {
+      if (gen.method === 'pointbuy') return gen.pointBuy[k];
+      const values = pool();
+      return values ? values[gen.assignment[k]] : null;
+    }
+    function draw() {
+      section.innerHTML = `<p><strong>Ability Scores</strong></p>
+        <p>
+          <label><input type="radio" name="abilityMethod" value="standard" /> Standard array</label>
+          <label><input type="radio" name="abilityMethod" value="pointbuy" /> Point buy</label>
+          <label><input type="radio" name="abilityMethod" value="rolled" /> Roll 4d6 (drop lowest)</label>
+        </p>`;
+      section.querySelectorAll('input[name="abilityMethod"]').forEach((radio) => {
+        radio.checked = radio.value === gen.method;
+        radio.onchange = () => {
+          gen.method = radio.value;
+          draw();
+        };
+      });
+      if (gen.method === 'rolled') {
+        const rollBtn = document.createElement('button');
+        rollBtn.className = 'btn btn-secondary';
+        rollBtn.textContent = gen.rolled ? '🎲 Reroll All' : '🎲 Roll Abilities';
+        rollBtn.onclick = () => {
+          if (gen.rolled && !confirm('Reroll all six scores? The previous rolls stay in the log.')) return;
+          const who = charDraft.name || 'New character';
+          gen.rolled = ABILITY_KEYS.map((k, i) => rollDice('4d6dl1', `${who} ability roll ${i + 1}`, state).total);
+          draw();
+        };
+        section.appendChild(rollBtn);
+        if (gen.rolled) {
+          const p = document.createElement('p');
+          p.textContent = `Rolled: ${gen.rolled.join(', ')}`;
+          section.appendChild(p);
+        }
+      }
+      if (gen.method === 'pointbuy') {
+        const spent = getPointBuyCost(gen.pointBuy);
+        const p = document.createElement('p');
+        p.className = spent > POINT_BUY_BUDGET ? 'dice-error' : '';
+        p.textContent = `Points spent: ${spent} / ${POINT_BUY_BUDGET}`;
+        section.appendChild(p);
+      }
+      const grid = document.createElement('div');
+      grid.className = 'stats-grid';
+      ABILITY_KEYS.forEach((k) => {
+        const stat = document.createElement('div');
+        stat.className = 'stat';
+        const label = document.createElement('div');
+        label.textContent = k.toUpperCase();
+        stat.appendChild(label);
+        if (gen.method === 'pointbuy') {
+          const minus = document.createElement('button');
+          minus.className = 'btn btn-small';
+          minus.textContent = '−';
+          minus.disabled = gen.pointBuy[k] <= 8;
+          minus.onclick = () => {
+            gen.pointBuy[k]--;
+            draw();
+          };
+          const plus = document.createElement('button');
+          plus.className = 'btn btn-small';
+          plus.textContent = '+';
+          const next = gen.pointBuy[k] + 1;
+          plus.disabled = next > 15 ||
+            getPointBuyCost({ ...gen.pointBuy, [k]: next }) > POINT_BUY_BUDGET;
+          plus.onclick = () => {
+            gen.pointBuy[k]++;
+            draw();
+          };
+          const val = document.createElement('span');
+          val.textContent = gen.pointBuy[k];
+          stat.appendChild(minus);
+          stat.appendChild(val);
+          stat.appendChild(plus);
+        } else if (pool()) {
+          const select = document.createElement('select');
+          pool().forEach((v, idx) => {
+            const opt = document.createElement('option');
+            opt.value = String(idx);
+            opt.textContent = v;
+            if (gen.assignment[k] === idx) opt.selected = true;
+            select.appendChild(opt);
+          });
+          select.onchange = () => {
+            const idx = parseInt(select.value, 10);
+            // Swap with whichever ability held this value
+            const other = ABILITY_KEYS.find((o) => gen.assignment[o] === idx);
+            if (other) gen.assignment[other] = gen.assignment[k];
+            gen.assignment[k] = idx;
+            draw();
+          };
+          stat.appendChild(select);
+        }
+        const base = baseScore(k);
+        const bonus = charDraft.racialBonuses[k] || 0;
+        if (base !== null) {
+          const total = base + bonus;
+          const mod = Math.floor((total - 10) / 2);
+          const info = document.createElement('div');
+          info.textContent = `${bonus ? `${base} ${bonus > 0 ? '+' : '−'} ${Math.abs(bonus)} = ` : ''}${total} (${mod >= 0 ? '+' + mod : mod})`;
+          stat.appendChild(info);
+        }
+        grid.appendChild(stat);
+      });
+      section.appendChild(grid);
+      const nextBtn = document.createElement('button');
+      nextBtn.className = 'btn btn-primary';
+      nextBtn.textContent = 'Next';
+      nextBtn.disabled = (gen.method === 'rolled' && !gen.rolled) ||
+        (gen.method === 'pointbuy' && getPointBuyCost(gen.pointBuy) > POINT_BUY_BUDGET);
+      nextBtn.onclick = () => {
+        ABILITY_KEYS.forEach((k) => {
+          charDraft.abilityScores[k] = baseScore(k) + (charDraft.racialBonuses[k] || 0);
+        });
+        onDone();
+      };
+      section.appendChild(nextBtn);
+    }
+    draw();
+  }
+
+  // Fallback alignments if /api/alignments is unavailable
+  const ALIGNMENTS = [
+    'Lawful Good', 'Neutral Good', 'Chaotic Good',
+    'Lawful Neutral', 'Neutral', 'Chaotic Neutral',
+    'Lawful Evil', 'Neutral Evil', 'Chaotic Evil',
+  ];
+
+  /**
+   * Normalise one entry of an SRD option set.  The API uses several
+   * shapes (plain references, counted references, bundles of several
+   * items, nested choices, strings); they are reduced to:
+   *   { type: 'reference', item } | { type: 'counted', count, item }
+   *   | { type: 'multiple', items } | { type: 'choice', choice }
+   * @param {object} o
+   * @returns {object|null}
+   */
+  function normalizeOption(o) {
+    if (!o) return null;
+    switch (o.option_type) {
+      case 'reference':
+        return { type: 'reference', item: o.item };
+      case 'counted_reference':
+        return { type: 'counted', count: o.count, item: o.of };
+      case 'multiple':
+        return { type: 'multiple', items: o.items.map(normalizeOption).filter(Boolean) };
+      case 'choice':
+        return { type: 'choice', choice: o.choice };
+      case 'string':
+        return { type: 'reference', item: { index: o.string, name: o.string } };
+      default:
+        // Older API versions list references directly
+        return o.index && o.name ? { type: 'reference', item: o } : null;
+    }
+  }
+
+  /**
+   * Expand an SRD option set (`from` of a choice) into a list of
+   * normalised options.  Resource lists and equipment categories are
+   * looked up through srdGet.
+   * @param {object|Array} from
+   * @returns {Promise<object[]>}
+   */
+  async function resolveOptionSet(from) {
+    if (!from) return [];
+    if (Array.isArray(from)) return from.map(normalizeOption).filter(Boolean);
+    if (from.option_set_type === 'options_array') {
+      return from.options.map(normalizeOption).filter(Boolean);
+    }
+    if (from.option_set_type === 'resource_list') {
+      const data = await srdGet(from.resource_list_url);
+      return (data.results || []).map((item) => ({ type: 'reference', item }));
+    }
+    if (from.option_set_type === 'equipment_category') {
+      const data = await srdGet(from.equipment_category.url);
+      return (data.equipment || []).map((item) => ({ type: 'counted', count: 1, item }));
+    }
+    return [];
+  }
+
+  /**
+   * Human readable label for a normalised option.
+   * @param {object} opt
+   * @returns {string}
+   */
+  function describeOption(opt) {
+    switch (opt.type) {
+      case 'reference':
+        return opt.item.name;
+      case 'counted':
+        return opt.count > 1 ? `${opt.count}× ${opt.item.name}` : opt.item.name;
+      case 'multiple':
+        return opt.items.map(describeOption).join(' + ');
+      case 'choice':
+        return opt.choice.desc || `Choose ${opt.choice.choose}`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Render a "choose N" group as checkboxes (radio buttons when N is 1).
+   * `selected` is an array of option positions that is updated in place.
+   * Options listed in `disabledNames` (already granted elsewhere) are
+   * shown but cannot be picked.
+   * @param {HTMLElement} parent
+   * @param {string} title
+   * @param {number} choose
+   * @param {object[]} options Normalised options
+   * @param {number[]} selected
+   * @param {Function} onChange
+   * @param {Set<string>} [disabledNames]
+   */
+  function renderChoiceGroup(parent, title, choose, options, selected, onChange, disabledNames = new Set()) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'choice-group';
+    const legend = document.createElement('legend');
+    legend.textContent = `${title} (choose ${choose})`;
+    fieldset.appendChild(legend);
+    const groupName = `choice-${uuid()}`;
+    options.forEach((opt, idx) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = choose === 1 ? 'radio' : 'checkbox';
+      input.name = groupName;
+      input.checked = selected.includes(idx);
+      const text = describeOption(opt);
+      input.disabled = disabledNames.has(text) && !input.checked;
+      input.onchange = () => {
+        if (choose === 1) {
+          selected.splice(0, selected.length, idx);
+        } else if (input.checked) {
+          if (selected.length >= choose) {
+            input.checked = false;
+            alert(`Choose at most ${choose}.`);
+            return;
+          }
+          selected.push(idx);
+        } else {
+          selected.splice(selected.indexOf(idx), 1);
+        }
+        onChange();
+      };
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${text}${input.disabled ? ' (already known)' : ''}`));
+      fieldset.appendChild(label);
+    });
+    parent.appendChild(fieldset);
+  }
+
+  /**
+   * Creator step: background (from /api/backgrounds) and alignment.
+   * @param {HTMLElement} wrap
+   * @param {object} charDraft
+   * @param {Function} onDone
+   * @param {Function} onChange Called when the background changes
+   */
+  function renderBackgroundStep(wrap, charDraft, onDone, onChange) {
+    const section = document.createElement('div');
+    section.innerHTML = `<p><strong>Background</strong></p>
+      <select id="backgroundSelect"><option value="">Loading backgrounds...</option></select>
+      <div id="backgroundInfo" style="margin-top:1rem;"></div>
+      <p><strong>Alignment</strong></p>
+      <select id="alignmentSelect"><option value="">-- Choose an alignment --</option></select>
+      <p><button class="btn btn-primary" id="backgroundNext" disabled>Next</button></p>`;
+    wrap.appendChild(section);
+    const bgSelect = section.querySelector('#backgroundSelect');
+    const bgInfo = section.querySelector('#backgroundInfo');
+    const alignSelect = section.querySelector('#alignmentSelect');
+    const nextBtn = section.querySelector('#backgroundNext');
+    const updateNext = () => {
+      nextBtn.disabled = !charDraft.background || !charDraft.alignment;
+    };
+    function showBackground(data) {
+      let html = `<h3>${data.name}</h3>`;
+      const profs = (data.starting_proficiencies || []).map((p) => p.name);
+      if (profs.length > 0) html += `<p><strong>Proficiencies:</strong> ${profs.join(', ')}</p>`;
+      if (data.feature) html += `<p><strong>Feature – ${data.feature.name}:</strong> ${(data.feature.desc || []).join(' ')}</p>`;
+      bgInfo.innerHTML = html;
+    }
+    srdGet('/api/backgrounds')
+      .then((data) => {
+        bgSelect.innerHTML = '<option value="">-- Choose a background --</option>';
+        data.results.forEach((bg) => {
+          const opt = document.createElement('option');
+          opt.value = bg.index;
+          opt.textContent = bg.name;
+          opt.selected = charDraft.backgroundIndex === bg.index;
+          bgSelect.appendChild(opt);
+        });
+        if (charDraft.background) showBackground(charDraft.background);
+      })
+      .catch(() => {
+        bgSelect.innerHTML = '<option>Error loading backgrounds</option>';
+      });
+    bgSelect.onchange = () => {
+      const val = bgSelect.value;
+      charDraft.background = null;
+      charDraft.backgroundIndex = null;
+      onChange();
+      updateNext();
+      if (!val) {
+        bgInfo.textContent = '';
+        return;
+      }
+      bgInfo.textContent = 'Loading...';
+      srdGet(`/api/backgrounds/${val}`)
+        .then((data) => {
+          charDraft.background = data;
+          charDraft.backgroundIndex = data.index;
+          showBackground(data);
+          updateNext();
+        })
+        .catch(() => {
+          bgInfo.textContent = 'Error loading background details';
+        });
+    };
+    srdGet('/api/alignments')
+      .then((data) => data.results.map((a) => a.name))
+      .catch(() => ALIGNMENTS)
+      .then((names) => {
+        names.forEach((name) => {
+          const opt = document.createElement('option');
+          opt.value = name;
+          opt.textContent = name;
+          opt.selected = charDraft.alignment === name;
+          alignSelect.appendChild(opt);
+        });
+      });
+    alignSelect.onchange = () => {
+      charDraft.alignment = alignSelect.value || null;
+      updateNext();
+    };
+    nextBtn.onclick = onDone;
+    updateNext();
+  }
+
+  /**
+   * Creator step: skill and proficiency choices from the class, race
+   * and background, plus languages.  Fixed grants are listed; choices
+   * are recorded in charDraft.choices.proficiencies / .languages keyed
+   * by group so revisiting the step keeps earlier picks.  On Next the
+   * resulting skills, other proficiencies and languages are written to
+   * charDraft.
+   * @param {HTMLElement} wrap
+   * @param {object} charDraft
+   * @param {Function} onDone
+   */
+  function renderProficiencyStep(wrap, charDraft, onDone) {
+    const section = document.createElement('div');
+    section.innerHTML = '<p><strong>Skills, Proficiencies &amp; Languages</strong></p><p>Loading…</p>';
+    wrap.appendChild(section);
+    const cls = charDraft.class || {};
+    const race = charDraft.race || {};
+    const bg = charDraft.background || {};
+    const fixedProfs = [
+      ...(cls.proficiencies || []),
+      ...(race.starting_proficiencies || []),
+      ...(bg.starting_proficiencies || []),
+    ];
+    const fixedLanguages = (race.languages || []).map((l) => l.name);
+    // Choice groups: [key, title, choose, from]
+    const profGroups = [];
+    (cls.proficiency_choices || []).forEach((c, i) => profGroups.push([`class-${i}`, c.desc || `${cls.name} proficiencies`, c.choose, c.from]));
+    if (race.starting_proficiency_options) {
+      const c = race.starting_proficiency_options;
+      profGroups.push(['race', c.desc || `${race.name} proficiencies`, c.choose, c.from]);
+    }
+    const langGroups = [];
+    if (race.language_options) langGroups.push(['race', `${race.name} languages`, race.language_options.choose, race.language_options.from]);
+    if (bg.language_options) langGroups.push(['background', `${bg.name} languages`, bg.language_options.choose, bg.language_options.from]);
+    const choices = charDraft.choices;
+    Promise.all([...profGroups, ...langGroups].map((g) => resolveOptionSet(g[3]).catch(() => [])))
+      .then((resolved) => {
+        section.innerHTML = '<p><strong>Skills, Proficiencies &amp; Languages</strong></p>';
+        const granted = document.createElement('p');
+        granted.innerHTML = `<strong>Granted:</strong> ${fixedProfs.map((p) => p.name).join(', ') || 'None'}` +
+          `<br/><strong>Languages:</strong> ${fixedLanguages.join(', ') || 'None'}`;
+        section.appendChild(granted);
+        const fixedNames = new Set(fixedProfs.map((p) => p.name));
+        profGroups.forEach(([key, title, choose], i) => {
+          if (!choices.proficiencies[key]) choices.proficiencies[key] = [];
+          renderChoiceGroup(section, title, choose, resolved[i], choices.proficiencies[key], () => {}, fixedNames);
+        });
+        const knownLanguages = new Set(fixedLanguages);
+        langGroups.forEach(([key, title, choose], i) => {
+          if (!choices.languages[key]) choices.languages[key] = [];
+          renderChoiceGroup(section, title, choose, resolved[profGroups.length + i], choices.languages[key], () => {}, knownLanguages);
+        });
+        const nextBtn = document.createElement('button');
+        nextBtn.className = 'btn btn-primary';
+        nextBtn.textContent = 'Next';
+        nextBtn.onclick = () => {
+          const missing = [...profGroups.map((g) => [choices.proficiencies[g[0]], g]), ...langGroups.map((g) => [choices.languages[g[0]], g])]
+            .find(([picked, g]) => picked.length < g[2]);
+          if (missing && !confirm(`You have not finished choosing: ${missing[1][1]}. Continue anyway?`)) return;
+          const chosenProfs = profGroups.flatMap(([key], i) =>
+            choices.proficiencies[key].map((idx) => resolved[i][idx]).filter((o) => o && o.item).map((o) => o.item)
+          );
+          const chosenLangs = langGroups.flatMap(([key], i) =>
+            choices.languages[key].map((idx) => resolved[profGroups.length + i][idx]).filter((o) => o && o.item).map((o) => o.item.name)
+          );
+          // Skills are stored by skill index on ch.skills; everything else
+          // (armour, weapons, tools, saving throws) is a named proficiency
+          charDraft.skills = {};
+          charDraft.proficiencies = [];
+          [...fixedProfs, ...chosenProfs].forEach((p) => {
+            if (p.index && p.index.startsWith('skill-')) {
+              charDraft.skills[p.index.slice('skill-'.length)] = 'proficient';
+            } else if (!p.index || !p.index.startsWith('saving-throw-')) {
+              if (!charDraft.proficiencies.includes(p.name)) charDraft.proficiencies.push(p.name);
+            }
+          });
+          charDraft.languages = Array.from(new Set([...fixedLanguages, ...chosenLangs]));
+          onDone();
+        };
+        section.appendChild(nextBtn);
+      });
+  }
+
+  /**
+   * Creator step: starting equipment.  Items every member of the class
+   * or background receives are listed; each equipment option group is
+   * a choice between bundles, and bundles that say "any martial weapon"
+   * and the like get a select per item to pick from that equipment
+   * category.  On Next, charDraft.inventory holds { name, index,
+   * quantity } entries.
+   * @param {HTMLElement} wrap
+   * @param {object} charDraft
+   * @param {Function} onDone
+   */
+  function renderEquipmentStep(wrap, charDraft, onDone) {
+    const section = document.createElement('div');
+    section.innerHTML = '<p><strong>Starting Equipment</strong></p><p>Loading…</p>';
+    wrap.appendChild(section);
+    const cls = charDraft.class || {};
+    const bg = charDraft.background || {};
+    const fixed = [...(cls.starting_equipment || []), ...(bg.starting_equipment || [])];
+    const groups = [
+      ...(cls.starting_equipment_options || []),
+      ...(bg.starting_equipment_options || []),
+    ];
+    const choices = charDraft.choices;
+    // Resolved item lists for nested choices, keyed "group/option/sub"
+    const nestedLists = {};
+    // The nested choices inside an option: the option itself if it is a
+    // choice, or the choices bundled in a "multiple" option
+    const subChoicesOf = (opt) => {
+      if (opt.type === 'choice') return [opt];
+      if (opt.type === 'multiple') return opt.items.filter((o) => o.type === 'choice');
+      return [];
+    };
+    Promise.all(groups.map((g) => resolveOptionSet(g.from).catch(() => [])))
+      .then((resolved) => {
+        section.innerHTML = '<p><strong>Starting Equipment</strong></p>';
+        const fixedP = document.createElement('p');
+        fixedP.innerHTML = `<strong>You receive:</strong> ${fixed.map((e) => (e.quantity > 1 ? `${e.quantity}× ` : '') + e.equipment.name).join(', ') || 'Nothing'}`;
+        section.appendChild(fixedP);
+        groups.forEach((g, gi) => {
+          if (!choices.equipment[gi]) choices.equipment[gi] = { picked: [0], nested: {} };
+          const pick = choices.equipment[gi];
+          const groupDiv = document.createElement('div');
+          section.appendChild(groupDiv);
+          const nestedDiv = document.createElement('div');
+          let drawCount = 0;
+          const drawNested = () => {
+            const drawId = ++drawCount;
+            nestedDiv.innerHTML = '';
+            const subs = [];
+            pick.picked.forEach((optIdx) => {
+              const opt = resolved[gi][optIdx];
+              if (!opt) return;
+              subChoicesOf(opt).forEach((sub, si) => {
+                const key = `${optIdx}/${si}`;
+                if (!pick.nested[key]) pick.nested[key] = [];
+                subs.push({ key, sub });
+              });
+            });
+            Promise.all(subs.map(({ sub }) => resolveOptionSet(sub.choice.from).catch(() => []))).then((lists) => {
+              // The pick changed while these were loading; a newer draw owns the list
+              if (drawId !== drawCount) return;
+              subs.forEach(({ key, sub }, i) => {
+                const items = lists[i];
+                nestedLists[`${gi}/${key}`] = items;
+                for (let n = 0; n < sub.choice.choose; n++) {
+                  const select = document.createElement('select');
+                  select.innerHTML = `<option value="">-- ${sub.choice.desc || 'Choose'} --</option>` +
+                    items.map((it, ii) => `<option value="${ii}">${describeOption(it)}</option>`).join('');
+                  if (pick.nested[key][n] !== undefined && pick.nested[key][n] !== null) select.value = String(pick.nested[key][n]);
+                  select.onchange = () => {
+                    pick.nested[key][n] = select.value === '' ? null : parseInt(select.value, 10);
+                  };
+                  nestedDiv.appendChild(select);
+                }
+              });
+            });
+          };
+          renderChoiceGroup(groupDiv, g.desc || 'Equipment', g.choose || 1, resolved[gi], pick.picked, drawNested);
+          groupDiv.appendChild(nestedDiv);
+          drawNested();
+        });
+        const nextBtn = document.createElement('button');
+        nextBtn.className = 'btn btn-primary';
+        nextBtn.textContent = 'Next';
+        nextBtn.onclick = () => {
+          const inventory = [];
+          const add = (item, quantity) => {
+            const existing = inventory.find((i) => i.index === item.index);
+            if (existing) existing.quantity += quantity;
+            else inventory.push({ name: item.name, index: item.index, quantity });
+          };
+          const addOption = (opt) => {
+            if (opt.type === 'counted') add(opt.item, opt.count || 1);
+            else if (opt.type === 'reference') add(opt.item, 1);
+            else if (opt.type === 'multiple') opt.items.forEach(addOption);
+          };
+          fixed.forEach((e) => add(e.equipment, e.quantity || 1));
+          groups.forEach((g, gi) => {
+            const pick = choices.equipment[gi];
+            pick.picked.forEach((optIdx) => {
+              const opt = resolved[gi][optIdx];
+              if (!opt) return;
+              addOption(opt);
+              subChoicesOf(opt).forEach((sub, si) => {
+                const key = `${optIdx}/${si}`;
+                const items = nestedLists[`${gi}/${key}`] || [];
+                (pick.nested[key] || []).forEach((ii) => {
+                  if (ii !== null && items[ii]) addOption(items[ii]);
+                });
+              });
+            });
+          });
+          charDraft.inventory = inventory;
+          onDone();
+        };
+        section.appendChild(nextBtn);
+      });
+  }
+
   /**
    * Render the character creation wizard.  This step–by–step form
    * collects basic information and pulls race/class data from the
@@ -1070,11 +6560,35 @@
       level: 1,
       xp: 0,
       abilityScores: { str: 15, dex: 14, con: 13, int: 12, wis: 10, cha: 8 },
+      racialBonuses: {},
+      // Working state for the ability score step: the chosen method,
+      // which pool value each ability holds, point-buy scores and rolls
+      abilityGen: {
+        method: 'standard',
+        assignment: { str: 0, dex: 1, con: 2, int: 3, wis: 4, cha: 5 },
+        pointBuy: { str: 8, dex: 8, con: 8, int: 8, wis: 8, cha: 8 },
+        rolled: null,
+      },
+      background: null,
+      backgroundIndex: null,
+      alignment: null,
+      // Positions picked in each proficiency, language and equipment
+      // choice group, kept so the steps remember them on Back
+      choices: { proficiencies: {}, languages: {}, equipment: [] },
       proficiencies: [],
+      skills: {},
+      languages: [],
+      inventory: [],
+      savingThrows: [],
       features: [],
       hitDie: null,
       hp: null,
     };
+    // Earlier picks no longer apply once the race, class or background
+    // they were offered by changes
+    function resetChoices() {
+      charDraft.choices = { proficiencies: {}, languages: {}, equipment: [] };
+    }
     // Step tracker
     let step = 0;
     function nextStep() {
@@ -1104,9 +6618,9 @@
           wrap.innerHTML += `
             <form id="step1">
               <label for="charName">Character Name</label>
-              <input type="text" id="charName" value="${charDraft.name}" required />
+              <input type="text" id="charName" value="${escapeHtml(charDraft.name)}" required />
               <label for="charGender">Gender</label>
-              <input type="text" id="charGender" value="${charDraft.gender}" />
+              <input type="text" id="charGender" value="${escapeHtml(charDraft.gender)}" />
               <button type="submit">Next</button>
             </form>
           `;
@@ -1126,8 +6640,7 @@
           `;
           const raceSelect = document.getElementById('raceSelect');
           const raceInfo = document.getElementById('raceInfo');
-          fetch('https://www.dnd5eapi.co/api/races')
-            .then((res) => res.json())
+          srdGet('/api/races')
             .then((data) => {
               raceSelect.innerHTML = '<option value="">-- Choose a race --</option>';
               data.results.forEach((race) => {
@@ -1148,18 +6661,19 @@
               return;
             }
             raceInfo.textContent = 'Loading...';
-            fetch(`https://www.dnd5eapi.co/api/races/${val}`)
-              .then((res) => res.json())
+            srdGet(`/api/races/${val}`)
               .then((data) => {
                 charDraft.race = data;
+                resetChoices();
                 charDraft.raceIndex = data.index;
-                // Apply ability bonuses to the standard array
-                const base = { str: 15, dex: 14, con: 13, int: 12, wis: 10, cha: 8 };
+                // Record racial bonuses; they are added on top of the
+                // generated scores in the ability step
+                const bonuses = {};
                 data.ability_bonuses.forEach((b) => {
                   const key = b.ability_score.name.substring(0, 3).toLowerCase();
-                  base[key] += b.bonus;
+                  bonuses[key] = (bonuses[key] || 0) + b.bonus;
                 });
-                charDraft.abilityScores = base;
+                charDraft.racialBonuses = bonuses;
                 let html = `<h3>${data.name}</h3>`;
                 html += `<p><strong>Speed:</strong> ${data.speed}</p>`;
                 html += `<p><strong>Size:</strong> ${data.size}</p>`;
@@ -1196,8 +6710,7 @@
           `;
           const classSelect = document.getElementById('classSelect');
           const classInfo = document.getElementById('classInfo');
-          fetch('https://www.dnd5eapi.co/api/classes')
-            .then((res) => res.json())
+          srdGet('/api/classes')
             .then((data) => {
               classSelect.innerHTML = '<option value="">-- Choose a class --</option>';
               data.results.forEach((cls) => {
@@ -1218,12 +6731,13 @@
               return;
             }
             classInfo.textContent = 'Loading...';
-            fetch(`https://www.dnd5eapi.co/api/classes/${val}`)
-              .then((res) => res.json())
+            srdGet(`/api/classes/${val}`)
               .then((data) => {
                 charDraft.class = data;
+                resetChoices();
                 charDraft.classIndex = data.index;
                 charDraft.hitDie = data.hit_die;
+                charDraft.savingThrows = (data.saving_throws || []).map((s) => s.index);
                 let html = `<h3>${data.name}</h3>`;
                 html += `<p><strong>Hit Die:</strong> d${data.hit_die}</p>`;
                 html += `<p><strong>Proficiencies:</strong> `;
@@ -1247,8 +6761,7 @@
                   subclassSelect.onchange = () => {
                     const scIndex = subclassSelect.value;
                     if (!scIndex) return;
-                    fetch(`https://www.dnd5eapi.co/api/subclasses/${scIndex}`)
-                      .then((res) => res.json())
+                    srdGet(`/api/subclasses/${scIndex}`)
                       .then((scData) => {
                         charDraft.subclass = scData;
                         charDraft.subclassIndex = scData.index;
@@ -1258,44 +6771,46 @@
                 $('#classNext').disabled = false;
               })
               .catch(() => {
-                classInfo.textContent = 'Error loading class details';
-              });
-          };
-          $('#classNext').onclick = () => {
-            nextStep();
-          };
-          break;
-        case 3:
-          // Step 4: Ability scores (manual edit)
-          wrap.innerHTML += `<p><strong>Ability Scores</strong></p>
-            <div class="stats-grid">
-              ${['str','dex','con','int','wis','cha'].map((k) => {
-                const label = k.toUpperCase();
-                const val = charDraft.abilityScores[k];
-                return `<div class="stat"><label>${label}<br/><input type="number" id="${k}Score" value="${val}" min="1" max="30" /></label></div>`;
-              }).join('')}
-            </div>
-            <button class="btn btn-primary" id="abilityNext">Next</button>
-          `;
-          $('#abilityNext').onclick = () => {
-            ['str','dex','con','int','wis','cha'].forEach((k) => {
-              const val = parseInt(document.getElementById(`${k}Score`).value, 10);
-              charDraft.abilityScores[k] = isNaN(val) ? 10 : val;
-            });
+                classInfo.textContent = 'Error loading class details';
+              });
+          };
+          $('#classNext').onclick = () => {
             nextStep();
           };
           break;
+        case 3:
+          // Step 4: Ability scores (standard array, point buy or rolled)
+          renderAbilityGeneration(wrap, charDraft, state, nextStep);
+          break;
         case 4:
-          // Step 5: Review & save
+          // Step 5: Background and alignment
+          renderBackgroundStep(wrap, charDraft, nextStep, resetChoices);
+          break;
+        case 5:
+          // Step 6: Skills, proficiencies and languages
+          renderProficiencyStep(wrap, charDraft, nextStep);
+          break;
+        case 6:
+          // Step 7: Starting equipment
+          renderEquipmentStep(wrap, charDraft, nextStep);
+          break;
+        case 7:
+          // Step 8: Review & save
           // Calculate hit points: hit die + con mod at level 1
           const conMod = Math.floor((charDraft.abilityScores.con - 10) / 2);
           charDraft.hp = charDraft.hitDie + conMod;
           wrap.innerHTML += `<h3>Review Character</h3>
-            <p><strong>Name:</strong> ${charDraft.name}</p>
-            <p><strong>Gender:</strong> ${charDraft.gender || '—'}</p>
+            <p><strong>Name:</strong> ${escapeHtml(charDraft.name)}</p>
+            <p><strong>Gender:</strong> ${escapeHtml(charDraft.gender || '—')}</p>
             <p><strong>Race:</strong> ${charDraft.race ? charDraft.race.name : ''}</p>
             <p><strong>Class:</strong> ${charDraft.class ? charDraft.class.name : ''}${charDraft.subclass ? ' / ' + charDraft.subclass.name : ''}</p>
             <p><strong>Level:</strong> ${charDraft.level}</p>
+            <p><strong>Background:</strong> ${charDraft.background ? charDraft.background.name : '—'}</p>
+            <p><strong>Alignment:</strong> ${charDraft.alignment || '—'}</p>
+            <p><strong>Skills:</strong> ${SKILLS.filter((sk) => charDraft.skills[sk.index]).map((sk) => sk.name).join(', ') || 'None'}</p>
+            <p><strong>Proficiencies:</strong> ${charDraft.proficiencies.join(', ') || 'None'}</p>
+            <p><strong>Languages:</strong> ${charDraft.languages.join(', ') || 'None'}</p>
+            <p><strong>Equipment:</strong> ${charDraft.inventory.map((i) => (i.quantity > 1 ? `${i.quantity}× ` : '') + i.name).join(', ') || 'None'}</p>
             <div class="stats-grid">
               ${['str','dex','con','int','wis','cha'].map((k) => {
                 const label = k.toUpperCase();
@@ -1305,30 +6820,32 @@
               }).join('')}
             </div>
             <p><strong>Hit Points:</strong> ${charDraft.hp}</p>
+            <p><label for="campaignSelect"><strong>Campaign:</strong></label>
+              <select id="campaignSelect">
+                <option value="">No campaign</option>
+                ${getUserCampaigns(state, state.currentUserId).filter((c) => !c.archived).map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('')}
+              </select>
+              <small>Players' characters join once a DM approves them.</small></p>
             <button class="btn btn-primary" id="saveChar">Save Character</button>
           `;
           // Save button handler: asynchronously gather race traits and class features before storing
           $('#saveChar').onclick = async () => {
-            // Ask which campaign to assign to (optional)
-            let campChoice = null;
-            if (state.campaigns.length > 0) {
-              const sel = prompt('Enter campaign ID to assign this character, or leave blank for none.\nAvailable IDs:\n' + state.campaigns.map((c) => `${c.id}: ${c.name}`).join('\n'));
-              campChoice = sel;
-            }
-            if (campChoice && state.campaigns.some((c) => c.id === campChoice)) {
-              charDraft.campaignId = campChoice;
-            }
+            const campChoice = $('#campaignSelect').value;
             // Gather race traits and level 1 features
             const traits = charDraft.raceIndex ? await fetchRaceTraits(charDraft.raceIndex) : [];
             const lvlFeatures = charDraft.classIndex ? await fetchLevelFeatures(charDraft.classIndex, 1) : [];
+            const bgFeature = charDraft.background && charDraft.background.feature ? [charDraft.background.feature.name] : [];
             // Combine unique features
-            const featuresSet = new Set([...traits, ...lvlFeatures]);
+            const featuresSet = new Set([...traits, ...lvlFeatures, ...bgFeature]);
             charDraft.features = Array.from(featuresSet);
-            // Push final object to state
-            state.characters.push({
+            // Build the final object, derive spellcasting from the class
+            // level table, then push it to state
+            const newChar = {
               id: charDraft.id,
               userId: charDraft.userId,
-              campaignId: charDraft.campaignId,
+              campaignId: null,
+              pendingCampaignId: null,
+              retired: false,
               name: charDraft.name,
               gender: charDraft.gender,
               race: charDraft.race ? charDraft.race.name : '',
@@ -1337,17 +6854,51 @@
               classIndex: charDraft.classIndex,
               subclass: charDraft.subclass ? charDraft.subclass.name : '',
               subclassIndex: charDraft.subclassIndex,
+              // Per-class levels and hit dice; the fields above describe
+              // the first class (see syncPrimaryClass)
+              classes: charDraft.class ? [{
+                index: charDraft.classIndex,
+                name: charDraft.class.name,
+                level: 1,
+                subclass: charDraft.subclass ? charDraft.subclass.name : '',
+                subclassIndex: charDraft.subclassIndex,
+                hitDie: charDraft.hitDie,
+                hitDiceUsed: 0,
+              }] : [],
               level: charDraft.level,
               xp: charDraft.xp,
               abilityScores: charDraft.abilityScores,
+              // How the scores were generated, kept separate from the
+              // racial bonuses included in abilityScores
+              abilityMethod: charDraft.abilityGen.method,
+              racialBonuses: charDraft.racialBonuses,
               hp: charDraft.hp,
-              hitDie: charDraft.hitDie,
+              maxHp: charDraft.hp,
+              tempHp: 0,
+              deathSaves: { successes: 0, failures: 0 },
+              background: charDraft.background ? charDraft.background.name : '',
+              backgroundIndex: charDraft.backgroundIndex,
+              alignment: charDraft.alignment || '',
+              savingThrows: charDraft.savingThrows,
+              skills: charDraft.skills,
+              proficiencies: charDraft.proficiencies,
+              languages: charDraft.languages,
               features: charDraft.features,
-              // Start characters with an empty inventory so item management can add to it
-              inventory: [],
-            });
+              inventory: charDraft.inventory.map((i) => ({ ...i, equipped: false, attuned: false, custom: false })),
+              currency: { cp: 0, sp: 0, ep: 0, gp: 0, pp: 0 },
+              history: [],
+            };
+            await Promise.all(newChar.inventory.map(hydrateInventoryItem));
+            await refreshSpellcasting(newChar);
+            state.characters.push(newChar);
+            const outcome = campChoice ? requestCampaignAssignment(state, newChar, campChoice) : null;
             saveState(state);
-            alert('Character saved!');
+            alert(outcome === 'pending' ? 'Character saved! The DM needs to approve them for the campaign.' : 'Character saved!');
+            // Campaigns that start above level 1 level the character up
+            // straight away; a pending request waits for the DM's approval
+            if (outcome === 'assigned' && getLevelFromXp(newChar.xp) > newChar.level) {
+              await levelUpCharacter(newChar, state);
+            }
             window.location.hash = '#characters';
           };
           break;
@@ -1372,7 +6923,10 @@
       .filter((c) => c.userId === state.currentUserId)
       .forEach((ch) => {
         const li = document.createElement('li');
-        li.innerHTML = `<span>${ch.name} (Lvl ${ch.level})</span>`;
+        const camp = state.campaigns.find((c) => c.id === ch.campaignId);
+        const pending = state.campaigns.find((c) => c.id === ch.pendingCampaignId);
+        li.innerHTML = `<span>${escapeHtml(ch.name)} (Lvl ${ch.level})${ch.retired ? ' <small>(retired)</small>' : ''}` +
+          `${camp ? ` – ${escapeHtml(camp.name)}` : ''}${pending ? ` <small>(awaiting approval for ${escapeHtml(pending.name)})</small>` : ''}</span>`;
         const actions = document.createElement('div');
         actions.className = 'actions';
         const viewBtn = document.createElement('button');
@@ -1382,6 +6936,11 @@
           location.hash = `#character-sheet?id=${ch.id}`;
         };
         actions.appendChild(viewBtn);
+        const campBtn = document.createElement('button');
+        campBtn.className = 'btn btn-secondary btn-small';
+        campBtn.textContent = camp ? 'Change Campaign' : 'Join Campaign';
+        campBtn.onclick = () => openCampaignAssignment(ch, state, () => renderCharacterList(container, state));
+        actions.appendChild(campBtn);
         li.appendChild(actions);
         list.appendChild(li);
       });
@@ -1407,14 +6966,19 @@
       container.innerHTML = '<p>Character not found.</p>';
       return;
     }
-    container.innerHTML = `<h2>${ch.name}</h2>`;
+    // Other players see the sheet read-only
+    const canEdit = canEditCharacter(ch, state);
+    container.innerHTML = `<h2>${escapeHtml(ch.name)}</h2>`;
     const sheet = document.createElement('div');
     sheet.className = 'character-sheet';
     // Basic info
     sheet.innerHTML = `
       <p><strong>Level:</strong> ${ch.level} (XP: ${ch.xp})</p>
-      <p><strong>Race / Class:</strong> ${ch.race} / ${ch.class}${ch.subclass ? ' (' + ch.subclass + ')' : ''}</p>
-      <p><strong>Hit Points:</strong> ${ch.hp}</p>
+      <p><strong>Race / Class:</strong> ${escapeHtml(ch.race)} / ${escapeHtml(describeClasses(ch) || '—')}</p>
+      <p><strong>Campaign:</strong> ${escapeHtml((state.campaigns.find((c) => c.id === ch.campaignId) || { name: 'None' }).name)}${ch.pendingCampaignId ? ' (join request awaiting DM approval)' : ''}${ch.retired ? ' – retired' : ''}</p>
+      <p><strong>Background:</strong> ${escapeHtml(ch.background || '—')} &nbsp; <strong>Alignment:</strong> ${escapeHtml(ch.alignment || '—')}</p>
+      <p><strong>Armor Class:</strong> ${getArmorClass(ch)}</p>
+      <div class="hit-points"></div>
       <div class="stats-grid">
         ${['str','dex','con','int','wis','cha'].map((k) => {
           const label = k.toUpperCase();
@@ -1423,12 +6987,18 @@
           return `<div class="stat"><span>${val}</span>${label}<br/>Mod: ${mod >= 0 ? '+'+mod : mod}</div>`;
         }).join('')}
       </div>
-      <p><strong>Features:</strong> ${ch.features && ch.features.length > 0 ? '<ul>' + ch.features.map(f => `<li>${f}</li>`).join('') + '</ul>' : 'None'}</p>
+      <p><strong>Proficiencies:</strong> ${ch.proficiencies.length > 0 ? escapeHtml(ch.proficiencies.join(', ')) : 'None'}</p>
+      <p><strong>Languages:</strong> ${ch.languages.length > 0 ? escapeHtml(ch.languages.join(', ')) : 'None'}</p>
+      <p><strong>Features:</strong> ${ch.features && ch.features.length > 0 ? '<ul>' + ch.features.map(f => `<li>${escapeHtml(f)}</li>`).join('') + '</ul>' : 'None'}</p>
     `;
     container.appendChild(sheet);
     // After rendering the base sheet, replace the stats grid with rollable stats
     const statsGrid = sheet.querySelector('.stats-grid');
+    const rollMode = createRollModeToggle();
+    // Rolls from the sheet belong in the character's campaign log
+    const rollOptionsFor = (evt) => ({ ...rollMode.rollOptionsFor(evt), campaignId: ch.campaignId || null });
     if (statsGrid) {
+      sheet.insertBefore(rollMode.el, statsGrid);
       statsGrid.innerHTML = '';
       ['str','dex','con','int','wis','cha'].forEach((k) => {
         const label = k.toUpperCase();
@@ -1443,49 +7013,68 @@
         rollBtn.style.marginLeft = '0.25rem';
         rollBtn.textContent = '🎲';
         rollBtn.title = `Roll ${label} Check`;
-        rollBtn.onclick = () => {
+        rollBtn.onclick = (evt) => {
           // Roll 1d20 plus the ability modifier
-          rollDice(`1d20${mod >= 0 ? '+' + mod : mod}`, `${ch.name} ${label} Check`, state);
-          // Inform user to view log
-          alert('Roll executed! Check the log in your campaign for results.');
+          const result = rollDice(`1d20${mod >= 0 ? '+' + mod : mod}`, `${ch.name} ${label} Check`, state, rollOptionsFor(evt));
+          alert(describeRoll(`${label} check`, result));
         };
         statDiv.appendChild(rollBtn);
         statsGrid.appendChild(statDiv);
       });
     }
-    // Inventory display
-    const invTitle = document.createElement('p');
-    invTitle.innerHTML = '<strong>Inventory:</strong>';
-    sheet.appendChild(invTitle);
-    if (!Array.isArray(ch.inventory) || ch.inventory.length === 0) {
-      const none = document.createElement('p');
-      none.textContent = 'None';
-      sheet.appendChild(none);
-    } else {
-      const invList = document.createElement('ul');
-      ch.inventory.forEach((item, idx) => {
-        const li = document.createElement('li');
-        li.innerHTML = `${item.name}`;
-        const rem = document.createElement('button');
-        rem.className = 'btn btn-small';
-        rem.style.marginLeft = '0.5rem';
-        rem.textContent = 'Remove';
-        rem.onclick = () => {
-          if (confirm(`Remove ${item.name} from inventory?`)) {
-            ch.inventory.splice(idx, 1);
-            saveState(state);
-            renderCharacterSheet(container, state);
-          }
-        };
-        li.appendChild(rem);
-        invList.appendChild(li);
+    // Characters created before spell and save support lack those
+    // blocks, so derive them once from the class data.
+    const needsSpells = ch.spellcasting === undefined && ch.classIndex;
+    const needsSaves = ch.savingThrows === undefined && ch.classIndex;
+    if (needsSpells || needsSaves) {
+      const sheetHash = window.location.hash;
+      Promise.all([
+        needsSpells ? refreshSpellcasting(ch) : null,
+        needsSaves ? refreshSavingThrows(ch) : null,
+      ]).then(() => {
+        // A lookup that failed (offline, not cached) leaves its field
+        // unset; only redraw when one that was missing is now filled in,
+        // otherwise the redraw would ask again and loop.
+        const filled = (needsSpells && ch.spellcasting !== undefined) || (needsSaves && ch.savingThrows !== undefined);
+        if (!filled) return;
+        saveState(state);
+        // Only redraw if the user is still looking at this sheet
+        if (window.location.hash === sheetHash) renderCharacterSheet(container, state);
+      });
+    }
+    // Hit points, hit dice and rests
+    sheet.querySelector('.hit-points').replaceWith(
+      renderHitPoints(ch, state, () => renderCharacterSheet(container, state), rollOptionsFor, canEdit)
+    );
+    // Saving throws and skills
+    sheet.insertBefore(
+      renderSavesAndSkills(ch, state, () => renderCharacterSheet(container, state), rollOptionsFor, canEdit),
+      statsGrid ? statsGrid.nextSibling : null
+    );
+    // Spellcasting
+    if (ch.spellcasting) {
+      sheet.appendChild(renderSpellcasting(ch, state, () => renderCharacterSheet(container, state), rollOptionsFor, canEdit));
+    }
+    // Inventory, coins and equipment
+    sheet.appendChild(renderInventory(ch, state, () => renderCharacterSheet(container, state), rollOptionsFor, canEdit));
+    // Items from before inventory tracking only have a name and index
+    const bareItems = ch.inventory.filter((i) => !i.id || (!i.custom && i.index && i.weight === undefined));
+    if (bareItems.length > 0) {
+      const sheetHash = window.location.hash;
+      const missingIds = bareItems.some((i) => !i.id);
+      Promise.all(bareItems.map(hydrateInventoryItem)).then(() => {
+        // Failed lookups leave the weight unset; redraw only if something
+        // changed so those items are not fetched again in a loop
+        if (!missingIds && bareItems.every((i) => i.weight === undefined)) return;
+        saveState(state);
+        if (window.location.hash === sheetHash) renderCharacterSheet(container, state);
       });
-      sheet.appendChild(invList);
     }
-    // Determine if current user can award XP
+    // Determine if current user can award XP (milestone campaigns level
+    // up from the campaign page instead, and archived ones are closed)
     if (ch.campaignId) {
       const camp = state.campaigns.find((c) => c.id === ch.campaignId);
-      if (camp && camp.ownerId === state.currentUserId) {
+      if (camp && isCampaignDm(camp, state.currentUserId) && !camp.archived && camp.advancement !== 'milestone') {
         const xpBtn = document.createElement('button');
         xpBtn.className = 'btn btn-secondary';
         xpBtn.textContent = 'Award XP';
@@ -1493,33 +7082,75 @@
           const xpStr = prompt('XP to award:');
           const xp = parseInt(xpStr, 10);
           if (isNaN(xp) || xp <= 0) return;
-          ch.xp += xp;
-          const newLevel = getLevelFromXp(ch.xp);
-          if (newLevel > ch.level) {
-            alert(`${ch.name} levelled up to level ${newLevel}!`);
-            // Handle level ups sequentially
-            for (let lvl = ch.level + 1; lvl <= newLevel; lvl++) {
-              const conMod2 = Math.floor((ch.abilityScores.con - 10) / 2);
-              ch.hp += (ch.hitDie || 8) + conMod2;
-              if (ch.classIndex) {
-                const feats = await fetchLevelFeatures(ch.classIndex, lvl);
-                const existing = new Set(ch.features || []);
-                feats.forEach((f) => existing.add(f));
-                ch.features = Array.from(existing);
-                const asiFeat = feats.find((f) => /ability score/i.test(f));
-                if (asiFeat) {
-                  await promptAbilityScoreIncrease(ch);
-                }
-              }
-            }
-            ch.level = newLevel;
-          }
+          await awardXp(ch, xp, state);
           saveState(state);
           renderCharacterSheet(container, state);
         };
         container.appendChild(xpBtn);
       }
     }
+    // Campaign assignment and retirement
+    if (ch.userId === state.currentUserId) {
+      const campBtn = document.createElement('button');
+      campBtn.className = 'btn btn-secondary';
+      campBtn.style.marginTop = '1rem';
+      campBtn.style.marginRight = '0.5rem';
+      campBtn.textContent = ch.campaignId ? 'Change Campaign' : 'Join Campaign';
+      campBtn.onclick = () => openCampaignAssignment(ch, state, () => renderCharacterSheet(container, state));
+      container.appendChild(campBtn);
+    }
+    if (canEdit) {
+      const retireBtn = document.createElement('button');
+      retireBtn.className = 'btn btn-secondary';
+      retireBtn.style.marginTop = '1rem';
+      retireBtn.style.marginRight = '0.5rem';
+      retireBtn.textContent = ch.retired ? 'Return to Play' : 'Retire';
+      retireBtn.onclick = () => {
+        if (!ch.retired && !confirm(`Retire ${ch.name}? They stay in their campaign's records but leave combat and attendance.`)) return;
+        setCharacterRetired(state, ch, !ch.retired);
+        saveState(state);
+        renderCharacterSheet(container, state);
+      };
+      container.appendChild(retireBtn);
+    }
+    // Levels earned but not yet taken (the level-up screen was closed)
+    if (canEdit && getLevelFromXp(ch.xp) > ch.level) {
+      const levelBtn = document.createElement('button');
+      levelBtn.className = 'btn btn-primary';
+      levelBtn.style.marginTop = '1rem';
+      levelBtn.style.marginRight = '0.5rem';
+      levelBtn.textContent = `⬆ Level Up (${getLevelFromXp(ch.xp) - ch.level} pending)`;
+      levelBtn.onclick = async () => {
+        await levelUpCharacter(ch, state);
+        renderCharacterSheet(container, state);
+      };
+      container.appendChild(levelBtn);
+    }
+    // Edit and history
+    if (canEdit) {
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn btn-primary';
+      editBtn.style.marginTop = '1rem';
+      editBtn.style.marginRight = '0.5rem';
+      editBtn.textContent = '✏️ Edit';
+      editBtn.onclick = () => openCharacterEditor(ch, state, () => renderCharacterSheet(container, state));
+      container.appendChild(editBtn);
+    }
+    const historyBtn = document.createElement('button');
+    historyBtn.className = 'btn btn-secondary';
+    historyBtn.style.marginTop = '1rem';
+    historyBtn.style.marginRight = '0.5rem';
+    historyBtn.textContent = `History (${(ch.history || []).length})`;
+    historyBtn.onclick = () => openCharacterHistory(ch, state, () => renderCharacterSheet(container, state));
+    container.appendChild(historyBtn);
+    // Export button
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn btn-secondary';
+    exportBtn.style.marginTop = '1rem';
+    exportBtn.style.marginRight = '0.5rem';
+    exportBtn.textContent = '⬇ Export Character';
+    exportBtn.onclick = () => exportCharacter(ch);
+    container.appendChild(exportBtn);
     // Back button
     const backBtn = document.createElement('button');
     backBtn.className = 'btn btn-secondary';
@@ -1531,12 +7162,346 @@
     container.appendChild(backBtn);
   }
 
+  // ----- Scheduling helpers -----
+  //
+  // Dates are entered as YYYY-MM-DD and times as HH:MM (24 hour) in
+  // plain text inputs, so they are validated by hand.  Players record
+  // their weekly availability on their account as windows like
+  // { day: 5, start: '18:00', end: '24:00' } (day 0 is Sunday), which
+  // the proposal form uses to suggest slots.
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  // Candidate start times for suggestions are this many minutes apart
+  const SUGGESTION_STEP_MINUTES = 30;
+
+  /**
+   * Parse an HH:MM time into minutes after midnight.  "24:00" is
+   * accepted as the end of the day.  Returns null if invalid.
+   * @param {string} str
+   * @returns {number|null}
+   */
+  function parseTimeOfDay(str) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec((str || '').trim());
+    if (!m) return null;
+    const h = parseInt(m[1], 10);
+    const min = parseInt(m[2], 10);
+    if (min > 59 || h > 24 || (h === 24 && min !== 0)) return null;
+    return h * 60 + min;
+  }
+
+  /**
+   * Format minutes after midnight as HH:MM.
+   * @param {number} minutes
+   * @returns {string}
+   */
+  function formatTimeOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as local midnight.  Returns null for
+   * malformed or impossible dates such as 2025-02-30.
+   * @param {string} str
+   * @returns {Date|null}
+   */
+  function parseDateOnly(str) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec((str || '').trim());
+    if (!m) return null;
+    const d = new Date(+m[1], +m[2] - 1, +m[3]);
+    if (d.getFullYear() !== +m[1] || d.getMonth() !== +m[2] - 1 || d.getDate() !== +m[3]) return null;
+    return d;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD in local time.
+   * @param {Date} d
+   * @returns {string}
+   */
+  function formatDateOnly(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * The local time `minutes` after midnight on a day.  Built from the
+   * date's fields rather than by adding milliseconds, which would be an
+   * hour out on days when daylight saving time starts or ends.
+   * @param {Date} day
+   * @param {number} minutes
+   * @returns {Date}
+   */
+  function atTimeOfDay(day, minutes) {
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+  }
+
+  /**
+   * Check a proposed time slot.  Returns a message describing the first
+   * problem, or null if the slot is valid.
+   * @param {{date: string, start: string, end: string}} slot
+   * @param {Date} [now]
+   * @returns {string|null}
+   */
+  function validateTimeSlot(slot, now = new Date()) {
+    const day = parseDateOnly(slot.date);
+    if (!day) return `"${slot.date}" is not a valid date (use YYYY-MM-DD).`;
+    const start = parseTimeOfDay(slot.start);
+    const end = parseTimeOfDay(slot.end);
+    if (start === null || start === 24 * 60) return `"${slot.start}" is not a valid start time (use HH:MM).`;
+    if (end === null) return `"${slot.end}" is not a valid end time (use HH:MM).`;
+    if (end <= start) return `${slot.date}: the end time must be after the start time.`;
+    if (atTimeOfDay(day, start) < now) return `${slot.date} ${slot.start} is in the past.`;
+    return null;
+  }
+
+  /**
+   * Describe an availability window, e.g. "Friday 18:00–24:00".
+   * @param {{day: number, start: string, end: string}} window
+   * @returns {string}
+   */
+  function describeAvailability(window) {
+    return `${WEEKDAYS[window.day]} ${window.start}–${window.end}`;
+  }
+
+  /**
+   * Suggest session slots for a campaign from its members' weekly
+   * availability.  Every day in the range is tried at
+   * SUGGESTION_STEP_MINUTES intervals; a slot's score is the number of
+   * members whose availability covers it entirely.  Members who have
+   * not recorded any availability are not counted either way.  Slots
+   * overlapping an already scheduled session are skipped, and only the
+   * best slot of each day is kept.  Results are sorted by score, then
+   * date.
+   * @param {object} state
+   * @param {object} campaign
+   * @param {{from: Date, days: number, lengthMinutes: number, limit?: number}} options
+   * @returns {Array<{date: string, start: string, end: string, available: string[], unavailable: string[], unknown: string[]}>}
+   */
+  function suggestSessionSlots(state, campaign, { from, days, lengthMinutes, limit = 5 }) {
+    const members = campaign.members
+      .concat(campaign.members.some((m) => m.userId === campaign.ownerId) ? [] : [{ userId: campaign.ownerId }])
+      .map((m) => state.users.find((u) => u.id === m.userId))
+      .filter(Boolean);
+    const withAvailability = members.filter((u) => (u.availability || []).length > 0);
+    const unknown = members.filter((u) => !withAvailability.includes(u)).map((u) => u.username);
+    const booked = getCampaignSessions(state, campaign.id).map((s) => [
+      s.start.getTime(),
+      (s.end || new Date(s.start.getTime() + lengthMinutes * 60000)).getTime(),
+    ]);
+    const now = Date.now();
+    const best = [];
+    for (let i = 0; i < days; i++) {
+      const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+      let dayBest = null;
+      for (let start = 0; start + lengthMinutes <= 24 * 60; start += SUGGESTION_STEP_MINUTES) {
+        const end = start + lengthMinutes;
+        const startMs = atTimeOfDay(day, start).getTime();
+        const endMs = atTimeOfDay(day, end).getTime();
+        if (startMs < now) continue;
+        if (booked.some(([s, e]) => startMs < e && endMs > s)) continue;
+        const available = [];
+        const unavailable = [];
+        withAvailability.forEach((u) => {
+          const fits = u.availability.some((w) =>
+            w.day === day.getDay() && parseTimeOfDay(w.start) <= start && parseTimeOfDay(w.end) >= end
+          );
+          (fits ? available : unavailable).push(u.username);
+        });
+        if (available.length > 0 && (!dayBest || available.length > dayBest.available.length)) {
+          dayBest = {
+            date: formatDateOnly(day),
+            start: formatTimeOfDay(start),
+            end: formatTimeOfDay(end),
+            available,
+            unavailable,
+            unknown,
+          };
+        }
+      }
+      if (dayBest) best.push(dayBest);
+    }
+    return best
+      .sort((a, b) => b.available.length - a.available.length || a.date.localeCompare(b.date))
+      .slice(0, limit);
+  }
+
+  /**
+   * Render the weekly availability editor for the account page.
+   * @param {object} user
+   * @param {object} state
+   * @param {Function} rerender
+   * @returns {HTMLElement}
+   */
+  function renderAvailabilityEditor(user, state, rerender) {
+    const section = document.createElement('div');
+    section.innerHTML = `<h3>Availability</h3>
+      <p>When are you usually free to play? DMs see this when picking session times.</p>`;
+    const list = document.createElement('ul');
+    list.className = 'list';
+    const windows = (user.availability || []).slice().sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+    windows.forEach((w) => {
+      const li = document.createElement('li');
+      li.innerHTML = `<span>${describeAvailability(w)}</span>`;
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-danger btn-small';
+      removeBtn.textContent = 'Remove';
+      removeBtn.onclick = () => {
+        user.availability = user.availability.filter((x) => x.id !== w.id);
+        saveState(state);
+        rerender();
+      };
+      li.appendChild(removeBtn);
+      list.appendChild(li);
+    });
+    if (windows.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'No availability recorded yet.';
+      list.appendChild(li);
+    }
+    section.appendChild(list);
+    const form = document.createElement('form');
+    form.innerHTML = `
+      <label for="availDay">Free on</label>
+      <select id="availDay">
+        ${WEEKDAYS.map((d, i) => `<option value="${i}">${d}s</option>`).join('')}
+      </select>
+      <label for="availStart">From (HH:MM)</label>
+      <input type="text" id="availStart" placeholder="18:00" required />
+      <label for="availEnd">Until (HH:MM, 24:00 for midnight)</label>
+      <input type="text" id="availEnd" placeholder="24:00" required />
+      <button type="submit">Add</button>
+    `;
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const day = parseInt(form.querySelector('#availDay').value, 10);
+      const start = parseTimeOfDay(form.querySelector('#availStart').value);
+      const end = parseTimeOfDay(form.querySelector('#availEnd').value);
+      if (start === null || end === null) {
+        alert('Enter times as HH:MM, e.g. 18:00.');
+        return;
+      }
+      if (end <= start) {
+        alert('The end time must be after the start time. Use 24:00 for midnight.');
+        return;
+      }
+      user.availability = (user.availability || []).concat({
+        id: uuid(),
+        day,
+        start: formatTimeOfDay(start),
+        end: formatTimeOfDay(end),
+      });
+      saveState(state);
+      rerender();
+    };
+    section.appendChild(form);
+    return section;
+  }
+
+  /**
+   * Render a month calendar of a campaign's scheduled sessions and the
+   * options of its open proposals.  The campaign id and month
+   * (YYYY-MM, default the current month) come from the URL hash.
+   * @param {HTMLElement} container
+   * @param {object} state
+   */
+  function renderCampaignCalendar(container, state) {
+    const params = new URLSearchParams(window.location.hash.split('?')[1]);
+    const campaign = state.campaigns.find((c) => c.id === params.get('id'));
+    if (!campaign) {
+      container.innerHTML = '<p>Campaign not found.</p>';
+      return;
+    }
+    if (!getCampaignRole(campaign, state.currentUserId)) {
+      container.innerHTML = '<p>You are not a member of this campaign. Ask the DM for an invite code.</p>';
+      return;
+    }
+    const today = new Date();
+    const monthMatch = /^(\d{4})-(\d{2})$/.exec(params.get('month') || '');
+    const first = monthMatch ? new Date(+monthMatch[1], +monthMatch[2] - 1, 1) : new Date(today.getFullYear(), today.getMonth(), 1);
+    const monthParam = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    const go = (offset) => {
+      const d = new Date(first.getFullYear(), first.getMonth() + offset, 1);
+      window.location.hash = `#campaign-calendar?id=${campaign.id}&month=${monthParam(d)}`;
+    };
+    container.innerHTML = `<h2>${escapeHtml(campaign.name)} – Calendar</h2>`;
+    const nav = document.createElement('div');
+    nav.className = 'calendar-nav';
+    [['‹ Prev', -1], ['Today', null], ['Next ›', 1]].forEach(([text, offset]) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-secondary btn-small';
+      btn.textContent = text;
+      btn.onclick = () => {
+        if (offset === null) window.location.hash = `#campaign-calendar?id=${campaign.id}`;
+        else go(offset);
+      };
+      nav.appendChild(btn);
+    });
+    const title = document.createElement('strong');
+    title.textContent = first.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    nav.insertBefore(title, nav.children[1]);
+    container.appendChild(nav);
+    // Events by YYYY-MM-DD
+    const events = {};
+    const addEvent = (date, ev) => {
+      (events[date] = events[date] || []).push(ev);
+    };
+    getCampaignSessions(state, campaign.id).forEach((s) => {
+      addEvent(formatDateOnly(s.start), {
+        text: `${s.start.toLocaleTimeString(undefined, { timeStyle: 'short' })}${s.location ? ' @ ' + s.location : ''}`,
+        href: `#session?id=${s.id}`,
+        proposed: false,
+      });
+    });
+    state.proposals
+      .filter((p) => p.campaignId === campaign.id && !p.finalized)
+      .forEach((p) => {
+        p.options.forEach((opt) => {
+          addEvent(opt.date, { text: `${opt.start} (proposed)`, href: `#campaign?id=${campaign.id}`, proposed: true });
+        });
+      });
+    const table = document.createElement('table');
+    table.className = 'calendar';
+    table.innerHTML = `<tr>${WEEKDAYS.map((d) => `<th>${d.slice(0, 3)}</th>`).join('')}</tr>`;
+    // Start on the Sunday on or before the 1st and fill whole weeks
+    const cursor = new Date(first.getFullYear(), first.getMonth(), 1 - first.getDay());
+    do {
+      const row = document.createElement('tr');
+      for (let i = 0; i < 7; i++) {
+        const cell = document.createElement('td');
+        const key = formatDateOnly(cursor);
+        if (cursor.getMonth() !== first.getMonth()) cell.classList.add('other-month');
+        if (key === formatDateOnly(today)) cell.classList.add('today');
+        cell.innerHTML = `<div class="calendar-day">${cursor.getDate()}</div>`;
+        (events[key] || []).forEach((ev) => {
+          const a = document.createElement('a');
+          a.href = ev.href;
+          a.className = ev.proposed ? 'calendar-event proposed' : 'calendar-event';
+          a.textContent = ev.text;
+          cell.appendChild(a);
+        });
+        row.appendChild(cell);
+        cursor.setDate(cursor.getDate() + 1);
+      }
+      table.appendChild(row);
+    } while (cursor.getMonth() === first.getMonth());
+    container.appendChild(table);
+    const backBtn = document.createElement('button');
+    backBtn.className = 'btn btn-secondary';
+    backBtn.style.marginTop = '1rem';
+    backBtn.textContent = 'Back to Campaign';
+    backBtn.onclick = () => {
+      window.location.hash = `#campaign?id=${campaign.id}`;
+    };
+    container.appendChild(backBtn);
+  }
+
   /**
    * Render the session proposal form for a DM.  The campaignId is
    * passed via the URL hash (e.g. #propose-session?campaignId=123).
    * This form allows the DM to add multiple date/time/location
    * options and save them as a proposal.  Once saved, players can
-   * vote and the DM can later finalize one of the options.
+   * vote and the DM can later finalize one of the options.  A
+   * suggestions panel proposes slots that suit the most members, based
+   * on their recorded availability (see suggestSessionSlots).  With a
+   * `proposalId` in the hash the form edits that proposal instead,
+   * which is only allowed until the first vote is cast.
    *
    * @param {HTMLElement} container The root container
    * @param {object} state The application state
@@ -1549,15 +7514,50 @@
       container.innerHTML = '<p>Campaign not found.</p>';
       return;
     }
-    // Only allow the campaign owner to propose sessions
-    if (campaign.ownerId !== state.currentUserId) {
+    // Only the campaign's DMs can propose sessions
+    if (!isCampaignDm(campaign, state.currentUserId)) {
       container.innerHTML = '<p>You do not have permission to propose sessions for this campaign.</p>';
       return;
     }
-    container.innerHTML = `<h2>Propose New Session for ${campaign.name}</h2>
+    if (campaign.archived) {
+      container.innerHTML = '<p>This campaign is archived and is not scheduling new sessions.</p>';
+      return;
+    }
+    const editing = params.get('proposalId')
+      ? state.proposals.find((p) => p.id === params.get('proposalId') && p.campaignId === campId && !p.finalized)
+      : null;
+    if (params.get('proposalId') && (!editing || hasVotes(editing))) {
+      container.innerHTML = '<p>This proposal can no longer be edited: votes have been cast or it has been finalized.</p>';
+      return;
+    }
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    container.innerHTML = `<h2>${editing ? 'Edit Proposal' : 'Propose New Session'} for ${escapeHtml(campaign.name)}</h2>
+      <details class="slot-suggestions" open>
+        <summary>Suggest times from players' availability</summary>
+        <form id="suggestForm">
+          <label for="suggestFrom">Starting from (YYYY-MM-DD)</label>
+          <input type="text" id="suggestFrom" value="${formatDateOnly(tomorrow)}" required />
+          <label for="suggestDays">Days to search</label>
+          <input type="number" id="suggestDays" min="1" max="90" value="14" required />
+          <label for="suggestLength">Session length (hours)</label>
+          <input type="number" id="suggestLength" min="0.5" max="12" step="0.5" value="4" required />
+          <button type="submit" class="btn btn-secondary">Suggest</button>
+        </form>
+        <div id="suggestions"></div>
+      </details>
+      <p><label for="icsImport">Pre-fill time slots from a calendar file (.ics)</label>
+        <input type="file" id="icsImport" accept=".ics,text/calendar" /></p>
       <form id="proposalForm">
         <div id="timeSlots"></div>
         <button type="button" class="btn btn-secondary" id="addSlot">Add Time Slot</button>
+        <fieldset class="proposal-deadline">
+          <legend>Voting deadline (optional)</legend>
+          <input type="text" id="deadlineDate" placeholder="YYYY-MM-DD" />
+          <input type="text" id="deadlineTime" placeholder="HH:MM" />
+          <label><input type="checkbox" id="autoFinalize" /> Finalize the option with the most yes votes at the deadline
+            (ties go to the most maybe votes)</label>
+        </fieldset>
         <button type="submit" class="btn btn-primary">Save Proposal</button>
       </form>
       <button class="btn btn-secondary" id="cancelProposal">Cancel</button>
@@ -1566,8 +7566,8 @@
     const addSlotBtn = document.getElementById('addSlot');
     const formEl = document.getElementById('proposalForm');
     const cancelBtn = document.getElementById('cancelProposal');
-    // Helper to create a slot row
-    function createSlotRow() {
+    // Helper to create a slot row, optionally filled in
+    function createSlotRow(values = {}) {
       const wrapper = document.createElement('div');
       wrapper.style.display = 'flex';
       wrapper.style.gap = '0.5rem';
@@ -1587,13 +7587,130 @@
         <input type="text" class="slot-location" placeholder="Location" />
         <button type="button" class="btn btn-danger btn-small removeSlot">×</button>
       `;
+      wrapper.querySelector('.slot-date').value = values.date || '';
+      wrapper.querySelector('.slot-start').value = values.start || '';
+      wrapper.querySelector('.slot-end').value = values.end || '';
+      wrapper.querySelector('.slot-location').value = values.location || '';
       wrapper.querySelector('.removeSlot').onclick = () => {
         wrapper.remove();
       };
       return wrapper;
     }
-    // Add initial slot
-    timeSlotsDiv.appendChild(createSlotRow());
+    document.getElementById('icsImport').onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        let events;
+        try {
+          events = parseIcsEvents(reader.result);
+        } catch (err) {
+          alert(err.message);
+          return;
+        }
+        const now = new Date();
+        // Slots are within one day; an end at the next midnight is "24:00"
+        const endOf = (ev) => {
+          if (!ev.end) return '';
+          if (formatDateOnly(ev.end) === formatDateOnly(ev.start)) {
+            return formatTimeOfDay(ev.end.getHours() * 60 + ev.end.getMinutes());
+          }
+          const midnight = new Date(ev.start.getFullYear(), ev.start.getMonth(), ev.start.getDate() + 1);
+          return ev.end.getTime() === midnight.getTime() ? '24:00' : null;
+        };
+        const skipped = { zone: new Set(), overnight: 0, other: 0 };
+        const usable = events.filter((ev) => {
+          if (ev.unknownZone) {
+            skipped.zone.add(ev.unknownZone);
+          } else if (ev.allDay || ev.start <= now) {
+            skipped.other++;
+          } else if (endOf(ev) === null) {
+            skipped.overnight++;
+          } else {
+            return true;
+          }
+          return false;
+        });
+        const notes = [];
+        if (skipped.other) notes.push(`${skipped.other} past or all-day event${skipped.other === 1 ? '' : 's'}`);
+        if (skipped.overnight) notes.push(`${skipped.overnight} event${skipped.overnight === 1 ? '' : 's'} running past midnight`);
+        if (skipped.zone.size) notes.push(`events in unknown time zones (${Array.from(skipped.zone).join(', ')})`);
+        if (usable.length === 0) {
+          alert(`The file has no upcoming timed events to import.${notes.length ? `\nSkipped ${notes.join('; ')}.` : ''}`);
+          return;
+        }
+        // Drop the starting blank row, then add one row per event
+        Array.from(timeSlotsDiv.children).forEach((row) => {
+          if (!row.querySelector('.slot-date').value) row.remove();
+        });
+        usable.sort((a, b) => a.start - b.start).forEach((ev) => {
+          timeSlotsDiv.appendChild(createSlotRow({
+            date: formatDateOnly(ev.start),
+            start: formatTimeOfDay(ev.start.getHours() * 60 + ev.start.getMinutes()),
+            end: endOf(ev),
+            location: ev.location,
+          }));
+        });
+        alert(`Added ${usable.length} time slot${usable.length === 1 ? '' : 's'}${notes.length ? ` (skipped ${notes.join('; ')})` : ''}. Check them before saving.`);
+        e.target.value = '';
+      };
+      reader.readAsText(file);
+    };
+    const suggestionsDiv = document.getElementById('suggestions');
+    document.getElementById('suggestForm').onsubmit = (e) => {
+      e.preventDefault();
+      const from = parseDateOnly(document.getElementById('suggestFrom').value);
+      const days = parseInt(document.getElementById('suggestDays').value, 10);
+      const hours = parseFloat(document.getElementById('suggestLength').value);
+      if (!from) {
+        alert('Enter the start date as YYYY-MM-DD.');
+        return;
+      }
+      if (isNaN(days) || days < 1 || days > 90 || isNaN(hours) || hours <= 0 || hours > 12) {
+        alert('Search between 1 and 90 days for a session of up to 12 hours.');
+        return;
+      }
+      const suggestions = suggestSessionSlots(state, campaign, { from, days, lengthMinutes: Math.round(hours * 60) });
+      suggestionsDiv.innerHTML = '';
+      if (suggestions.length === 0) {
+        suggestionsDiv.innerHTML = '<p>No slot suits anyone yet. Ask your players to add their availability on their Account page.</p>';
+        return;
+      }
+      const list = document.createElement('ul');
+      list.className = 'list';
+      suggestions.forEach((sug) => {
+        const li = document.createElement('li');
+        const day = WEEKDAYS[parseDateOnly(sug.date).getDay()];
+        li.innerHTML = `<span>${day} ${sug.date} ${sug.start}–${sug.end}<br/>
+          <small>Free: ${escapeHtml(sug.available.join(', '))}${sug.unavailable.length ? ` · Busy: ${escapeHtml(sug.unavailable.join(', '))}` : ''}${sug.unknown.length ? ` · No availability set: ${escapeHtml(sug.unknown.join(', '))}` : ''}</small></span>`;
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'btn btn-primary btn-small';
+        addBtn.textContent = 'Add';
+        addBtn.onclick = () => {
+          // Replace the starting blank row rather than leaving it empty
+          const rows = Array.from(timeSlotsDiv.children);
+          if (rows.length === 1 && !rows[0].querySelector('.slot-date').value) rows[0].remove();
+          timeSlotsDiv.appendChild(createSlotRow(sug));
+          addBtn.disabled = true;
+        };
+        li.appendChild(addBtn);
+        list.appendChild(li);
+      });
+      suggestionsDiv.appendChild(list);
+    };
+    // Start from the proposal being edited, or one blank slot
+    if (editing) {
+      editing.options.forEach((opt) => timeSlotsDiv.appendChild(createSlotRow(opt)));
+      if (editing.deadline !== null) {
+        const d = new Date(editing.deadline);
+        document.getElementById('deadlineDate').value = formatDateOnly(d);
+        document.getElementById('deadlineTime').value = formatTimeOfDay(d.getHours() * 60 + d.getMinutes());
+      }
+      document.getElementById('autoFinalize').checked = editing.autoFinalize;
+    } else {
+      timeSlotsDiv.appendChild(createSlotRow());
+    }
     addSlotBtn.onclick = () => {
       timeSlotsDiv.appendChild(createSlotRow());
     };
@@ -1603,38 +7720,86 @@
     };
     formEl.onsubmit = (e) => {
       e.preventDefault();
-      // Gather all slot inputs
+      // Gather all slot inputs; every row must be a valid future slot
       const rows = timeSlotsDiv.querySelectorAll('div');
       const options = [];
+      const problems = [];
       rows.forEach((row) => {
-        const dateInput = row.querySelector('.slot-date');
-        const startInput = row.querySelector('.slot-start');
-        const endInput = row.querySelector('.slot-end');
-        const locInput = row.querySelector('.slot-location');
-        const date = dateInput.value;
-        const start = startInput.value;
-        const end = endInput.value;
-        const location = locInput.value.trim() || '';
-        if (date && start && end) {
-          options.push({ date, start, end, location });
+        const date = row.querySelector('.slot-date').value.trim();
+        const start = row.querySelector('.slot-start').value.trim();
+        const end = row.querySelector('.slot-end').value.trim();
+        const location = row.querySelector('.slot-location').value.trim() || '';
+        const problem = validateTimeSlot({ date, start, end });
+        if (problem) {
+          problems.push(problem);
+          return;
+        }
+        // Store times normalised, e.g. "9:30" as "09:30"
+        const option = {
+          date,
+          start: formatTimeOfDay(parseTimeOfDay(start)),
+          end: formatTimeOfDay(parseTimeOfDay(end)),
+          location,
+        };
+        if (options.some((o) => o.date === option.date && o.start === option.start && o.location === option.location)) {
+          problems.push(`${date} ${option.start} is listed twice.`);
+          return;
         }
+        options.push(option);
       });
+      if (problems.length > 0) {
+        alert(`Please fix these time slots:\n${problems.join('\n')}`);
+        return;
+      }
       if (options.length === 0) {
         alert('Please add at least one time slot.');
         return;
       }
-      // Build proposal object
-      const proposal = {
-        id: uuid(),
-        campaignId: campId,
-        createdBy: state.currentUserId,
-        finalized: false,
-        finalChoiceIndex: null,
-        options: options,
-        // votes is an array of objects per option: { yes: [], no: [], maybe: [] }
-        votes: options.map(() => ({ yes: [], no: [], maybe: [] })),
-      };
-      state.proposals.push(proposal);
+      // The deadline is optional but must close voting before the first option starts
+      const deadlineDate = document.getElementById('deadlineDate').value.trim();
+      const deadlineTime = document.getElementById('deadlineTime').value.trim();
+      const autoFinalize = document.getElementById('autoFinalize').checked;
+      let deadline = null;
+      if (deadlineDate || deadlineTime) {
+        const day = parseDateOnly(deadlineDate);
+        const minutes = parseTimeOfDay(deadlineTime);
+        if (!day || minutes === null) {
+          alert('Please enter the voting deadline as YYYY-MM-DD and HH:MM, or leave both empty.');
+          return;
+        }
+        deadline = atTimeOfDay(day, minutes).getTime();
+        const firstStart = Math.min(...options.map((o) => atTimeOfDay(parseDateOnly(o.date), parseTimeOfDay(o.start)).getTime()));
+        if (deadline <= Date.now()) {
+          alert('The voting deadline must be in the future.');
+          return;
+        }
+        if (deadline > firstStart) {
+          alert('The voting deadline must be before the earliest time slot starts.');
+          return;
+        }
+      } else if (autoFinalize) {
+        alert('Set a voting deadline to finalize automatically.');
+        return;
+      }
+      // votes is an array of objects per option: { yes: [], no: [], maybe: [] }
+      const votes = options.map(() => ({ yes: [], no: [], maybe: [] }));
+      if (editing) {
+        Object.assign(editing, { options, votes, deadline, autoFinalize });
+      } else {
+        state.proposals.push({
+          id: uuid(),
+          campaignId: campId,
+          createdBy: state.currentUserId,
+          finalized: false,
+          finalChoiceIndex: null,
+          options,
+          votes,
+          deadline,
+          autoFinalize,
+          cancelled: false,
+          sequence: 0,
+        });
+      }
       saveState(state);
       alert('Session proposal saved.');
       window.location.hash = `#campaign?id=${campId}`;
@@ -1645,68 +7810,200 @@
    * Parse a dice expression (e.g. "1d20+3-2d4") into an array of
    * terms.  Each term is an object describing either a dice roll or a
    * numeric modifier.  The parser supports multiple dice terms and
-   * signed modifiers.
+   * signed modifiers, plus these suffixes on a dice term:
+   *
+   *   kh N / k N   keep the highest N dice   (2d20kh1 = advantage)
+   *   kl N         keep the lowest N dice    (2d20kl1 = disadvantage)
+   *   dl N         drop the lowest N dice    (4d6dl1)
+   *   dh N         drop the highest N dice
+   *   !            exploding: roll again on the maximum face
+   *   r N          reroll once any die showing N or lower (2d6r2 for
+   *                great weapon fighting)
+   *
+   * "d%" is accepted as d100.  Invalid input throws an Error with a
+   * message suitable for showing to the user.
    * @param {string} expr The raw expression string
-   * @returns {Array<{type:'dice',count:number,size:number,sign:number}|{type:'mod',mod:number}>}
+   * @returns {Array<{type:'dice',count:number,size:number,sign:number,keep:{which:'highest'|'lowest',count:number}|null,explode:boolean,rerollBelow:number|null}|{type:'mod',mod:number}>}
    */
   function parseDiceExpression(expr) {
-    if (!expr) return [];
-    const cleaned = expr.replace(/\s+/g, '');
-    const tokens = cleaned.match(/[+-]?\d*d\d+|[+-]?\d+/g);
-    if (!tokens) return [];
-    return tokens.map((tok) => {
-      let sign = 1;
-      if (tok.startsWith('-')) {
-        sign = -1;
-        tok = tok.slice(1);
-      } else if (tok.startsWith('+')) {
-        tok = tok.slice(1);
+    if (/[\dd%]\s+[\dd]/i.test(expr || '')) {
+      throw new Error(`Missing + or - between terms in "${expr}".`);
+    }
+    const cleaned = (expr || '').replace(/\s+/g, '').toLowerCase();
+    if (!cleaned) throw new Error('Enter a dice expression, e.g. 1d20+5.');
+    const termRe = /([+-])?(?:(\d*)d(\d+|%)((?:kh\d+|kl\d+|k\d+|dh\d+|dl\d+|!|r\d+)*)|(\d+))/y;
+    const terms = [];
+    let pos = 0;
+    while (pos < cleaned.length) {
+      termRe.lastIndex = pos;
+      const m = termRe.exec(cleaned);
+      if (!m || (pos > 0 && !m[1])) {
+        throw new Error(`Unexpected "${cleaned.slice(pos)}" in dice expression "${expr}".`);
       }
-      if (tok.includes('d')) {
-        const parts = tok.split('d');
-        const count = parts[0] === '' ? 1 : parseInt(parts[0], 10);
-        const size = parseInt(parts[1], 10);
-        return { type: 'dice', count: isNaN(count) ? 1 : count, size: isNaN(size) ? 6 : size, sign };
+      pos = termRe.lastIndex;
+      const sign = m[1] === '-' ? -1 : 1;
+      if (m[5] !== undefined) {
+        terms.push({ type: 'mod', mod: parseInt(m[5], 10) * sign });
+        continue;
       }
-      const modVal = parseInt(tok, 10);
-      return { type: 'mod', mod: (isNaN(modVal) ? 0 : modVal) * sign };
-    });
+      const count = m[2] === '' ? 1 : parseInt(m[2], 10);
+      const size = m[3] === '%' ? 100 : parseInt(m[3], 10);
+      if (count < 1 || count > 100) throw new Error(`Can only roll between 1 and 100 dice at once (got ${count}).`);
+      if (size < 2 || size > 1000) throw new Error(`d${size} is not a valid die.`);
+      const term = { type: 'dice', count, size, sign, keep: null, explode: false, rerollBelow: null };
+      (m[4].match(/kh\d+|kl\d+|k\d+|dh\d+|dl\d+|!|r\d+/g) || []).forEach((suffix) => {
+        if (suffix === '!') {
+          if (size < 3) throw new Error('Exploding dice need at least three faces.');
+          term.explode = true;
+          return;
+        }
+        const n = parseInt(suffix.replace(/^\D+/, ''), 10);
+        if (suffix.startsWith('r')) {
+          if (n < 1 || n >= size) throw new Error(`Reroll value must be between 1 and ${size - 1}.`);
+          term.rerollBelow = n;
+          return;
+        }
+        if (term.keep) throw new Error('Use only one keep or drop modifier per dice term.');
+        if (suffix.startsWith('d')) {
+          if (n < 1 || n >= count) throw new Error(`Cannot drop ${n} of ${count} dice.`);
+          term.keep = { which: suffix.startsWith('dl') ? 'highest' : 'lowest', count: count - n };
+        } else {
+          if (n < 1 || n > count) throw new Error(`Cannot keep ${n} of ${count} dice.`);
+          term.keep = { which: suffix.startsWith('kl') ? 'lowest' : 'highest', count: n };
+        }
+      });
+      terms.push(term);
+    }
+    return terms;
+  }
+
+  /**
+   * Turn the first plain d20 of an expression into an advantage or
+   * disadvantage roll (2d20kh1 / 2d20kl1).  Expressions without a
+   * single d20 are returned unchanged.
+   * @param {Array<object>} terms Parsed terms (modified in place)
+   * @param {'advantage'|'disadvantage'|'normal'} mode
+   */
+  function applyRollMode(terms, mode) {
+    if (mode !== 'advantage' && mode !== 'disadvantage') return;
+    const d20 = terms.find((t) => t.type === 'dice' && t.size === 20 && t.count === 1 && !t.keep);
+    if (!d20) return;
+    d20.count = 2;
+    d20.keep = { which: mode === 'advantage' ? 'highest' : 'lowest', count: 1 };
+  }
+
+  /**
+   * Turn parsed terms back into dice notation, e.g. for the log.
+   * @param {Array<object>} terms
+   * @returns {string}
+   */
+  function formatDiceTerms(terms) {
+    return terms.map((t, i) => {
+      if (t.type === 'mod') return t.mod >= 0 ? (i > 0 ? '+' : '') + t.mod : String(t.mod);
+      let s = `${t.sign === -1 ? '-' : i > 0 ? '+' : ''}${t.count}d${t.size}`;
+      if (t.keep) s += `${t.keep.which === 'highest' ? 'kh' : 'kl'}${t.keep.count}`;
+      if (t.explode) s += '!';
+      if (t.rerollBelow) s += `r${t.rerollBelow}`;
+      return s;
+    }).join('');
+  }
+
+  // Each browser keeps only the most recent rolls
+  const ROLL_LOG_LIMIT = 500;
+
+  /**
+   * Drop the oldest rolls beyond ROLL_LOG_LIMIT from this browser's log.
+   * The trimmed rolls are only forgotten here (see the storage adapter's
+   * `forget`), not deleted for everyone.
+   * @param {object} state
+   */
+  function trimRollLog(state) {
+    if (state.rolls.length <= ROLL_LOG_LIMIT) return;
+    const sorted = state.rolls.slice().sort((a, b) => a.timestamp - b.timestamp);
+    const dropped = sorted.slice(0, sorted.length - ROLL_LOG_LIMIT);
+    state.rolls = sorted.slice(-ROLL_LOG_LIMIT);
+    if (storage.forget) storage.forget('rolls', dropped.map((r) => r.id));
   }
 
   /**
    * Roll a dice expression and optionally record it to the global roll
    * log.  Returns an object describing the total, details string and
-   * whether a critical success/failure occurred on a d20 roll.
+   * whether a critical success/failure occurred on a d20 roll.  A d20
+   * term counts for crits when exactly one die of it is kept (1d20,
+   * 2d20kh1, 2d20kl1).  Dropped dice are shown as ~n~ in the details,
+   * exploded dice as n! and rerolled dice as old→new.  Throws if the
+   * expression cannot be parsed.
    * @param {string} expr The expression to roll (e.g. "1d20+3")
    * @param {string} label A human‑readable label for the roll (optional)
    * @param {object} state The application state (optional)
+   * @param {{mode?: 'normal'|'advantage'|'disadvantage', private?: boolean, campaignId?: string|null}} [options]
+   *   Roll the expression's d20 with advantage or disadvantage; private
+   *   rolls are only shown to the roller and the campaign's DMs.  The
+   *   roll is logged to `campaignId` if given, else to the campaign
+   *   being viewed.
    */
-  function rollDice(expr, label = '', state) {
+  function rollDice(expr, label = '', state, options = {}) {
     const terms = parseDiceExpression(expr);
+    const mode = options.mode || 'normal';
+    applyRollMode(terms, mode);
+    const rollDie = (size) => Math.floor(Math.random() * size) + 1;
     let total = 0;
     const detailParts = [];
     let crit = null;
     terms.forEach((term) => {
       if (term.type === 'dice') {
-        const results = [];
+        // Each die: { value, text } where text records rerolls/explosions
+        const dice = [];
         for (let i = 0; i < term.count; i++) {
-          const roll = Math.floor(Math.random() * term.size) + 1;
-          results.push(roll);
-          total += roll * term.sign;
-          // Check for critical success/failure on single d20
-          if (term.size === 20 && term.count === 1) {
-            if (roll === 20) crit = 'success';
-            else if (roll === 1) crit = 'failure';
+          let value = rollDie(term.size);
+          let text = String(value);
+          if (term.rerollBelow && value <= term.rerollBelow) {
+            const reroll = rollDie(term.size);
+            text = `${value}→${reroll}`;
+            value = reroll;
           }
+          dice.push({ value, text });
+          // Exploding dice add another die on the maximum face (capped
+          // so a d3! can't loop forever)
+          let last = value;
+          let explosions = 0;
+          while (term.explode && last === term.size && explosions < 100) {
+            last = rollDie(term.size);
+            explosions++;
+            dice[dice.length - 1].text += '!';
+            dice.push({ value: last, text: String(last) });
+          }
+        }
+        // Work out which dice are kept
+        let kept = dice;
+        if (term.keep) {
+          const order = dice.map((d, idx) => idx).sort((a, b) =>
+            term.keep.which === 'highest' ? dice[b].value - dice[a].value : dice[a].value - dice[b].value
+          );
+          const keepIdx = new Set(order.slice(0, term.keep.count));
+          dice.forEach((d, idx) => {
+            if (!keepIdx.has(idx)) d.text = `~${d.text}~`;
+          });
+          kept = dice.filter((d, idx) => keepIdx.has(idx));
+        }
+        kept.forEach((d) => {
+          total += d.value * term.sign;
+        });
+        // Check for critical success/failure when a single d20 counts
+        if (term.size === 20 && kept.length === 1) {
+          if (kept[0].value === 20) crit = 'success';
+          else if (kept[0].value === 1) crit = 'failure';
         }
-        const prefix = term.sign === -1 ? '-' : '';
-        detailParts.push(prefix + (results.length > 1 ? '[' + results.join(',') + ']' : results[0]));
+        const prefix = term.sign === -1 ? '-' : detailParts.length > 0 ? '+' : '';
+        const texts = dice.map((d) => d.text);
+        detailParts.push(prefix + (texts.length > 1 ? '[' + texts.join(',') + ']' : texts[0]));
       } else if (term.type === 'mod') {
         total += term.mod;
         detailParts.push(term.mod >= 0 ? '+' + term.mod : term.mod.toString());
       }
     });
     const details = detailParts.join('');
+    const modeSuffix = mode === 'advantage' ? ' (adv)' : mode === 'disadvantage' ? ' (dis)' : '';
     // Record to log
     if (state && state.currentUserId) {
       const user = state.users.find((u) => u.id === state.currentUserId);
@@ -1715,42 +8012,285 @@
         timestamp: Date.now(),
         userId: state.currentUserId,
         userName: user ? user.username : 'Unknown',
-        expression: expr,
-        label: label || expr,
+        expression: formatDiceTerms(terms),
+        label: (label || expr) + modeSuffix,
         result: total,
         details,
         crit,
-        campaignId: state.currentCampaignId || null,
+        campaignId: options.campaignId !== undefined ? options.campaignId : state.currentCampaignId || null,
+        private: Boolean(options.private),
       };
       state.rolls.push(entry);
-      // Keep logs trimmed to last 500 entries
-      if (state.rolls.length > 500) {
-        state.rolls = state.rolls.slice(-500);
+      trimRollLog(state);
+      saveState(state);
+      // Share it with everyone watching the campaign
+      if (rollFeed) rollFeed.publish(entry);
+      freshRollIds.add(entry.id);
+      refreshRollLogs();
+    }
+    return { total, details, crit };
+  }
+
+  /**
+   * Summarise a roll result for an alert, e.g. "DEX check: 17 ([~4~,15]+2)".
+   * @param {string} label
+   * @param {{total:number, details:string, crit:string|null}} result
+   * @returns {string}
+   */
+  function describeRoll(label, result) {
+    let text = `${label}: ${result.total} (${result.details})`;
+    if (result.crit === 'success') text += ' – Critical Success!';
+    if (result.crit === 'failure') text += ' – Critical Failure!';
+    return text;
+  }
+
+  /**
+   * Build a Normal / Advantage / Disadvantage switch for views with
+   * d20 roll buttons, plus a "Private to DM" checkbox.  Holding Shift
+   * (advantage) or Alt (disadvantage) while clicking a roll button
+   * overrides the switch for that roll; pass the click event to
+   * `rollOptionsFor` and hand the result to rollDice.
+   * @returns {{el: HTMLElement, rollOptionsFor: function(MouseEvent=): {mode: string, private: boolean}}}
+   */
+  function createRollModeToggle() {
+    const el = document.createElement('div');
+    el.className = 'roll-mode';
+    el.title = 'Shift-click a roll button for advantage, Alt-click for disadvantage';
+    let mode = 'normal';
+    [['normal', 'Normal'], ['advantage', 'Advantage'], ['disadvantage', 'Disadvantage']].forEach(([value, text]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-secondary btn-small';
+      btn.textContent = text;
+      btn.dataset.mode = value;
+      if (value === mode) btn.classList.add('active');
+      btn.onclick = () => {
+        mode = value;
+        Array.from(el.children).forEach((b) => b.classList.toggle('active', b.dataset.mode === mode));
+      };
+      el.appendChild(btn);
+    });
+    const privateLabel = document.createElement('label');
+    privateLabel.className = 'roll-private';
+    privateLabel.title = 'Only you and the campaign\'s DMs see the result';
+    privateLabel.innerHTML = '<input type="checkbox" /> Private to DM';
+    el.appendChild(privateLabel);
+    const privateBox = privateLabel.querySelector('input');
+    const modeFor = (evt) => {
+      if (evt && evt.shiftKey) return 'advantage';
+      if (evt && evt.altKey) return 'disadvantage';
+      return mode;
+    };
+    const rollOptionsFor = (evt) => ({ mode: modeFor(evt), private: privateBox.checked });
+    return { el, rollOptionsFor };
+  }
+
+  // ----- Live roll feed -----
+  //
+  // Rolls are shared as they happen with everyone watching the same
+  // campaign: other tabs of this browser hear about them over a
+  // BroadcastChannel, and other devices over a WebSocket to the sync
+  // server (when one is configured).  Each message carries a full roll
+  // log entry; receivers add it to their in-memory state.rolls once (by
+  // id) and refresh any roll log on screen.
+  //
+  // Clients tell the server who is logged in, and the server passes
+  // private rolls (over the WebSocket and through sync) only to the
+  // roller and the DMs of the roll's campaign.  Private rolls are not
+  // posted on the BroadcastChannel, since every tab of this browser
+  // hears it whoever is logged in there; other tabs pick them up from
+  // storage when they next load.  The server trusts the user the client
+  // names (see sync-server.js).
+  const ROLL_CHANNEL_NAME = 'torchtime-rolls';
+  const ROLL_SOCKET_PATH = '/ws/rolls';
+  // Delay before each reconnection attempt; the last one repeats
+  const ROLL_SOCKET_RETRY_MS = [1000, 5000, 15000, 60000];
+  // Roll logs currently on screen, refreshed when a roll arrives
+  const liveRollLogs = new Map();
+  // Rolls that arrived since the last refresh; these get animated
+  const freshRollIds = new Set();
+  let rollFeed = null;
+
+  /**
+   * Check that a roll received from elsewhere looks like a log entry.
+   * @param {*} entry
+   * @returns {boolean}
+   */
+  function isValidRollEntry(entry) {
+    return Boolean(entry) &&
+      typeof entry.id === 'string' &&
+      typeof entry.timestamp === 'number' &&
+      typeof entry.result === 'number' &&
+      typeof entry.userId === 'string' &&
+      typeof entry.userName === 'string';
+  }
+
+  /**
+   * Connect the live roll feed.  `onRoll` is called with every valid
+   * roll received from another tab or device; `getUserId` names the
+   * logged-in user to the server so it can decide who gets private rolls.
+   * @param {Function} onRoll
+   * @param {Function} getUserId
+   * @returns {{publish: Function, watch: Function, connectSocket: Function, disconnectSocket: Function}}
+   */
+  function createRollFeed(onRoll, getUserId) {
+    const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(ROLL_CHANNEL_NAME) : null;
+    const watched = new Set();
+    let watchedAs = null;
+    let socket = null;
+    let socketUrl = null;
+    let retries = 0;
+    let retryTimer = null;
+
+    const receive = (msg) => {
+      if (msg && msg.type === 'roll' && isValidRollEntry(msg.entry)) onRoll(msg.entry);
+    };
+    if (channel) channel.onmessage = (evt) => receive(evt.data);
+
+    const sendToSocket = (msg) => {
+      if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+    };
+    const sendWatch = () => {
+      watchedAs = getUserId();
+      sendToSocket({ type: 'watch', userId: watchedAs, campaignIds: Array.from(watched) });
+    };
+
+    function openSocket() {
+      socket = new WebSocket(socketUrl);
+      socket.onopen = () => {
+        retries = 0;
+        sendWatch();
+      };
+      socket.onmessage = (evt) => {
+        try {
+          receive(JSON.parse(evt.data));
+        } catch (err) {
+          console.error('Bad roll feed message', err);
+        }
+      };
+      socket.onclose = () => {
+        socket = null;
+        if (!socketUrl) return;
+        const delay = ROLL_SOCKET_RETRY_MS[Math.min(retries, ROLL_SOCKET_RETRY_MS.length - 1)];
+        retries++;
+        retryTimer = setTimeout(openSocket, delay);
+      };
+    }
+
+    function disconnectSocket() {
+      socketUrl = null;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+      socket = null;
+    }
+
+    return {
+      publish(entry) {
+        const msg = { type: 'roll', entry };
+        // Private rolls only go to the server, which picks the recipients
+        if (channel && !entry.private) channel.postMessage(msg);
+        sendToSocket(msg);
+      },
+      watch(campaignId) {
+        // Also re-announce after logging in as someone else
+        if (!campaignId || (watched.has(campaignId) && watchedAs === getUserId())) return;
+        watched.add(campaignId);
+        sendWatch();
+      },
+      connectSocket(url) {
+        disconnectSocket();
+        if (!url || typeof WebSocket !== 'function') return;
+        socketUrl = url;
+        retries = 0;
+        openSocket();
+      },
+      disconnectSocket,
+    };
+  }
+
+  /**
+   * WebSocket address of the roll feed on the configured sync server,
+   * or null when this browser does not sync.
+   * @returns {string|null}
+   */
+  function getRollSocketUrl() {
+    if (storage.name !== 'rest') return null;
+    return storage.serverUrl.replace(/^http/, 'ws') + ROLL_SOCKET_PATH;
+  }
+
+  /**
+   * Add a roll from another tab or device to the log, unless it is
+   * already there, and refresh the logs on screen.  The roll is not
+   * saved here: the roller's tab has already stored it (and synced it to
+   * other devices), and saving from this tab would write its possibly
+   * stale copy of the state over edits made in another tab.
+   * @param {object} state
+   * @param {object} entry
+   */
+  function receiveRoll(state, entry) {
+    if (!canSeeRoll(state, entry) || state.rolls.some((r) => r.id === entry.id)) return;
+    state.rolls.push({ ...entry, private: Boolean(entry.private) });
+    trimRollLog(state);
+    freshRollIds.add(entry.id);
+    refreshRollLogs();
+  }
+
+  /**
+   * Re-render every roll log still on screen and forget the ones that
+   * have been navigated away from.
+   */
+  function refreshRollLogs() {
+    liveRollLogs.forEach((args, container) => {
+      if (!container.isConnected) {
+        liveRollLogs.delete(container);
+        return;
       }
-      saveState(state);
-    }
-    return { total, details, crit };
+      renderRollLog(container, ...args);
+    });
+    freshRollIds.clear();
+  }
+
+  /**
+   * Whether the current user may see a roll.  Private rolls are shown
+   * only to whoever rolled them and to the DMs of the roll's campaign.
+   * @param {object} state
+   * @param {object} entry
+   * @returns {boolean}
+   */
+  function canSeeRoll(state, entry) {
+    if (!entry.private || entry.userId === state.currentUserId) return true;
+    const campaign = state.campaigns.find((c) => c.id === entry.campaignId);
+    return Boolean(campaign) && isCampaignDm(campaign, state.currentUserId);
   }
 
   /**
    * Display recent dice rolls for a given campaign.  If campaignId
    * is null, shows recent personal rolls across all campaigns.  This
-   * function appends elements to the provided container.  It does
-   * not clear the container, to allow embedding multiple log sections.
+   * function replaces the container's content.  The log keeps itself
+   * up to date while it is on screen as rolls are made here or arrive
+   * from other players (see the live roll feed); private rolls are
+   * left out for anyone who may not see them.
    * @param {HTMLElement} container
    * @param {object} state
    * @param {string|null} campaignId
+   * @param {{from?:number, to?:number, limit?:number}} [options]
+   *   Optional timestamp window (inclusive, in ms) and maximum number of
+   *   entries to show (default 20).
    */
-  function renderRollLog(container, state, campaignId) {
+  function renderRollLog(container, state, campaignId, options = {}) {
+    const { from = -Infinity, to = Infinity, limit = 20 } = options;
     // Filter logs: if campaignId provided, show only those; otherwise show user's own
-    let logs = state.rolls;
+    liveRollLogs.set(container, [state, campaignId, options]);
+    if (rollFeed) rollFeed.watch(campaignId);
+    let logs = state.rolls.filter((r) => canSeeRoll(state, r));
     if (campaignId) {
       logs = logs.filter((r) => r.campaignId === campaignId);
     } else if (state.currentUserId) {
       logs = logs.filter((r) => r.userId === state.currentUserId);
     }
-    // Sort descending by time and take last 20
-    logs = logs.slice().sort((a, b) => b.timestamp - a.timestamp).slice(0, 20);
+    logs = logs.filter((r) => r.timestamp >= from && r.timestamp <= to);
+    // Sort descending by time and take the most recent entries
+    logs = logs.slice().sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
     const logList = document.createElement('ul');
     logList.className = 'list';
     logs.forEach((entry) => {
@@ -1759,7 +8299,12 @@
       let text = `${timeStr} – ${entry.userName}: ${entry.label || entry.expression} = ${entry.result}`;
       if (entry.crit === 'success') text += ' 🟢';
       if (entry.crit === 'failure') text += ' 🔴';
+      if (entry.private) text += ' 🔒';
       li.textContent = text;
+      if (freshRollIds.has(entry.id)) {
+        li.classList.add('roll-fresh');
+        if (entry.crit) li.classList.add(`roll-crit-${entry.crit}`);
+      }
       logList.appendChild(li);
     });
     // Clear previous log content
@@ -1782,7 +8327,13 @@
       <label for="diceExpr">Dice Expression:</label>
       <input type="text" id="diceExpr" value="1d20" placeholder="e.g. 2d6+3" />
       <button class="btn btn-primary" id="doRoll">Roll</button>
+      <p class="dice-help">
+        Keep/drop: <code>2d20kh1</code> <code>2d20kl1</code> <code>4d6dl1</code>
+        · Exploding: <code>3d6!</code> · Reroll 1s and 2s once: <code>2d6r2</code>
+      </p>
     `;
+    const rollMode = createRollModeToggle();
+    form.insertBefore(rollMode.el, form.querySelector('.dice-help'));
     container.appendChild(form);
     const resultDiv = document.createElement('div');
     resultDiv.id = 'diceResult';
@@ -1790,17 +8341,25 @@
     const historyDiv = document.createElement('div');
     historyDiv.id = 'diceHistory';
     container.appendChild(historyDiv);
-    document.getElementById('doRoll').onclick = () => {
+    document.getElementById('doRoll').onclick = (evt) => {
       const expr = document.getElementById('diceExpr').value.trim();
-      if (!expr) return;
-      const { total, details, crit } = rollDice(expr, '', state);
-      let msg = `<p><strong>Result:</strong> ${total} (${details})`;
+      let result;
+      try {
+        result = rollDice(expr, '', state, rollMode.rollOptionsFor(evt));
+      } catch (err) {
+        resultDiv.innerHTML = '';
+        const p = document.createElement('p');
+        p.className = 'dice-error';
+        p.textContent = err.message;
+        resultDiv.appendChild(p);
+        return;
+      }
+      const { total, details, crit } = result;
+      let msg = `<p${crit ? ` class="roll-crit-${crit}"` : ''}><strong>Result:</strong> ${total} (${details})`;
       if (crit === 'success') msg += ' 🟢 Critical Success!';
       if (crit === 'failure') msg += ' 🔴 Critical Failure!';
       msg += '</p>';
       resultDiv.innerHTML = msg;
-      // refresh log for current campaign
-      renderRollLog(historyDiv, state, state.currentCampaignId || null);
     };
     // initial log display
     renderRollLog(historyDiv, state, state.currentCampaignId || null);
@@ -1830,8 +8389,7 @@
     container.appendChild(detailDiv);
     let allItems = [];
     // Fetch full equipment list on first use
-    fetch('https://www.dnd5eapi.co/api/equipment')
-      .then((res) => res.json())
+    srdGet('/api/equipment')
       .then((data) => {
         allItems = data.results;
         // Show initial list (top 30)
@@ -1857,8 +8415,7 @@
     }
     function showDetails(item) {
       detailDiv.innerHTML = '<p>Loading...</p>';
-      fetch(`https://www.dnd5eapi.co${item.url}`)
-        .then((res) => res.json())
+      srdGet(item.url)
         .then((data) => {
           let html = `<h3>${data.name}</h3>`;
           if (data.equipment_category) html += `<p><strong>Category:</strong> ${data.equipment_category.name}</p>`;
@@ -1892,9 +8449,9 @@
               const charId = sel.value;
               const ch = state.characters.find((c) => c.id === charId);
               if (!ch) return;
-              if (!Array.isArray(ch.inventory)) ch.inventory = [];
-              // Keep minimal item info
-              ch.inventory.push({ name: data.name, index: data.index });
+              const before = snapshotCharacter(ch);
+              addInventoryItem(ch, itemFromEquipment(data));
+              logCharacterChange(ch, state, `Added ${data.name} to inventory`, before);
               saveState(state);
               alert(`${data.name} added to ${ch.name}'s inventory.`);
             };
@@ -1915,6 +8472,918 @@
     };
   }
 
+  /**
+   * Remove a user account and everything that only makes sense with
+   * it: the user's characters, rolls and votes, plus any campaigns they
+   * run (with those campaigns' proposals, sessions and encounters).
+   * Other players' characters in a deleted campaign are unassigned
+   * rather than deleted.
+   * @param {object} state
+   * @param {string} userId
+   */
+  function deleteUserAccount(state, userId) {
+    state.campaigns
+      .filter((c) => c.ownerId === userId)
+      .forEach((c) => deleteCampaign(state, c.id));
+    state.campaigns.forEach((c) => {
+      c.members = c.members.filter((m) => m.userId !== userId);
+    });
+    state.rolls = state.rolls.filter((r) => r.userId !== userId);
+    state.characters = state.characters.filter((ch) => ch.userId !== userId);
+    state.proposals.forEach((p) => {
+      p.votes.forEach((v) => {
+        ['yes', 'maybe', 'no'].forEach((vt) => {
+          v[vt] = v[vt].filter((id) => id !== userId);
+        });
+      });
+    });
+    state.users = state.users.filter((u) => u.id !== userId);
+    if (state.currentUserId === userId) state.currentUserId = null;
+  }
+
+  /**
+   * Render the account settings page: change password, idle auto-logout
+   * and account deletion.  Sensitive actions require the current
+   * password.
+   * @param {HTMLElement} container
+   * @param {object} state
+   */
+  function renderAccount(container, state) {
+    const user = state.users.find((u) => u.id === state.currentUserId);
+    if (!user) {
+      container.innerHTML = '<p>User not found.</p>';
+      return;
+    }
+    const idleChoices = [0, 5, 15, 30, 60];
+    container.innerHTML = `
+      <h2>Account – ${escapeHtml(user.username)}</h2>
+      <h3>Change Password</h3>
+      <form id="changePasswordForm">
+        <label for="currentPassword">Current Password</label>
+        <input type="password" id="currentPassword" required />
+        <label for="newPassword">New Password</label>
+        <input type="password" id="newPassword" minlength="${MIN_PASSWORD_LENGTH}" required />
+        <label for="confirmPassword">Confirm New Password</label>
+        <input type="password" id="confirmPassword" minlength="${MIN_PASSWORD_LENGTH}" required />
+        <button type="submit">Change Password</button>
+      </form>
+      <h3>Auto-Logout</h3>
+      <form id="idleForm">
+        <label for="idleMinutes">Log out after being idle for</label>
+        <select id="idleMinutes">
+          ${idleChoices.map((m) => `<option value="${m}"${(user.idleLogoutMinutes || 0) === m ? ' selected' : ''}>${m === 0 ? 'Never' : m + ' minutes'}</option>`).join('')}
+        </select>
+        <button type="submit">Save</button>
+      </form>
+      <h3>Delete Account</h3>
+      <form id="deleteAccountForm">
+        <p>This permanently removes your account, your characters and any campaigns you run.</p>
+        <label for="deletePassword">Password</label>
+        <input type="password" id="deletePassword" required />
+        <button type="submit" class="btn-danger">Delete My Account</button>
+      </form>
+    `;
+    $('#changePasswordForm').onsubmit = async (e) => {
+      e.preventDefault();
+      const current = $('#currentPassword').value;
+      const next = $('#newPassword').value;
+      if (next !== $('#confirmPassword').value) {
+        alert('New passwords do not match.');
+        return;
+      }
+      if (next.length < MIN_PASSWORD_LENGTH) {
+        alert(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+        return;
+      }
+      if (!(await verifyPassword(user, current))) {
+        alert('Current password is incorrect.');
+        return;
+      }
+      await setUserPassword(user, next);
+      saveState(state);
+      alert('Password changed.');
+      renderAccount(container, state);
+    };
+    container.insertBefore(
+      renderAvailabilityEditor(user, state, () => renderAccount(container, state)),
+      $('#deleteAccountForm').previousElementSibling
+    );
+    $('#idleForm').onsubmit = (e) => {
+      e.preventDefault();
+      user.idleLogoutMinutes = parseInt($('#idleMinutes').value, 10) || 0;
+      saveState(state);
+      alert(user.idleLogoutMinutes ? `You will be logged out after ${user.idleLogoutMinutes} idle minutes.` : 'Auto-logout disabled.');
+    };
+    $('#deleteAccountForm').onsubmit = async (e) => {
+      e.preventDefault();
+      if (!(await verifyPassword(user, $('#deletePassword').value))) {
+        alert('Password is incorrect.');
+        return;
+      }
+      if (!confirm('Really delete your account? This cannot be undone.')) return;
+      deleteUserAccount(state, user.id);
+      saveState(state);
+      alert('Your account has been deleted.');
+      window.location.hash = '#login';
+    };
+  }
+
+  /**
+   * Watch for user activity and log the current user out once they have
+   * been idle for longer than their `idleLogoutMinutes` setting.  The
+   * last activity time is kept in localStorage (`torchtimeLastActivity`)
+   * so a browser left closed past the limit starts logged out too.
+   * @param {object} state
+   */
+  function setupIdleLogout(state) {
+    const key = 'torchtimeLastActivity';
+    const idleLimitMs = () => {
+      const user = state.users.find((u) => u.id === state.currentUserId);
+      return user && user.idleLogoutMinutes ? user.idleLogoutMinutes * 60000 : 0;
+    };
+    const checkIdle = () => {
+      const limit = idleLimitMs();
+      if (!limit) return;
+      const last = parseInt(localStorage.getItem(key), 10);
+      if (!isNaN(last) && Date.now() - last > limit) {
+        handleLogout(state);
+        alert('You were logged out after being idle.');
+      }
+    };
+    // A stale timestamp from a previous visit counts too
+    checkIdle();
+    let lastWrite = 0;
+    const markActive = () => {
+      // Throttle writes; activity events fire constantly
+      if (Date.now() - lastWrite < 5000) return;
+      lastWrite = Date.now();
+      localStorage.setItem(key, String(lastWrite));
+    };
+    markActive();
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach((evt) => {
+      document.addEventListener(evt, markActive, { passive: true });
+    });
+    setInterval(checkIdle, 30000);
+  }
+
+  // ----- Export / import -----
+  //
+  // Exports are JSON files wrapping a subset of the state collections:
+  //   { format: 'torchtime-export', version, schemaVersion, kind, exportedAt, data: { campaigns: [...], ... } }
+  // `kind` is 'full', 'campaign' or 'character'.  `schemaVersion` is the
+  // state schema the data was written with, so imports from older
+  // versions go through the same migrations as loadState.  Imports of
+  // any kind are merged into the current state by id.
+  const EXPORT_FORMAT = 'torchtime-export';
+  const EXPORT_VERSION = 1;
+  const EXPORT_COLLECTIONS = ['users', 'campaigns', 'sessions', 'proposals', 'characters', 'rolls', 'encounters'];
+  const EXPORT_KINDS = ['full', 'campaign', 'character'];
+  // Fields every imported entry must have once migrated, and their types
+  // ('array', 'object' or a typeof result; strings must not be empty)
+  const IMPORT_REQUIRED_FIELDS = {
+    users: { username: 'string' },
+    campaigns: { name: 'string', ownerId: 'string', members: 'array' },
+    sessions: { campaignId: 'string' },
+    proposals: { campaignId: 'string', options: 'array', votes: 'array' },
+    characters: { name: 'string', userId: 'string', level: 'number', hp: 'number', maxHp: 'number', classes: 'array', abilityScores: 'object' },
+    rolls: { userId: 'string', userName: 'string', timestamp: 'number', result: 'number' },
+    encounters: { campaignId: 'string', combatants: 'array' },
+  };
+
+  /**
+   * Offer a string as a file download.
+   * @param {string} filename
+   * @param {string} content
+   * @param {string} mimeType
+   */
+  function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Turn a name into something safe to use in a file name.
+   * @param {string} name
+   */
+  function fileSlug(name) {
+    return (name || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+  }
+
+  /**
+   * Build an export envelope.
+   * @param {string} kind 'full', 'campaign' or 'character'
+   * @param {object} data Collections keyed by name
+   */
+  function buildExport(kind, data) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      kind,
+      exportedAt: new Date().toISOString(),
+      data,
+    }, null, 2);
+  }
+
+  /**
+   * Download every collection in the state as a single backup file.
+   * The logged in user and current campaign are session details and
+   * are not exported.
+   * @param {object} state
+   */
+  function exportFullState(state) {
+    const data = {};
+    EXPORT_COLLECTIONS.forEach((key) => {
+      data[key] = state[key];
+    });
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`torchtime-backup-${stamp}.json`, buildExport('full', data), 'application/json');
+  }
+
+  /**
+   * Download a campaign together with its proposals, sessions,
+   * encounters, rolls and assigned characters.
+   * @param {object} state
+   * @param {object} campaign
+   */
+  function exportCampaign(state, campaign) {
+    const inCampaign = (item) => item.campaignId === campaign.id;
+    const data = {
+      campaigns: [campaign],
+      proposals: state.proposals.filter(inCampaign),
+      sessions: state.sessions.filter(inCampaign),
+      encounters: state.encounters.filter(inCampaign),
+      rolls: state.rolls.filter(inCampaign),
+      characters: state.characters.filter(inCampaign),
+    };
+    downloadFile(`torchtime-campaign-${fileSlug(campaign.name)}.json`, buildExport('campaign', data), 'application/json');
+  }
+
+  /**
+   * Download a single character.
+   * @param {object} ch
+   */
+  function exportCharacter(ch) {
+    downloadFile(`torchtime-character-${fileSlug(ch.name)}.json`, buildExport('character', { characters: [ch] }), 'application/json');
+  }
+
+  // ----- iCalendar (.ics) -----
+  //
+  // Sessions are exported as VEVENTs whose UID is the session id, which
+  // for scheduled sessions is the id of the finalised proposal.  Calendar
+  // apps use the UID to recognise an event they already have, so
+  // exporting again after a change updates the event instead of adding
+  // a second copy; rescheduling bumps SEQUENCE and cancelled sessions
+  // are exported with STATUS:CANCELLED.  Times are written in UTC.
+  // Sessions without an end time are given ICS_DEFAULT_SESSION_HOURS.
+  //
+  // Browsers that sync can also subscribe calendar apps to a campaign's
+  // schedule: sync-server.js serves the same events at ICS_FEED_PATH.
+  const ICS_UID_DOMAIN = 'torchtime';
+  const ICS_DEFAULT_SESSION_HOURS = 4;
+  const ICS_FEED_PATH = '/api/calendar/';
+
+  /**
+   * Escape text for an iCalendar property value.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeIcsText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to at most 75 octets per line, as the format
+   * requires; continuation lines start with a space.
+   * @param {string} line
+   * @returns {string}
+   */
+  function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    Array.from(line).forEach((ch) => {
+      const bytes = encoder.encode(ch).length;
+      // Continuation lines lose one octet to the leading space
+      if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += ch;
+      size += bytes;
+    });
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Format a date as an iCalendar UTC date-time, e.g. 20250802T180000Z.
+   * @param {Date} d
+   * @returns {string}
+   */
+  function formatIcsDate(d) {
+    return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Build an iCalendar file for sessions of a campaign.
+   * @param {object} campaign
+   * @param {Array<{id: string, start: Date, end: Date|null, location: string}>} sessions
+   *   Sessions as returned by getCampaignSessions or getSession
+   * @returns {string}
+   */
+  function buildSessionsIcs(campaign, sessions) {
+    const stamp = formatIcsDate(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//TorchTime//Session Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeIcsText(campaign.name)}`,
+    ];
+    sessions.forEach((s) => {
+      const end = s.end || new Date(s.start.getTime() + ICS_DEFAULT_SESSION_HOURS * 3600000);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${s.id}@${ICS_UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(s.start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SEQUENCE:${s.sequence || 0}`,
+        `STATUS:${s.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        `SUMMARY:${escapeIcsText(`${campaign.name} – D&D session`)}`,
+        `DESCRIPTION:${escapeIcsText(`TorchTime session for ${campaign.name}`)}`
+      );
+      if (s.location) lines.push(`LOCATION:${escapeIcsText(s.location)}`);
+      lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Download one session as an .ics file.
+   * @param {object} campaign
+   * @param {object} session As returned by getSession or getCampaignSessions
+   */
+  function exportSessionIcs(campaign, session) {
+    downloadFile(
+      `torchtime-${fileSlug(campaign.name)}-${formatDateOnly(session.start)}.ics`,
+      buildSessionsIcs(campaign, [session]),
+      'text/calendar'
+    );
+  }
+
+  /**
+   * Download a campaign's whole schedule as an .ics file.
+   * @param {object} state
+   * @param {object} campaign
+   */
+  function exportCampaignIcs(state, campaign) {
+    downloadFile(
+      `torchtime-${fileSlug(campaign.name)}-schedule.ics`,
+      buildSessionsIcs(campaign, getCampaignSessions(state, campaign.id, { includeCancelled: true })),
+      'text/calendar'
+    );
+  }
+
+  /**
+   * Address of a campaign's calendar feed on the sync server, or null
+   * when this browser does not sync.
+   * @param {object} campaign
+   * @returns {string|null}
+   */
+  function getCalendarFeedUrl(campaign) {
+    if (storage.name !== 'rest') return null;
+    return `${storage.serverUrl}${ICS_FEED_PATH}${encodeURIComponent(campaign.id)}.ics`;
+  }
+
+  /**
+   * The instant at which clocks in an IANA time zone show the given
+   * wall-clock time.  Throws a RangeError for zones the browser doesn't
+   * know.
+   * @param {number[]} parts Year, month (0-11), day, hours, minutes, seconds
+   * @param {string} timeZone e.g. "Europe/Berlin"
+   * @returns {Date}
+   */
+  function zonedTimeToDate(parts, timeZone) {
+    const fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    // How far the zone's clocks are ahead of UTC at an instant
+    const offsetAt = (t) => {
+      const p = {};
+      fmt.formatToParts(new Date(t)).forEach(({ type, value }) => {
+        p[type] = +value;
+      });
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - t;
+    };
+    const wall = Date.UTC(...parts);
+    // Correct twice so times near a daylight saving change come out right
+    const guess = wall - offsetAt(wall);
+    return new Date(wall - offsetAt(guess));
+  }
+
+  /**
+   * Parse an iCalendar date or date-time value.  UTC values (ending in
+   * Z) and values with a TZID the browser knows are converted to local
+   * time; floating values (no zone) are read as local time.  Date-only
+   * values come back with `allDay` set.  Returns `unknownZone` instead
+   * of a date for a TZID that can't be converted.
+   * @param {string} value
+   * @param {string|null} [tzid] The TZID parameter, if any
+   * @returns {{date: Date, allDay: boolean}|{unknownZone: string}|null}
+   */
+  function parseIcsDate(value, tzid = null) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!m) return null;
+    const [, y, mo, d, h, mi, sec, utc] = m;
+    if (h === undefined) return { date: new Date(+y, +mo - 1, +d), allDay: true };
+    const parts = [+y, +mo - 1, +d, +h, +mi, +(sec || 0)];
+    if (utc) return { date: new Date(Date.UTC(...parts)), allDay: false };
+    if (tzid) {
+      try {
+        return { date: zonedTimeToDate(parts, tzid), allDay: false };
+      } catch (err) {
+        return { unknownZone: tzid };
+      }
+    }
+    return { date: new Date(...parts), allDay: false };
+  }
+
+  /**
+   * Read the events of an iCalendar file.  All-day events are
+   * returned with `allDay` set, and events in a time zone the browser
+   * doesn't know with `unknownZone` (and no start) set to that zone, so
+   * callers can skip them.  Throws if the text is not an iCalendar file.
+   * @param {string} text
+   * @returns {Array<{uid: string, summary: string, location: string, start: Date|null, end: Date|null, allDay: boolean, unknownZone: string|null}>}
+   */
+  function parseIcsEvents(text) {
+    // Unfold continuation lines first
+    const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some((l) => l.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+      throw new Error('This is not an iCalendar (.ics) file.');
+    }
+    const unescape = (v) => v.replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+    const events = [];
+    let current = null;
+    lines.forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon < 0) return;
+      const [rawName, ...params] = line.slice(0, colon).split(';');
+      const name = rawName.toUpperCase();
+      const value = line.slice(colon + 1);
+      if (name === 'BEGIN' && value.trim().toUpperCase() === 'VEVENT') {
+        current = { uid: '', summary: '', location: '', start: null, end: null, allDay: false, unknownZone: null };
+      } else if (name === 'END' && value.trim().toUpperCase() === 'VEVENT') {
+        if (current && (current.start || current.unknownZone)) events.push(current);
+        current = null;
+      } else if (current) {
+        if (name === 'UID') current.uid = value.trim();
+        else if (name === 'SUMMARY') current.summary = unescape(value);
+        else if (name === 'LOCATION') current.location = unescape(value);
+        else if (name === 'DTSTART' || name === 'DTEND') {
+          const tzParam = params.find((p) => /^TZID=/i.test(p));
+          const parsed = parseIcsDate(value, tzParam ? tzParam.slice(5).replace(/^"|"$/g, '') : null);
+          if (!parsed) return;
+          if (parsed.unknownZone) {
+            current.unknownZone = parsed.unknownZone;
+            current.start = null;
+            current.end = null;
+            return;
+          }
+          if (current.unknownZone) return;
+          if (name === 'DTSTART') {
+            current.start = parsed.date;
+            current.allDay = parsed.allDay;
+          } else {
+            current.end = parsed.date;
+          }
+        }
+      }
+    });
+    return events;
+  }
+
+  /**
+   * Validate a parsed export file.  Returns a list of problems; an empty
+   * list means the file can be imported.
+   * @param {*} file
+   * @returns {string[]}
+   */
+  function validateImport(file) {
+    const errors = [];
+    if (!file || typeof file !== 'object') return ['File is not a JSON object.'];
+    if (file.format !== EXPORT_FORMAT) errors.push('This is not a TorchTime export file.');
+    if (typeof file.version !== 'number') {
+      errors.push('Missing export version.');
+    } else if (file.version > EXPORT_VERSION) {
+      errors.push(`File was exported by a newer TorchTime (version ${file.version}).`);
+    }
+    if (file.kind !== undefined && !EXPORT_KINDS.includes(file.kind)) errors.push('Unknown export kind.');
+    if (file.exportedAt !== undefined && (typeof file.exportedAt !== 'string' || isNaN(Date.parse(file.exportedAt)))) {
+      errors.push('Invalid export date.');
+    }
+    if (!file.data || typeof file.data !== 'object') {
+      errors.push('File contains no data.');
+      return errors;
+    }
+    Object.keys(file.data).forEach((key) => {
+      if (!EXPORT_COLLECTIONS.includes(key)) {
+        errors.push(`Unknown collection "${key}".`);
+        return;
+      }
+      const list = file.data[key];
+      if (!Array.isArray(list)) {
+        errors.push(`"${key}" should be a list.`);
+        return;
+      }
+      list.forEach((item, i) => {
+        if (!item || typeof item !== 'object' || typeof item.id !== 'string' || !item.id) {
+          errors.push(`${key}[${i}] has no id.`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Upgrade the data in a validated export file to the current schema.
+   * Only the collections present in the file are kept afterwards, so a
+   * character export still only touches characters.
+   * @param {object} file
+   */
+  function migrateImport(file) {
+    const present = Object.keys(file.data);
+    const fromVersion = typeof file.schemaVersion === 'number' ? file.schemaVersion : 0;
+    if (fromVersion > SCHEMA_VERSION) {
+      throw new Error(`File was saved by a newer TorchTime (schema ${fromVersion}).`);
+    }
+    const migrated = migrateState({ ...file.data, schemaVersion: fromVersion });
+    file.data = {};
+    present.forEach((key) => {
+      file.data[key] = migrated[key];
+    });
+    file.schemaVersion = SCHEMA_VERSION;
+  }
+
+  /**
+   * Check the entries of a migrated export file against
+   * IMPORT_REQUIRED_FIELDS.  Returns a list of problems, like
+   * validateImport.
+   * @param {object} file
+   * @returns {string[]}
+   */
+  function validateImportedEntries(file) {
+    const hasType = (value, type) => {
+      if (type === 'array') return Array.isArray(value);
+      if (type === 'object') return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      return typeof value === type && value !== '';
+    };
+    const errors = [];
+    Object.keys(file.data).forEach((key) => {
+      const fields = IMPORT_REQUIRED_FIELDS[key];
+      file.data[key].forEach((item, i) => {
+        const bad = Object.keys(fields).filter((field) => !hasType(item[field], fields[field]));
+        if (bad.length > 0) errors.push(`${key}[${i}] has a missing or invalid ${bad.join(', ')}.`);
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Adjust a migrated export file to fit the accounts here.  Imported
+   * accounts whose username belongs to a different account here (or
+   * earlier in the file) get a numbered username, and characters whose
+   * owner is neither here nor in the file are given to the logged in
+   * user.  Returns a description of each change.
+   * @param {object} state
+   * @param {object} file
+   * @returns {string[]}
+   */
+  function reconcileImport(state, file) {
+    const notes = [];
+    const incomingUsers = file.data.users || [];
+    // Accounts the import overwrites give up their usernames
+    const taken = new Set(state.users
+      .filter((u) => !incomingUsers.some((x) => x.id === u.id))
+      .map((u) => u.username.toLowerCase()));
+    incomingUsers.forEach((user) => {
+      let username = user.username;
+      for (let n = 2; taken.has(username.toLowerCase()); n++) username = `${user.username}${n}`;
+      if (username !== user.username) {
+        notes.push(`The username "${user.username}" is taken, so that account is imported as "${username}".`);
+        user.username = username;
+      }
+      taken.add(username.toLowerCase());
+    });
+    const userIds = new Set(state.users.concat(incomingUsers).map((u) => u.id));
+    (file.data.characters || []).forEach((ch) => {
+      if (userIds.has(ch.userId)) return;
+      notes.push(`${ch.name} belonged to an account that isn't here and is imported as yours.`);
+      ch.userId = state.currentUserId;
+    });
+    return notes;
+  }
+
+  /**
+   * The entry an imported item becomes when merged over the existing
+   * one.  Existing accounts keep their local credentials, so an import
+   * file cannot change who can log in as them.
+   * @param {string} key Collection name
+   * @param {object} item Imported entry
+   * @param {object|undefined} current Existing entry with the same id
+   * @returns {object}
+   */
+  function mergeImportedItem(key, item, current) {
+    return key === 'users' && current ? keepLocalCredentials(item, current) : item;
+  }
+
+  /**
+   * Work out what importing a file would change.  For every collection
+   * lists the entries that would be added (new id) or overwritten (id
+   * exists with different content).  Identical entries are counted as
+   * unchanged.
+   * @param {object} state
+   * @param {object} file A validated export file
+   * @returns {Object<string, {added: object[], overwritten: object[], unchanged: number}>}
+   */
+  function diffImport(state, file) {
+    const diff = {};
+    Object.keys(file.data).forEach((key) => {
+      const existing = new Map((state[key] || []).map((item) => [item.id, item]));
+      const result = { added: [], overwritten: [], unchanged: 0 };
+      file.data[key].forEach((incoming) => {
+        const current = existing.get(incoming.id);
+        const item = mergeImportedItem(key, incoming, current);
+        if (!current) result.added.push(item);
+        else if (JSON.stringify(current) !== JSON.stringify(item)) result.overwritten.push(item);
+        else result.unchanged++;
+      });
+      diff[key] = result;
+    });
+    return diff;
+  }
+
+  /**
+   * Merge an export file into the state by id.  Incoming entries replace
+   * existing ones with the same id (users keep their local credentials,
+   * see mergeImportedItem); everything else is kept.
+   * @param {object} state
+   * @param {object} file A validated export file
+   */
+  function applyImport(state, file) {
+    Object.keys(file.data).forEach((key) => {
+      if (!Array.isArray(state[key])) state[key] = [];
+      file.data[key].forEach((item) => {
+        const idx = state[key].findIndex((x) => x.id === item.id);
+        if (idx >= 0) state[key][idx] = mergeImportedItem(key, item, state[key][idx]);
+        else state[key].push(item);
+      });
+    });
+    // Respect the roll log limit used by rollDice
+    trimRollLog(state);
+  }
+
+  /**
+   * Render the sync settings shown on the Backup page: connect to a
+   * sync server, sync on demand, and review conflicts that were settled
+   * automatically.
+   * @param {object} state
+   * @param {Function} rerender
+   * @returns {HTMLElement}
+   */
+  function renderSyncSettings(state, rerender) {
+    const meta = loadSyncMeta();
+    const section = document.createElement('div');
+    section.innerHTML = '<h3>Sync Between Devices</h3>';
+    if (storage.name !== 'rest') {
+      const form = document.createElement('form');
+      form.innerHTML = `
+        <p>Connect to a TorchTime sync server so the DM and players share the same campaigns,
+          votes, characters and rolls.  This browser keeps a copy for offline use.</p>
+        <label for="syncServerUrl">Sync server URL</label>
+        <input type="url" id="syncServerUrl" placeholder="http://localhost:8787" required />
+        <button type="submit">Connect</button>
+      `;
+      form.onsubmit = (e) => {
+        e.preventDefault();
+        const url = form.querySelector('#syncServerUrl').value.trim();
+        setSyncServer(state, url, () => rerenderInBackground(state));
+        storage.sync(state)
+          .then(() => alert('Connected. Changes now sync automatically.'))
+          .catch((err) => alert(`Could not sync with ${url}: ${err.message}. TorchTime will keep retrying.`))
+          .finally(rerender);
+      };
+      section.appendChild(form);
+      return section;
+    }
+    const status = document.createElement('p');
+    status.innerHTML = `Syncing with <code>${escapeHtml(storage.serverUrl)}</code>.<br/>` +
+      `Last synced: ${meta.lastSyncedAt ? formatDateTime(new Date(meta.lastSyncedAt)) : 'never'}` +
+      ` &nbsp; Waiting to upload: ${Object.keys(meta.pending).length}` +
+      (meta.lastError ? `<br/><strong>Last error:</strong> ${escapeHtml(meta.lastError)}` : '');
+    section.appendChild(status);
+    const syncBtn = document.createElement('button');
+    syncBtn.className = 'btn btn-primary';
+    syncBtn.textContent = '⟳ Sync Now';
+    syncBtn.onclick = () => {
+      storage.sync(state)
+        .then((res) => alert(`Uploaded ${res.pushed}, downloaded ${res.pulled}, conflicts ${res.conflicts}.`))
+        .catch((err) => alert(`Sync failed: ${err.message}`))
+        .finally(rerender);
+    };
+    section.appendChild(syncBtn);
+    const disconnectBtn = document.createElement('button');
+    disconnectBtn.className = 'btn btn-secondary';
+    disconnectBtn.style.marginLeft = '0.5rem';
+    disconnectBtn.textContent = 'Disconnect';
+    disconnectBtn.onclick = () => {
+      if (!confirm('Stop syncing? Data already in this browser is kept.')) return;
+      setSyncServer(state, null);
+      rerender();
+    };
+    section.appendChild(disconnectBtn);
+    if (meta.conflicts.length > 0) {
+      const h = document.createElement('h4');
+      h.textContent = 'Conflicts';
+      section.appendChild(h);
+      const p = document.createElement('p');
+      p.textContent = 'These were edited on more than one device before syncing. The most recent edit was kept.';
+      section.appendChild(p);
+      const list = document.createElement('ul');
+      list.className = 'list';
+      meta.conflicts.forEach((c) => {
+        const li = document.createElement('li');
+        const when = (t) => (t ? formatDateTime(new Date(t)) : 'unknown');
+        li.innerHTML = '<span><span></span><br/><small></small></span>';
+        li.querySelector('span span').textContent = `${c.collection}: ${c.label}`;
+        li.querySelector('small').textContent = `Here ${when(c.localAt)}, elsewhere ${when(c.remoteAt)} – kept the ${c.kept === 'local' ? 'edit from this device' : 'edit from another device'}`;
+        list.appendChild(li);
+      });
+      section.appendChild(list);
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'btn btn-secondary btn-small';
+      clearBtn.textContent = 'Dismiss Conflicts';
+      clearBtn.onclick = () => {
+        saveSyncMeta({ ...loadSyncMeta(), conflicts: [] });
+        rerender();
+      };
+      section.appendChild(clearBtn);
+    }
+    return section;
+  }
+
+  /**
+   * Render the Backup & Restore page: download a full backup, or pick an
+   * export file (full, campaign or character) to import.  Imports are
+   * validated and show a summary of what will be added or overwritten
+   * before anything is changed.
+   * @param {HTMLElement} container
+   * @param {object} state
+   */
+  function renderBackup(container, state) {
+    container.innerHTML = `
+      <h2>Backup &amp; Restore</h2>
+      <p>Unless you sync with a server (below), everything TorchTime knows
+        lives in this browser.  Download a backup regularly, or to move your
+        campaigns to another machine.  Single characters and campaigns can be
+        exported from their own pages.</p>
+      <button class="btn btn-primary" id="exportAll">⬇ Download Full Backup</button>
+      <h3>Import</h3>
+      <input type="file" id="importFile" accept=".json,application/json" />
+      <div id="importPreview" style="margin-top:1rem;"></div>
+    `;
+    $('#exportAll').onclick = () => exportFullState(state);
+    container.appendChild(renderSyncSettings(state, () => renderBackup(container, state)));
+    const preview = $('#importPreview');
+    $('#importFile').onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(reader.result);
+        } catch (err) {
+          preview.innerHTML = '<p>That file is not valid JSON.</p>';
+          return;
+        }
+        let errors = validateImport(parsed);
+        if (errors.length > 0) {
+          renderImportErrors(errors);
+          return;
+        }
+        try {
+          migrateImport(parsed);
+        } catch (err) {
+          preview.innerHTML = '';
+          const p = document.createElement('p');
+          p.textContent = `This file cannot be imported: ${err.message}`;
+          preview.appendChild(p);
+          return;
+        }
+        errors = validateImportedEntries(parsed);
+        if (errors.length > 0) {
+          renderImportErrors(errors);
+          return;
+        }
+        renderImportPreview(parsed, reconcileImport(state, parsed));
+      };
+      reader.readAsText(file);
+    };
+    function renderImportErrors(errors) {
+      preview.innerHTML = '<p><strong>This file cannot be imported:</strong></p>';
+      const ul = document.createElement('ul');
+      errors.forEach((msg) => {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        ul.appendChild(li);
+      });
+      preview.appendChild(ul);
+    }
+    function renderImportPreview(parsed, notes) {
+      const diff = diffImport(state, parsed);
+      const label = (item) => item.name || item.username || item.label || item.id;
+      preview.innerHTML = '<p><strong></strong> from <span></span></p>';
+      preview.querySelector('strong').textContent = `${parsed.kind || 'full'} export`;
+      preview.querySelector('span').textContent = parsed.exportedAt ? formatDateTime(parsed.exportedAt) : 'an unknown date';
+      if (notes.length > 0) {
+        const ul = document.createElement('ul');
+        notes.forEach((note) => {
+          const li = document.createElement('li');
+          li.textContent = note;
+          ul.appendChild(li);
+        });
+        preview.appendChild(ul);
+      }
+      const table = document.createElement('table');
+      table.style.width = '100%';
+      table.style.borderCollapse = 'collapse';
+      table.innerHTML = '<tr><th style="text-align:left;">Collection</th><th style="text-align:left;">Added</th><th style="text-align:left;">Overwritten</th><th>Unchanged</th></tr>';
+      let changes = 0;
+      Object.entries(diff).forEach(([key, d]) => {
+        changes += d.added.length + d.overwritten.length;
+        const row = document.createElement('tr');
+        const cells = [
+          key,
+          d.added.length ? `${d.added.length}: ${d.added.slice(0, 5).map(label).join(', ')}${d.added.length > 5 ? '…' : ''}` : '–',
+          d.overwritten.length ? `${d.overwritten.length}: ${d.overwritten.slice(0, 5).map(label).join(', ')}${d.overwritten.length > 5 ? '…' : ''}` : '–',
+          String(d.unchanged),
+        ];
+        cells.forEach((text, i) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          td.style.borderTop = '1px solid #dee2e6';
+          td.style.padding = '0.25rem';
+          if (i === 3) td.style.textAlign = 'center';
+          row.appendChild(td);
+        });
+        table.appendChild(row);
+      });
+      preview.appendChild(table);
+      if (changes === 0) {
+        const p = document.createElement('p');
+        p.textContent = 'Nothing to import – everything in this file is already here.';
+        preview.appendChild(p);
+        return;
+      }
+      const applyBtn = document.createElement('button');
+      applyBtn.className = 'btn btn-primary';
+      applyBtn.style.marginTop = '1rem';
+      applyBtn.textContent = 'Import';
+      applyBtn.onclick = () => {
+        applyImport(state, parsed);
+        saveState(state);
+        alert('Import complete.');
+        renderBackup(container, state);
+      };
+      preview.appendChild(applyBtn);
+    }
+  }
+
   /**
    * Logout handler.  Clears current user and redirects to login page.
    */
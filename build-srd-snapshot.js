@@ -0,0 +1,107 @@
+/*
+ * Build the bundled SRD snapshot used by TorchTime's offline data layer.
+ *
+ * Run with `node build-srd-snapshot.js` (Node 18+ for the built-in fetch)
+ * while online.  The script crawls the D&D 5e API starting from the
+ * top-level categories, following every "/api/..." reference it finds,
+ * and writes the responses to srd-snapshot.json next to index.html,
+ * plus srd-snapshot.manifest.json holding just the build stamp.  On
+ * start-up app.js reads the manifest, and only when the stamp is new
+ * downloads the snapshot and seeds its IndexedDB cache so lookups work
+ * without a network connection.  Deploy both files together.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BASE_URL = 'https://www.dnd5eapi.co';
+const OUTPUT = path.join(__dirname, 'srd-snapshot.json');
+const MANIFEST = path.join(__dirname, 'srd-snapshot.manifest.json');
+// Starting points for the crawl.  Everything reachable from these lists
+// (details, class levels, traits, features…) is included.
+const ROOTS = [
+  '/api/races',
+  '/api/classes',
+  '/api/backgrounds',
+  '/api/alignments',
+  '/api/languages',
+  '/api/proficiencies',
+  '/api/subclasses',
+  '/api/feats',
+  '/api/equipment',
+  '/api/traits',
+  '/api/features',
+  '/api/spells',
+  '/api/monsters',
+  '/api/conditions',
+  '/api/magic-items',
+  '/api/rule-sections',
+];
+// Filtered list queries used by the Compendium's spell and monster
+// filters.  These are cached under their full query path.
+const SPELL_SCHOOLS = [
+  'abjuration', 'conjuration', 'divination', 'enchantment',
+  'evocation', 'illusion', 'necromancy', 'transmutation',
+];
+const CHALLENGE_RATINGS = [0, 0.125, 0.25, 0.5].concat(Array.from({ length: 30 }, (_, i) => i + 1));
+ROOTS.push(
+  ...Array.from({ length: 10 }, (_, i) => `/api/spells?level=${i}`),
+  ...SPELL_SCHOOLS.map((s) => `/api/spells?school=${s}`),
+  ...CHALLENGE_RATINGS.map((cr) => `/api/monsters?challenge_rating=${cr}`)
+);
+
+/**
+ * Collect every string value that looks like an API path.
+ * @param {*} value
+ * @param {Set<string>} out
+ */
+function collectPaths(value, out) {
+  if (typeof value === 'string') {
+    if (value.startsWith('/api/')) out.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((v) => collectPaths(v, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((v) => collectPaths(v, out));
+  }
+}
+
+async function main() {
+  const entries = {};
+  const queue = [...ROOTS];
+  const seen = new Set(queue);
+  while (queue.length > 0) {
+    const p = queue.shift();
+    try {
+      const res = await fetch(`${BASE_URL}${p}`);
+      if (!res.ok) {
+        console.warn(`Skipping ${p} (${res.status})`);
+        continue;
+      }
+      const data = await res.json();
+      entries[p] = data;
+      const found = new Set();
+      collectPaths(data, found);
+      found.forEach((f) => {
+        if (!seen.has(f)) {
+          seen.add(f);
+          queue.push(f);
+        }
+      });
+      if (Object.keys(entries).length % 100 === 0) {
+        console.log(`${Object.keys(entries).length} entries, ${queue.length} queued`);
+      }
+    } catch (err) {
+      console.warn(`Failed to fetch ${p}: ${err.message}`);
+    }
+  }
+  const snapshot = { generated: new Date().toISOString(), entries };
+  fs.writeFileSync(OUTPUT, JSON.stringify(snapshot));
+  // Written last, so a manifest never names a snapshot that isn't there
+  fs.writeFileSync(MANIFEST, JSON.stringify({ generated: snapshot.generated, count: Object.keys(entries).length }));
+  console.log(`Wrote ${Object.keys(entries).length} entries to ${OUTPUT}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,596 @@
+/*
+ * Stand-in sync server for TorchTime's REST storage adapter.
+ *
+ * Run with `node sync-server.js [port]` (default 8787), then enter
+ * http://localhost:8787 under Backup & Restore → Sync Between Devices
+ * in each browser that should share data.  The server also serves the
+ * app itself from this directory, so http://localhost:8787/ works too.
+ *
+ * It speaks the protocol described in app.js ("Storage adapters and
+ * sync"): every entity is stored with the time it was last edited and
+ * a sequence number, and an incoming change only replaces the stored
+ * copy if it is at least as recent (last write wins).  Older changes
+ * are answered with the stored copy as a conflict.  Data is kept in
+ * sync-data.json next to this file.
+ *
+ * Each campaign's schedule is served as an iCalendar feed at
+ * /api/calendar/<campaign id>.ics, which calendar apps can subscribe
+ * to.  It has the same events as the app's .ics export.
+ *
+ * It also relays the live roll feed over a WebSocket at /ws/rolls.
+ * Clients send { type: 'watch', userId, campaignIds } to say who is
+ * logged in and which campaigns they are looking at, and
+ * { type: 'roll', entry } for each roll; every roll is passed on to the
+ * other clients watching its campaign.  Rolls marked private only go to
+ * the roller and the campaign's DMs, both here and in GET /api/sync
+ * (which takes the logged-in user as ?userId=).  Only
+ * the small part of the WebSocket protocol the app needs is
+ * implemented: unfragmented text frames, ping and close.
+ *
+ * There is no authentication.  By default the server only listens on
+ * this machine (127.0.0.1) and only answers pages it served itself; set
+ * HOST=0.0.0.0 to share it on a network you trust, and list any other
+ * origins the app is opened from in TORCHTIME_ALLOWED_ORIGINS
+ * (comma-separated).  Password fields of user records are never stored
+ * or served.  Anyone who can reach the server can read the calendar
+ * feeds, as they can everything else.  The userId that clients send (?userId= and the watch
+ * message) is taken on trust, so keeping private rolls private only
+ * works against well-behaved clients: anyone who can reach the server
+ * can claim to be a campaign's DM and read its private rolls.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOWED_ORIGINS = (process.env.TORCHTIME_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map((o) => o.trim())
+  .filter(Boolean);
+// Same list as CREDENTIAL_FIELDS in app.js
+const CREDENTIAL_FIELDS = ['password', 'legacyPlaintext', 'passwordHash', 'passwordSalt', 'passwordIterations'];
+// Same list as SYNC_COLLECTIONS in app.js; changes to anything else are refused
+const SYNC_COLLECTIONS = ['users', 'campaigns', 'sessions', 'proposals', 'characters', 'rolls', 'encounters'];
+const DATA_FILE = process.env.TORCHTIME_SYNC_DATA || path.join(__dirname, 'sync-data.json');
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+};
+// Requests larger than this are refused
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+// Only the most recent rolls are kept.  Older ones are dropped from the
+// server without a deletion record, so devices keep their own copies.
+const MAX_STORED_ROLLS = 5000;
+const ROLL_SOCKET_PATH = '/ws/rolls';
+const CALENDAR_PATH = /^\/api\/calendar\/([^/]+)\.ics$/;
+// Same as ICS_DEFAULT_SESSION_HOURS and ICS_UID_DOMAIN in app.js
+const ICS_DEFAULT_SESSION_HOURS = 4;
+const ICS_UID_DOMAIN = 'torchtime';
+// Fixed key from RFC 6455 used to answer the WebSocket handshake
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Roll messages are small; anything bigger is a misbehaving client
+const MAX_FRAME_BYTES = 64 * 1024;
+
+/**
+ * Load the stored entities, or start empty.
+ * @returns {{cursor: number, entities: Object<string, object>}}
+ */
+function loadData() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Could not read ${DATA_FILE}: ${err.message}`);
+    return { cursor: 0, entities: {} };
+  }
+}
+
+/**
+ * Drop password fields from a user record.
+ * @param {string} collection
+ * @param {object|null} item
+ * @returns {object|null}
+ */
+function stripCredentials(collection, item) {
+  if (collection !== 'users' || !item) return item;
+  const copy = { ...item };
+  CREDENTIAL_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+const data = loadData();
+// Files written before credentials were stripped may still hold them
+Object.values(data.entities).forEach((e) => {
+  e.data = stripCredentials(e.collection, e.data);
+});
+
+function saveData() {
+  fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+}
+
+/**
+ * Check that a change has the fields the protocol requires.
+ * @param {*} change
+ * @returns {boolean}
+ */
+function isValidChange(change) {
+  return Boolean(change) &&
+    SYNC_COLLECTIONS.includes(change.collection) &&
+    typeof change.id === 'string' && change.id !== '' &&
+    typeof change.updatedAt === 'number' &&
+    (change.deleted === true || (change.data && typeof change.data === 'object'));
+}
+
+/**
+ * Forget the oldest rolls beyond MAX_STORED_ROLLS.
+ */
+function pruneRolls() {
+  const rolls = Object.entries(data.entities)
+    .filter(([, e]) => e.collection === 'rolls' && !e.deleted);
+  if (rolls.length <= MAX_STORED_ROLLS) return;
+  rolls
+    .sort(([, a], [, b]) => (a.data.timestamp || 0) - (b.data.timestamp || 0))
+    .slice(0, rolls.length - MAX_STORED_ROLLS)
+    .forEach(([key]) => delete data.entities[key]);
+}
+
+/**
+ * Apply pushed changes, last write wins per entity.
+ * @param {object[]} changes
+ * @returns {{cursor: number, accepted: object[], conflicts: object[]}}
+ */
+function applyChanges(changes) {
+  const accepted = [];
+  const conflicts = [];
+  changes.forEach((change) => {
+    const key = `${change.collection}/${change.id}`;
+    const stored = data.entities[key];
+    if (stored && stored.updatedAt > change.updatedAt) {
+      conflicts.push(stored);
+      return;
+    }
+    data.cursor++;
+    data.entities[key] = {
+      collection: change.collection,
+      id: change.id,
+      updatedAt: change.updatedAt,
+      deleted: Boolean(change.deleted),
+      schemaVersion: change.schemaVersion || 0,
+      data: change.deleted ? null : stripCredentials(change.collection, change.data),
+      seq: data.cursor,
+    };
+    accepted.push({ collection: change.collection, id: change.id });
+  });
+  pruneRolls();
+  if (accepted.length > 0) saveData();
+  return { cursor: data.cursor, accepted, conflicts };
+}
+
+/**
+ * Whether a user may receive a roll log entry.  Private rolls are for
+ * the roller and the DMs (owner or co-DMs) of the roll's campaign.
+ * @param {object|null} entry
+ * @param {string|null} userId
+ * @returns {boolean}
+ */
+function canReceiveRoll(entry, userId) {
+  if (!entry || !entry.private) return true;
+  if (!userId) return false;
+  if (entry.userId === userId) return true;
+  const stored = data.entities[`campaigns/${entry.campaignId}`];
+  const campaign = stored && stored.data;
+  if (!campaign) return false;
+  return campaign.ownerId === userId ||
+    (campaign.members || []).some((m) => m.userId === userId && (m.role === 'dm' || m.role === 'co-dm'));
+}
+
+/**
+ * Every entity changed after the given cursor that the user may see.
+ * @param {number} since
+ * @param {string|null} userId
+ */
+function changesSince(since, userId) {
+  const changes = Object.values(data.entities)
+    .filter((e) => e.seq > since)
+    .filter((e) => e.collection !== 'rolls' || canReceiveRoll(e.data, userId))
+    .sort((a, b) => a.seq - b.seq);
+  return { cursor: data.cursor, changes };
+}
+
+/**
+ * Whether a request may use the API: requests without an Origin (curl,
+ * same-origin GETs) and those from this server or an allowed origin.
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  return !origin || origin === `http://${req.headers.host}` || ALLOWED_ORIGINS.includes(origin);
+}
+
+function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(type === 'application/json' ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function serveStatic(pathname, res) {
+  const file = path.normalize(path.join(__dirname, pathname === '/' ? 'index.html' : pathname));
+  const type = STATIC_TYPES[path.extname(file)];
+  if (!file.startsWith(__dirname + path.sep) || !type || file === DATA_FILE) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+  fs.readFile(file, (err, content) => {
+    if (err) send(res, 404, { error: 'Not found' });
+    else send(res, 200, content, type);
+  });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (!isAllowedOrigin(req)) {
+    send(res, 403, { error: 'Origin not allowed' });
+    return;
+  }
+  if (req.headers.origin) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Vary', 'Origin');
+  }
+  if (req.method === 'OPTIONS') {
+    send(res, 204, '', 'text/plain');
+    return;
+  }
+  const calendar = url.pathname.match(CALENDAR_PATH);
+  if (calendar && req.method === 'GET') {
+    const ics = buildCampaignIcs(decodeURIComponent(calendar[1]));
+    if (ics) send(res, 200, ics, 'text/calendar; charset=utf-8');
+    else send(res, 404, { error: 'No such campaign' });
+    return;
+  }
+  if (url.pathname !== '/api/sync') {
+    if (req.method === 'GET') serveStatic(url.pathname, res);
+    else send(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (req.method === 'GET') {
+    const since = parseInt(url.searchParams.get('since') || '0', 10);
+    send(res, 200, changesSince(isNaN(since) ? 0 : since, url.searchParams.get('userId') || null));
+    return;
+  }
+  if (req.method !== 'POST') {
+    send(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (err) {
+    send(res, 400, { error: `Invalid request: ${err.message}` });
+    return;
+  }
+  if (!body || !Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+    send(res, 400, { error: 'Expected { changes: [...] } with a known collection, id, updatedAt and data' });
+    return;
+  }
+  send(res, 200, applyChanges(body.changes));
+}
+
+// ----- Calendar feed -----
+//
+// Proposal times are stored as the group's wall-clock time.  The server
+// reads them in its own time zone, as the app does in the browser's, so
+// run it with TZ set to the group's zone if the machine's differs.
+
+/**
+ * Stored, not deleted records of a collection.
+ * @param {string} collection
+ * @returns {object[]}
+ */
+function storedRecords(collection) {
+  return Object.values(data.entities)
+    .filter((e) => e.collection === collection && !e.deleted && e.data)
+    .map((e) => e.data);
+}
+
+/**
+ * Same as escapeIcsText in app.js.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Same as foldIcsLine in app.js: at most 75 octets per line.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  Array.from(line).forEach((ch) => {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Same as formatIcsDate in app.js, e.g. 20250802T180000Z.
+ * @param {Date} d
+ * @returns {string}
+ */
+function formatIcsDate(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * The campaign's sessions as getCampaignSessions in app.js lists them,
+ * cancelled ones included.
+ * @param {string} campaignId
+ * @returns {object[]}
+ */
+function listCampaignSessions(campaignId) {
+  const sessions = [];
+  storedRecords('proposals')
+    .filter((p) => p.campaignId === campaignId && p.finalized)
+    .forEach((p) => {
+      const opt = (p.options || [])[p.finalChoiceIndex];
+      if (!opt) return;
+      sessions.push({
+        id: p.id,
+        start: new Date(`${opt.date}T${opt.start}`),
+        end: opt.end ? new Date(`${opt.date}T${opt.end}`) : null,
+        location: opt.location || '',
+        cancelled: Boolean(p.cancelled),
+        sequence: p.sequence || 0,
+      });
+    });
+  storedRecords('sessions')
+    .filter((s) => s.campaignId === campaignId && !s.proposalId)
+    .forEach((s) => {
+      const start = new Date(s.datetime);
+      const location = s.location || '';
+      const minute = Math.floor(start.getTime() / 60000);
+      if (sessions.some((e) => Math.floor(e.start.getTime() / 60000) === minute && e.location === location)) return;
+      sessions.push({ id: s.id, start, end: s.end ? new Date(s.end) : null, location, cancelled: false, sequence: 0 });
+    });
+  return sessions
+    .filter((s) => !isNaN(s.start.getTime()))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the iCalendar feed for a campaign, with the same events as
+ * buildSessionsIcs in app.js.
+ * @param {string} campaignId
+ * @returns {string|null} Null if there is no such campaign
+ */
+function buildCampaignIcs(campaignId) {
+  const campaign = storedRecords('campaigns').find((c) => c.id === campaignId);
+  if (!campaign) return null;
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TorchTime//Session Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(campaign.name)}`,
+  ];
+  listCampaignSessions(campaignId).forEach((s) => {
+    const end = s.end && s.end > s.start ? s.end : new Date(s.start.getTime() + ICS_DEFAULT_SESSION_HOURS * 3600000);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${s.id}@${ICS_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(s.start)}`,
+      `DTEND:${formatIcsDate(end)}`,
+      `SEQUENCE:${s.sequence}`,
+      `STATUS:${s.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      `SUMMARY:${escapeIcsText(`${campaign.name} – D&D session`)}`,
+      `DESCRIPTION:${escapeIcsText(`TorchTime session for ${campaign.name}`)}`
+    );
+    if (s.location) lines.push(`LOCATION:${escapeIcsText(s.location)}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ----- Live roll feed -----
+
+// Connected roll feed clients: who is logged in and the campaigns each
+// is watching
+const rollClients = new Map();
+
+/**
+ * Encode a server-to-client frame (never masked).
+ * @param {number} opcode 1 text, 8 close, 10 pong
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Take one complete client frame off the front of the buffer.
+ * Returns null if more bytes are needed.
+ * @param {Buffer} buf
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|null}
+ */
+function decodeFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    const big = buf.readBigUInt64BE(2);
+    len = big > BigInt(MAX_FRAME_BYTES) ? Infinity : Number(big);
+    offset = 10;
+  }
+  if (len > MAX_FRAME_BYTES) throw new Error('Frame too large');
+  if (!masked) throw new Error('Client frames must be masked');
+  if (buf.length < offset + 4 + len) return null;
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return { fin, opcode, payload, length: offset + 4 + len };
+}
+
+function sendJson(socket, msg) {
+  if (!socket.destroyed) socket.write(encodeFrame(1, Buffer.from(JSON.stringify(msg))));
+}
+
+/**
+ * Handle a text message from a roll feed client.
+ * @param {import('net').Socket} socket
+ * @param {string} text
+ */
+function handleRollMessage(socket, text) {
+  const msg = JSON.parse(text);
+  if (msg.type === 'watch' && Array.isArray(msg.campaignIds)) {
+    rollClients.set(socket, {
+      userId: typeof msg.userId === 'string' ? msg.userId : null,
+      campaignIds: new Set(msg.campaignIds.filter((id) => typeof id === 'string')),
+    });
+  } else if (msg.type === 'roll' && msg.entry && typeof msg.entry.campaignId === 'string') {
+    rollClients.forEach((client, other) => {
+      if (other === socket || !client.campaignIds.has(msg.entry.campaignId)) return;
+      if (canReceiveRoll(msg.entry, client.userId)) sendJson(other, msg);
+    });
+  }
+}
+
+/**
+ * Accept a WebSocket upgrade on the roll feed path.
+ * @param {http.IncomingMessage} req
+ * @param {import('net').Socket} socket
+ */
+function handleUpgrade(req, socket) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const key = req.headers['sec-websocket-key'];
+  if (!isAllowedOrigin(req)) {
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+  if (url.pathname !== ROLL_SOCKET_PATH || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  rollClients.set(socket, { userId: null, campaignIds: new Set() });
+  let buffered = Buffer.alloc(0);
+  const close = () => {
+    rollClients.delete(socket);
+    socket.destroy();
+  };
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    try {
+      let frame;
+      while ((frame = decodeFrame(buffered))) {
+        buffered = buffered.subarray(frame.length);
+        if (frame.opcode === 8) {
+          socket.end(encodeFrame(8, Buffer.alloc(0)));
+          rollClients.delete(socket);
+          return;
+        }
+        if (frame.opcode === 9) {
+          socket.write(encodeFrame(10, frame.payload));
+        } else if (frame.opcode === 1 && frame.fin) {
+          handleRollMessage(socket, frame.payload.toString('utf8'));
+        } else if (frame.opcode !== 10) {
+          throw new Error('Unsupported frame');
+        }
+      }
+    } catch (err) {
+      console.warn(`Closing roll feed client: ${err.message}`);
+      close();
+    }
+  });
+  socket.on('close', () => rollClients.delete(socket));
+  socket.on('error', close);
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error(err);
+      send(res, 500, { error: 'Internal error' });
+    });
+  })
+  .on('upgrade', handleUpgrade)
+  .listen(PORT, HOST, () => {
+    console.log(`TorchTime sync server listening on http://${HOST}:${PORT}`);
+  });